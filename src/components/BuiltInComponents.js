@@ -335,7 +335,50 @@ export const BuiltInComponents = [
                 // Source line  
                 { type: 'line', x1: 0.508, y1: 1.524, x2: 2.54, y2: 1.524, stroke: '#000000', strokeWidth: 0.254 },
                 { type: 'line', x1: 2.54, y1: 2.54, x2: 2.54, y2: 1.524, stroke: '#000000', strokeWidth: 0.254 },
-                // Arrow (points into device for N-channel)
+                // Arrow: tip on the channel, pointing in for N-channel
+                { type: 'line', x1: 0.508, y1: 0.254, x2: 1.524, y2: 0.254, stroke: '#000000', strokeWidth: 0.254 },
+                { type: 'polygon', points: [[0.508, 0.254], [1.016, 0], [1.016, 0.508]], stroke: '#000000', strokeWidth: 0.127, fill: '#000000' },
+                // Body diode connection to source
+                { type: 'line', x1: 1.524, y1: 0.254, x2: 1.524, y2: 1.524, stroke: '#000000', strokeWidth: 0.254 },
+                // Gate lead
+                { type: 'line', x1: -2.54, y1: 0, x2: -0.508, y2: 0, stroke: '#000000', strokeWidth: 0.254 },
+                // Reference text
+                { type: 'text', x: 3.5, y: 0, text: '${REF}', fontSize: 1.27, anchor: 'start', baseline: 'middle' }
+            ],
+            pins: [
+                { number: '1', name: 'G', x: -2.54, y: 0, orientation: 'left', length: 0, type: 'input', shape: 'line' },
+                { number: '2', name: 'D', x: 2.54, y: -2.54, orientation: 'right', length: 0, type: 'passive', shape: 'line' },
+                { number: '3', name: 'S', x: 2.54, y: 2.54, orientation: 'right', length: 0, type: 'passive', shape: 'line' }
+            ]
+        },
+        footprint: null
+    },
+    
+    {
+        name: 'PMOS',
+        description: 'P-Channel MOSFET',
+        category: 'Discrete Semiconductors',
+        keywords: ['Q', 'MOSFET', 'PMOS', 'FET'],
+        defaultReference: 'Q?',
+        defaultValue: 'BSS84',
+        symbol: {
+            width: 5.08,
+            height: 5.08,
+            origin: { x: 2.54, y: 2.54 },
+            graphics: [
+                // Gate vertical line
+                { type: 'line', x1: -0.508, y1: -1.778, x2: -0.508, y2: 1.778, stroke: '#000000', strokeWidth: 0.254 },
+                // Channel segments
+                { type: 'line', x1: 0.508, y1: -1.778, x2: 0.508, y2: -0.762, stroke: '#000000', strokeWidth: 0.508 },
+                { type: 'line', x1: 0.508, y1: -0.254, x2: 0.508, y2: 0.762, stroke: '#000000', strokeWidth: 0.508 },
+                { type: 'line', x1: 0.508, y1: 1.27, x2: 0.508, y2: 1.778, stroke: '#000000', strokeWidth: 0.508 },
+                // Drain line
+                { type: 'line', x1: 0.508, y1: -1.27, x2: 2.54, y2: -1.27, stroke: '#000000', strokeWidth: 0.254 },
+                { type: 'line', x1: 2.54, y1: -2.54, x2: 2.54, y2: -1.27, stroke: '#000000', strokeWidth: 0.254 },
+                // Source line
+                { type: 'line', x1: 0.508, y1: 1.524, x2: 2.54, y2: 1.524, stroke: '#000000', strokeWidth: 0.254 },
+                { type: 'line', x1: 2.54, y1: 2.54, x2: 2.54, y2: 1.524, stroke: '#000000', strokeWidth: 0.254 },
+                // Arrow: tip away from the channel, pointing out for P-channel
                 { type: 'line', x1: 0.508, y1: 0.254, x2: 1.524, y2: 0.254, stroke: '#000000', strokeWidth: 0.254 },
                 { type: 'polygon', points: [[1.524, 0.254], [1.016, 0], [1.016, 0.508]], stroke: '#000000', strokeWidth: 0.127, fill: '#000000' },
                 // Body diode connection to source
@@ -354,6 +397,76 @@ export const BuiltInComponents = [
         footprint: null
     },
     
+    // ============ SOURCES ============
+    
+    {
+        name: 'Voltage_Source',
+        description: 'Independent voltage source (simulation)',
+        category: 'Sources',
+        keywords: ['V', 'voltage', 'source', 'supply', 'battery'],
+        defaultReference: 'V?',
+        defaultValue: '5',
+        symbol: {
+            width: 5.08,
+            height: 7.62,
+            origin: { x: 2.54, y: 3.81 },
+            graphics: [
+                // Body
+                { type: 'circle', cx: 0, cy: 0, r: 2.54, stroke: '#000000', strokeWidth: 0.254, fill: 'none' },
+                // + sign
+                { type: 'line', x1: -0.508, y1: -1.27, x2: 0.508, y2: -1.27, stroke: '#000000', strokeWidth: 0.254 },
+                { type: 'line', x1: 0, y1: -1.778, x2: 0, y2: -0.762, stroke: '#000000', strokeWidth: 0.254 },
+                // - sign
+                { type: 'line', x1: -0.508, y1: 1.27, x2: 0.508, y2: 1.27, stroke: '#000000', strokeWidth: 0.254 },
+                // Leads
+                { type: 'line', x1: 0, y1: -3.81, x2: 0, y2: -2.54, stroke: '#000000', strokeWidth: 0.254 },
+                { type: 'line', x1: 0, y1: 2.54, x2: 0, y2: 3.81, stroke: '#000000', strokeWidth: 0.254 },
+                // Reference text
+                { type: 'text', x: 3.3, y: -1, text: '${REF}', fontSize: 1.27, anchor: 'start', baseline: 'middle' },
+                // Value text
+                { type: 'text', x: 3.3, y: 1, text: '${VALUE}', fontSize: 1.27, anchor: 'start', baseline: 'middle' }
+            ],
+            pins: [
+                { number: '1', name: '+', x: 0, y: -3.81, orientation: 'up', length: 0, type: 'passive', shape: 'line' },
+                { number: '2', name: '-', x: 0, y: 3.81, orientation: 'down', length: 0, type: 'passive', shape: 'line' }
+            ]
+        },
+        footprint: null
+    },
+    
+    {
+        name: 'Current_Source',
+        description: 'Independent current source (simulation), current flows from pin 1 to pin 2 through the source',
+        category: 'Sources',
+        keywords: ['I', 'current', 'source'],
+        defaultReference: 'I?',
+        defaultValue: '1m',
+        symbol: {
+            width: 5.08,
+            height: 7.62,
+            origin: { x: 2.54, y: 3.81 },
+            graphics: [
+                // Body
+                { type: 'circle', cx: 0, cy: 0, r: 2.54, stroke: '#000000', strokeWidth: 0.254, fill: 'none' },
+                // Arrow (direction of current)
+                { type: 'line', x1: 0, y1: -1.524, x2: 0, y2: 1.016, stroke: '#000000', strokeWidth: 0.254 },
+                { type: 'polygon', points: [[0, 1.778], [-0.508, 0.762], [0.508, 0.762]], stroke: '#000000', strokeWidth: 0.127, fill: '#000000' },
+                // Leads
+                { type: 'line', x1: 0, y1: -3.81, x2: 0, y2: -2.54, stroke: '#000000', strokeWidth: 0.254 },
+                { type: 'line', x1: 0, y1: 2.54, x2: 0, y2: 3.81, stroke: '#000000', strokeWidth: 0.254 },
+                // Reference text
+                { type: 'text', x: 3.3, y: -1, text: '${REF}', fontSize: 1.27, anchor: 'start', baseline: 'middle' },
+                // Value text
+                { type: 'text', x: 3.3, y: 1, text: '${VALUE}', fontSize: 1.27, anchor: 'start', baseline: 'middle' }
+            ],
+            pins: [
+                { number: '1', name: '1', x: 0, y: -3.81, orientation: 'up', length: 0, type: 'passive', shape: 'line' },
+                { number: '2', name: '2', x: 0, y: 3.81, orientation: 'down', length: 0, type: 'passive', shape: 'line' }
+            ]
+        },
+        footprint: null
+    },
+    
     // ============ INTEGRATED CIRCUITS ============
     
     {
@@ -465,6 +578,7 @@ export const BuiltInComponents = [
         name: 'GND',
         description: 'Ground symbol',
         category: 'Power Symbols',
+        power: true,
         keywords: ['GND', 'ground', 'earth', 'power'],
         defaultReference: '#GND',
         defaultValue: 'GND',
@@ -491,6 +605,7 @@ export const BuiltInComponents = [
         name: 'VCC',
         description: 'VCC power symbol',
         category: 'Power Symbols',
+        power: true,
         keywords: ['VCC', 'power', '+V', 'supply'],
         defaultReference: '#VCC',
         defaultValue: 'VCC',
@@ -504,7 +619,7 @@ export const BuiltInComponents = [
                 // Circle or bar at top
                 { type: 'circle', cx: 0, cy: -1.778, r: 0.508, stroke: '#000000', strokeWidth: 0.254, fill: 'none' },
                 // Label
-                { type: 'text', x: 0, y: -3, text: 'VCC', fontSize: 1.27, anchor: 'middle', baseline: 'middle' }
+                { type: 'text', x: 0, y: -3, text: '${VALUE}', fontSize: 1.27, anchor: 'middle', baseline: 'middle' }
             ],
             pins: [
                 { number: '1', name: 'VCC', x: 0, y: 0, orientation: 'down', length: 0, type: 'power_in', shape: 'line', showName: false }
@@ -517,6 +632,7 @@ export const BuiltInComponents = [
         name: 'VDD',
         description: 'VDD power symbol',
         category: 'Power Symbols',
+        power: true,
         keywords: ['VDD', 'power', '+V', 'supply'],
         defaultReference: '#VDD',
         defaultValue: 'VDD',
@@ -530,7 +646,7 @@ export const BuiltInComponents = [
                 // Bar at top
                 { type: 'line', x1: -1.016, y1: -1.27, x2: 1.016, y2: -1.27, stroke: '#000000', strokeWidth: 0.254 },
                 // Label
-                { type: 'text', x: 0, y: -2.5, text: 'VDD', fontSize: 1.27, anchor: 'middle', baseline: 'middle' }
+                { type: 'text', x: 0, y: -2.5, text: '${VALUE}', fontSize: 1.27, anchor: 'middle', baseline: 'middle' }
             ],
             pins: [
                 { number: '1', name: 'VDD', x: 0, y: 0, orientation: 'down', length: 0, type: 'power_in', shape: 'line', showName: false }
@@ -543,6 +659,7 @@ export const BuiltInComponents = [
         name: '+3V3',
         description: '3.3V power symbol',
         category: 'Power Symbols',
+        power: true,
         keywords: ['3V3', '3.3V', 'power', 'supply'],
         defaultReference: '#+3V3',
         defaultValue: '+3V3',
@@ -556,7 +673,7 @@ export const BuiltInComponents = [
                 // Bar at top
                 { type: 'line', x1: -1.016, y1: -1.27, x2: 1.016, y2: -1.27, stroke: '#000000', strokeWidth: 0.254 },
                 // Label
-                { type: 'text', x: 0, y: -2.5, text: '+3V3', fontSize: 1.27, anchor: 'middle', baseline: 'middle' }
+                { type: 'text', x: 0, y: -2.5, text: '${VALUE}', fontSize: 1.27, anchor: 'middle', baseline: 'middle' }
             ],
             pins: [
                 { number: '1', name: '+3V3', x: 0, y: 0, orientation: 'down', length: 0, type: 'power_in', shape: 'line', showName: false }
@@ -569,6 +686,7 @@ export const BuiltInComponents = [
         name: '+5V',
         description: '5V power symbol',
         category: 'Power Symbols',
+        power: true,
         keywords: ['5V', 'power', 'supply'],
         defaultReference: '#+5V',
         defaultValue: '+5V',
@@ -582,13 +700,42 @@ export const BuiltInComponents = [
                 // Bar at top
                 { type: 'line', x1: -1.016, y1: -1.27, x2: 1.016, y2: -1.27, stroke: '#000000', strokeWidth: 0.254 },
                 // Label
-                { type: 'text', x: 0, y: -2.5, text: '+5V', fontSize: 1.27, anchor: 'middle', baseline: 'middle' }
+                { type: 'text', x: 0, y: -2.5, text: '${VALUE}', fontSize: 1.27, anchor: 'middle', baseline: 'middle' }
             ],
             pins: [
                 { number: '1', name: '+5V', x: 0, y: 0, orientation: 'down', length: 0, type: 'power_in', shape: 'line', showName: false }
             ]
         },
         footprint: null
+    },
+    
+    {
+        name: 'PWR',
+        description: 'Custom power port (any rail name)',
+        category: 'Power Symbols',
+        power: true,
+        // Ask for the rail name (e.g. +1V8, VBAT) when placed
+        promptValue: true,
+        keywords: ['power', 'port', 'rail', 'supply', 'VBAT', '+1V8'],
+        defaultReference: '#PWR',
+        defaultValue: 'VBAT',
+        symbol: {
+            width: 2.54,
+            height: 2.54,
+            origin: { x: 1.27, y: 2.54 },
+            graphics: [
+                // Vertical line
+                { type: 'line', x1: 0, y1: 0, x2: 0, y2: -1.27, stroke: '#000000', strokeWidth: 0.254 },
+                // Arrow at top
+                { type: 'polyline', points: [[-0.762, -1.27], [0, -2.032], [0.762, -1.27], [-0.762, -1.27]], stroke: '#000000', strokeWidth: 0.254, fill: 'none' },
+                // Label
+                { type: 'text', x: 0, y: -3, text: '${VALUE}', fontSize: 1.27, anchor: 'middle', baseline: 'middle' }
+            ],
+            pins: [
+                { number: '1', name: 'PWR', x: 0, y: 0, orientation: 'down', length: 0, type: 'power_in', shape: 'line', showName: false }
+            ]
+        },
+        footprint: null
     }
 ];
 
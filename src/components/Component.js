@@ -24,6 +24,9 @@ export class Component {
 
     get symbol() { return this.definition.symbol; }
 
+    // Power ports tie their pin to the global net named by their value
+    get isPower() { return !!this.definition.power; }
+
     /**
      * Hit test - check if point is within component bounds
      */
@@ -804,9 +807,12 @@ export class Component {
         let x = pin.x, y = pin.y;
         if (this.mirror) x = -x;
         const rad = this.rotation * Math.PI / 180;
+        let cos = Math.cos(rad), sin = Math.sin(rad);
+        // Keep right-angle rotations exact so pins stay on the grid
+        if (this.rotation % 90 === 0) { cos = Math.round(cos); sin = Math.round(sin); }
         return {
-            x: (x * Math.cos(rad) - y * Math.sin(rad)) + this.x,
-            y: (x * Math.sin(rad) + y * Math.cos(rad)) + this.y
+            x: (x * cos - y * sin) + this.x,
+            y: (x * sin + y * cos) + this.y
         };
     }
 
@@ -821,9 +827,33 @@ export class Component {
 
     setPosition(x, y) {
         this.x = x; this.y = y;
-        if (this.element) {
-            const transform = this._buildTransform();
-            if (transform) this.element.setAttribute('transform', transform);
+        this._applyTransform();
+    }
+
+    /**
+     * Rotate about the component origin by a multiple of 90 degrees
+     */
+    rotate(angle) {
+        this.setOrientation(this.rotation + angle, this.mirror);
+    }
+
+    toggleMirror() {
+        this.setOrientation(this.rotation, !this.mirror);
+    }
+
+    setOrientation(rotation, mirror) {
+        this.rotation = ((rotation % 360) + 360) % 360;
+        this.mirror = !!mirror;
+        this._applyTransform();
+    }
+
+    _applyTransform() {
+        if (!this.element) return;
+        const transform = this._buildTransform();
+        if (transform) {
+            this.element.setAttribute('transform', transform);
+        } else {
+            this.element.removeAttribute('transform');
         }
     }
 
@@ -867,6 +897,14 @@ export class Component {
                 defaultReference: this.definition.defaultReference,
                 defaultValue: this.definition.defaultValue,
                 defaultProperties: this.definition.defaultProperties,
+                power: this.definition.power,
+                // Supplier data, so BOMs still have prices and stock offline
+                datasheet: this.definition.datasheet,
+                supplier_part_numbers: this.definition.supplier_part_numbers,
+                mpn: this.definition.mpn,
+                manufacturer: this.definition.manufacturer,
+                stock: this.definition.stock,
+                priceBreaks: this.definition.priceBreaks,
                 _source: this.definition._source
             };
         }
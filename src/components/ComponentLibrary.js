@@ -89,6 +89,30 @@ export class ComponentLibrary {
      * Add a component definition to the library
      */
     addDefinition(definition, source = 'User') {
+        this._putDefinition(definition, source);
+        
+        // Save if user component
+        if (source === 'User') {
+            this._saveUserComponents();
+        }
+        
+        return definition;
+    }
+    
+    /**
+     * Add several definitions, saving user components once at the end
+     */
+    addDefinitions(definitions, source = 'User') {
+        for (const definition of definitions) {
+            this._putDefinition(definition, source);
+        }
+        if (source === 'User') {
+            this._saveUserComponents();
+        }
+        return definitions;
+    }
+    
+    _putDefinition(definition, source) {
         // Validate definition
         if (!definition.name) {
             throw new Error('Component definition must have a name');
@@ -105,14 +129,10 @@ export class ComponentLibrary {
         if (!this.categories.has(category)) {
             this.categories.set(category, []);
         }
-        this.categories.get(category).push(definition.name);
-        
-        // Save if user component
-        if (source === 'User') {
-            this._saveUserComponents();
+        const names = this.categories.get(category);
+        if (!names.includes(definition.name)) {
+            names.push(definition.name);
         }
-        
-        return definition;
     }
     
     /**
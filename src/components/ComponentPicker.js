@@ -7,6 +7,10 @@ import { ModalManager } from '../core/ModalManager.js';
 import { globalEventBus } from '../core/EventBus.js';
 import { getSearchManager, initSearchManager } from '../core/SearchManager.js';
 import { LazyLoader } from '../core/LazyLoader.js';
+import { parseEagleLibrary } from '../core/eagleImport.js';
+
+// Symbol library files that can be listed and added to the library
+const LIBRARY_FILE = /\.(kicad_sym|lbr)$/i;
 
 export class ComponentPicker {
     constructor(options = {}) {
@@ -33,6 +37,8 @@ export class ComponentPicker {
         this.kicadResults = [];
         this.isSearching = false;
         this.searchDebounceTimer = null;
+        // Symbols read from local .kicad_sym or Eagle .lbr files, not yet added to the library
+        this.symbolLibrary = null;
         
         // Lazy loading
         this.lazyLoader = null;
@@ -63,6 +69,7 @@ export class ComponentPicker {
                     <select class="cp-category-select">
                         <option value="All">All Categories</option>
                     </select>
+                    <button class="cp-import-btn" title="Add symbols from a KiCad (.kicad_sym) or Eagle (.lbr) library file on this computer">📂 Import library...</button>
                 </div>
                 <div class="cp-list"></div>
                 <div class="cp-preview">
@@ -103,6 +110,7 @@ export class ComponentPicker {
         this.bodyEl = this.element.querySelector('.cp-body');
         this.modeButtons = this.element.querySelectorAll('.cp-mode-btn');
         this.categoriesEl = this.element.querySelector('.cp-categories');
+        this.importBtn = this.element.querySelector('.cp-import-btn');
         // Start collapsed if configured
         if (!this.isOpen) {
             this.element.classList.add('collapsed');
@@ -116,7 +124,7 @@ export class ComponentPicker {
             if (this.searchMode === 'lcsc') {
                 this._debouncedLCSCSearch();
             } else {
-                this._populateComponents();
+                this._refreshLocalList();
             }
         });
         
@@ -128,7 +136,7 @@ export class ComponentPicker {
             if (this.searchMode === 'lcsc') {
                 this._showLCSCPrompt();
             } else {
-                this._populateComponents();
+                this._refreshLocalList();
             }
         });
         
@@ -136,9 +144,29 @@ export class ComponentPicker {
         
         this.categorySelect.addEventListener('change', () => {
             this.selectedCategory = this.categorySelect.value;
+            this.symbolLibrary = null;
             this._populateComponents();
         });
 
+        // Local KiCad libraries: pick a file or drop it on the panel
+        this.importBtn.addEventListener('click', () => this._pickSymbolLibraries());
+        this.element.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types?.includes('Files')) return;
+            e.preventDefault();
+            this.element.classList.add('cp-drop-target');
+        });
+        this.element.addEventListener('dragleave', (e) => {
+            if (!this.element.contains(e.relatedTarget)) {
+                this.element.classList.remove('cp-drop-target');
+            }
+        });
+        this.element.addEventListener('drop', (e) => {
+            if (!e.dataTransfer?.files?.length) return;
+            e.preventDefault();
+            this.element.classList.remove('cp-drop-target');
+            this.showSymbolLibraries([...e.dataTransfer.files]);
+        });
+
         
         this.placeBtn.addEventListener('click', () => {
             if (this.selectedComponent) {
@@ -187,6 +215,7 @@ export class ComponentPicker {
     
     _setSearchMode(mode) {
         this.searchMode = mode;
+        this.symbolLibrary = null;
         
         // Update button states
         this.modeButtons.forEach(btn => {
@@ -492,7 +521,7 @@ export class ComponentPicker {
                             lineWidth: 0.8,
                             strokeOpacity: 0.9,
                             fillOpacity: 0.7,
-                            proxyUrl: this.library?.kicadFetcher?.corsProxy
+                            proxyUrl: availability.local ? null : this.library?.kicadFetcher?.corsProxy
                         });
                         
                         // Parse and insert SVG using DOM
@@ -1031,6 +1060,7 @@ export class ComponentPicker {
         const categories = this.library.getCategoryNames();
         categories.sort();
         
+        this.categorySelect.innerHTML = '<option value="All">All Categories</option>';
         for (const cat of categories) {
             const option = document.createElement('option');
             option.value = cat;
@@ -1096,6 +1126,201 @@ export class ComponentPicker {
         // Set up lazy loading for component previews
         this._setupLazyLoading();
     }
+
+    _refreshLocalList() {
+        if (this.symbolLibrary) {
+            this._populateSymbolLibrary();
+        } else {
+            this._populateComponents();
+        }
+    }
+
+    _pickSymbolLibraries() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.kicad_sym,.lbr';
+        input.multiple = true;
+        input.onchange = () => this._openSymbolLibraries([...input.files]);
+        input.click();
+    }
+
+    /**
+     * List the symbols of local library files to choose from
+     * @param {Array<File>} files - .kicad_sym and Eagle .lbr files; others are ignored
+     */
+    showSymbolLibraries(files) {
+        if (this.searchMode !== 'local') this._setSearchMode('local');
+        return this._openSymbolLibraries(files);
+    }
+
+    /**
+     * Read local .kicad_sym and .lbr files and list their symbols to choose from.
+     * Each file is a library named after the file.
+     */
+    async _openSymbolLibraries(files) {
+        const libraryFiles = files.filter(file => LIBRARY_FILE.test(file.name));
+        if (libraryFiles.length === 0) {
+            this.listEl.innerHTML = '<div class="cp-error">Drop a KiCad (.kicad_sym) or Eagle (.lbr) symbol library.</div>';
+            return;
+        }
+
+        this._showLoading();
+        const definitions = [];
+        const errors = [];
+        for (const file of libraryFiles) {
+            try {
+                const libraryName = file.name.replace(LIBRARY_FILE, '');
+                const text = await file.text();
+                definitions.push(...(/\.lbr$/i.test(file.name)
+                    ? parseEagleLibrary(text, libraryName)
+                    : this.library.kicadFetcher.parseSymbolLibrary(text, libraryName)));
+            } catch (error) {
+                console.error('Failed to read symbol library:', file.name, error);
+                errors.push(`${file.name}: ${error.message}`);
+            }
+        }
+
+        if (definitions.length === 0) {
+            this.listEl.innerHTML = '<div class="cp-error"></div>';
+            this.listEl.firstChild.textContent = errors.join('\n') || 'No symbols found.';
+            return;
+        }
+
+        this.symbolLibrary = {
+            names: libraryFiles.map(file => file.name.replace(LIBRARY_FILE, '')),
+            definitions,
+            chosen: new Set(),
+            errors
+        };
+        this.searchInput.value = '';
+        this.searchQuery = '';
+        this.searchClearBtn.style.display = 'none';
+        this._populateSymbolLibrary();
+    }
+
+    _populateSymbolLibrary() {
+        const { names, definitions, chosen, errors } = this.symbolLibrary;
+        this.listEl.innerHTML = '';
+        this.componentItems.clear();
+        if (this.lazyLoader) {
+            this.lazyLoader.destroy();
+        }
+
+        const query = this.searchQuery.toLowerCase();
+        const shown = query
+            ? definitions.filter(def => def.name.toLowerCase().includes(query) ||
+                def.description.toLowerCase().includes(query) ||
+                def.keywords.some(k => k.toLowerCase().includes(query)))
+            : definitions;
+
+        const notice = document.createElement('div');
+        notice.className = 'cp-kicad-notice';
+        notice.innerHTML = `
+            <strong class="cp-symbol-library-name"></strong>
+            <br><small>${definitions.length} symbols · tick the ones to keep</small>
+            <div class="cp-symbol-library-errors"></div>
+            <div class="cp-symbol-library-actions">
+                <label><input type="checkbox" class="cp-choose-all"> All shown</label>
+                <button class="cp-add-btn"></button>
+                <button class="cp-cancel-btn">Cancel</button>
+            </div>
+        `;
+        notice.querySelector('.cp-symbol-library-name').textContent = names.join(', ');
+        notice.querySelector('.cp-symbol-library-errors').textContent = errors.join('\n');
+        const chooseAll = notice.querySelector('.cp-choose-all');
+        const addBtn = notice.querySelector('.cp-add-btn');
+        const updateAddButton = () => {
+            addBtn.textContent = `Add ${chosen.size} to library`;
+            addBtn.disabled = chosen.size === 0;
+            chooseAll.checked = shown.length > 0 && shown.every(def => chosen.has(def));
+        };
+        chooseAll.addEventListener('change', () => {
+            for (const def of shown) {
+                if (chooseAll.checked) chosen.add(def);
+                else chosen.delete(def);
+            }
+            this.listEl.querySelectorAll('.cp-item-check').forEach(box => { box.checked = chooseAll.checked; });
+            updateAddButton();
+        });
+        addBtn.addEventListener('click', () => this._addChosenSymbols());
+        notice.querySelector('.cp-cancel-btn').addEventListener('click', () => {
+            this.symbolLibrary = null;
+            this._populateComponents();
+        });
+        this.listEl.appendChild(notice);
+
+        for (const def of shown) {
+            const item = document.createElement('div');
+            item.className = 'cp-item cp-kicad-item';
+            item.innerHTML = `
+                <input type="checkbox" class="cp-item-check">
+                <div class="cp-item-icon" style="background:#333;min-width:40px;min-height:40px"></div>
+                <div class="cp-item-info">
+                    <div class="cp-item-name"></div>
+                    <div class="cp-item-desc"></div>
+                </div>
+            `;
+            item.querySelector('.cp-item-name').textContent = def.kicadName ?? def.name;
+            item.querySelector('.cp-item-desc').textContent = def.description;
+
+            const check = item.querySelector('.cp-item-check');
+            check.checked = chosen.has(def);
+            check.addEventListener('click', (e) => e.stopPropagation());
+            check.addEventListener('change', () => {
+                if (check.checked) chosen.add(def);
+                else chosen.delete(def);
+                updateAddButton();
+            });
+
+            item.addEventListener('click', () => this._selectLibrarySymbol(def, item));
+            item.addEventListener('dblclick', () => this._addAndPlaceSymbol(def));
+
+            this.listEl.appendChild(item);
+            this.componentItems.set(item, def);
+        }
+
+        updateAddButton();
+        this._setupLazyLoading();
+    }
+
+    _selectLibrarySymbol(def, itemEl) {
+        this.listEl.querySelectorAll('.cp-item').forEach(el => el.classList.remove('selected'));
+        itemEl.classList.add('selected');
+
+        this.selectedComponent = def;
+        this.selectedLCSCResult = null;
+        this.placeBtn.disabled = false;
+        this.placeBtn.textContent = 'Add and Place';
+        this.placeBtn.onclick = () => this._addAndPlaceSymbol(def);
+
+        if (this.previewImage) {
+            this.previewImage.innerHTML = '';
+        }
+        // The file is local; don't go looking for footprints online
+        this._updatePreview(def, { skipFootprint3d: true });
+        this._setFootprintPreviewStatus('Not checked for local libraries', false);
+        this._set3dPreviewStatus('Not checked for local libraries', false);
+    }
+
+    _addAndPlaceSymbol(def) {
+        this.library.addDefinition(def, 'User');
+        this._populateCategories();
+        this.categorySelect.value = this.selectedCategory;
+        this._beginPlacement(def, { skipFootprint3d: true });
+    }
+
+    _addChosenSymbols() {
+        const { definitions, chosen } = this.symbolLibrary;
+        const picked = definitions.filter(def => chosen.has(def));
+        if (picked.length === 0) return;
+
+        this.library.addDefinitions(picked, 'User');
+        this.symbolLibrary = null;
+        this._populateCategories();
+        this.selectedCategory = picked[0].category;
+        this.categorySelect.value = this.selectedCategory;
+        this._populateComponents();
+    }
     
     _setupLazyLoading() {
         // Create lazy loader for rendering component previews
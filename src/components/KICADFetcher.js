@@ -5,6 +5,9 @@
  * Symbols: https://gitlab.com/kicad/libraries/kicad-symbols
  * Footprints: https://gitlab.com/kicad/libraries/kicad-footprints
  * 3D Models: https://gitlab.com/kicad/libraries/kicad-packages3D
+ *
+ * With a KiCadLocalLibrary set (useLocalLibrary), each kind it holds is read
+ * from files on this computer instead; kinds it lacks still come from GitLab.
  */
 
 import { storageManager } from '../core/StorageManager.js';
@@ -30,6 +33,38 @@ export class KiCadFetcher {
         this.libraryIndex = null;
         this.libraryPathIndex = null;
         this.fetchFailed = false;
+        this.localLibrary = null;
+    }
+    
+    /**
+     * Read symbols, footprints and 3D models from a local copy of the KiCad
+     * libraries instead of GitLab
+     * @param {KiCadLocalLibrary|null} localLibrary - null to go back online
+     */
+    useLocalLibrary(localLibrary) {
+        if (this.localLibrary && this.localLibrary !== localLibrary) this.localLibrary.dispose();
+        this.localLibrary = localLibrary;
+        this.symbolCache.clear();
+        this.footprintCache.clear();
+        this.footprintExistsCache.clear();
+        this.model3dExistsCache.clear();
+        this.footprintPreviewCache.clear();
+        // Rebuilt from the new source on next use
+        this.libraryIndex = null;
+        this.libraryPathIndex = localLibrary?.hasSymbols ? localLibrary.getPathIndex() : null;
+        this.fetchFailed = false;
+    }
+
+    /**
+     * The local library if it holds files of this kind, else null
+     * @param {'symbols'|'footprints'|'models'} kind
+     * @returns {KiCadLocalLibrary|null}
+     */
+    _localSource(kind) {
+        const library = this.localLibrary;
+        if (!library) return null;
+        const has = { symbols: library.hasSymbols, footprints: library.hasFootprints, models: library.hasModels }[kind];
+        return has ? library : null;
     }
     
     get corsProxy() {
@@ -42,9 +77,10 @@ export class KiCadFetcher {
      * @returns {Promise<Array>} Matching symbols
      */
     async searchSymbols(query) {
-        // Check search result cache first
+        // Check search result cache first (local searches are quick and may differ)
         const cacheKey = `kicad_search_${query.toLowerCase()}`;
-        const cachedResults = storageManager.get(cacheKey);
+        const local = this._localSource('symbols');
+        const cachedResults = local ? null : storageManager.get(cacheKey);
         if (cachedResults && Array.isArray(cachedResults)) {
             console.log(`Using cached KiCad search results for: ${query}`);
             return cachedResults;
@@ -73,7 +109,9 @@ export class KiCadFetcher {
         const limitedResults = results.slice(0, 50); // Limit results
         
         // Cache the search results (with TTL of 24 hours)
-        storageManager.set(cacheKey, limitedResults, 24 * 60 * 60);
+        if (!local) {
+            storageManager.set(cacheKey, limitedResults, 24 * 60 * 60);
+        }
         
         return limitedResults;
     }
@@ -160,23 +198,28 @@ export class KiCadFetcher {
         }
 
         const footprintUrl = `${this.footprintsBase}/${lib}.pretty/${name}.kicad_mod`;
-        const modelUrl = `${this.models3dBase}/${lib}.3dshapes/${name}.wrl`;
+        const remoteModelUrl = `${this.models3dBase}/${lib}.3dshapes/${name}.wrl`;
 
-        const footprintCacheKey = `fp:${footprintUrl}`;
-        const modelCacheKey = `3d:${modelUrl}`;
+        // Kinds missing from the local library are still checked on GitLab
+        const localFootprints = this._localSource('footprints');
+        const localModels = this._localSource('models');
 
-        const hasFootprint = this.footprintExistsCache.has(footprintCacheKey)
-            ? this.footprintExistsCache.get(footprintCacheKey)
-            : await this._checkUrlExists(footprintUrl);
+        const hasFootprint = localFootprints
+            ? localFootprints.hasFootprint(footprintName)
+            : await this._checkUrlExistsCached(this.footprintExistsCache, `fp:${footprintUrl}`, footprintUrl);
 
-        const has3d = this.model3dExistsCache.has(modelCacheKey)
-            ? this.model3dExistsCache.get(modelCacheKey)
-            : await this._checkUrlExists(modelUrl);
+        const has3d = localModels
+            ? localModels.hasModel(footprintName)
+            : await this._checkUrlExistsCached(this.model3dExistsCache, `3d:${remoteModelUrl}`, remoteModelUrl);
+        const modelUrl = localModels ? await localModels.getModelUrl(footprintName) : remoteModelUrl;
 
-        this.footprintExistsCache.set(footprintCacheKey, hasFootprint);
-        this.model3dExistsCache.set(modelCacheKey, has3d);
+        // local: modelUrl is a blob: URL, which must not go through the proxy
+        return { hasFootprint, has3d, footprintUrl, modelUrl, local: Boolean(localModels) };
+    }
 
-        return { hasFootprint, has3d, footprintUrl, modelUrl };
+    async _checkUrlExistsCached(cache, cacheKey, url) {
+        if (!cache.has(cacheKey)) cache.set(cacheKey, await this._checkUrlExists(url));
+        return cache.get(cacheKey);
     }
 
     async fetchFootprintPreview(footprintName) {
@@ -211,6 +254,15 @@ export class KiCadFetcher {
      * Fetch a library file from GitLab (with caching)
      */
     async _fetchLibraryFile(library) {
+        const local = this._localSource('symbols');
+        if (local) {
+            const content = await local.readSymbolLibrary(library);
+            if (!content) {
+                throw new Error(`KiCad library ${library} is not in the local libraries`);
+            }
+            return content;
+        }
+
         // Check storage cache first (with 7-day TTL)
         const cacheKey = `kicad_lib_${library}`;
         const cached = storageManager.get(cacheKey);
@@ -331,6 +383,11 @@ export class KiCadFetcher {
     }
 
     async _fetchSymbolFile(symDirPath, symbolName) {
+        const local = this._localSource('symbols');
+        if (local) {
+            return local.readSymbolFile(symDirPath.replace(/\.kicad_symdir$/, ''), symbolName);
+        }
+
         const fileName = `${symbolName}.kicad_sym`;
         const targetUrls = [
             `${this.symbolsBase}/${symDirPath}/${fileName}`
@@ -394,6 +451,11 @@ export class KiCadFetcher {
     }
 
     async _loadLibraryPathIndex(force = false) {
+        const local = this._localSource('symbols');
+        if (local) {
+            this.libraryPathIndex = local.getPathIndex();
+            return;
+        }
         if (!force && this.libraryPathIndex) {
             return;
         }
@@ -477,6 +539,11 @@ export class KiCadFetcher {
     }
 
     async _fetchFootprintFile(lib, name) {
+        const local = this._localSource('footprints');
+        if (local) {
+            return local.readFootprint(`${lib}:${name}`);
+        }
+
         const cacheKey = `kicad_fp_${lib}_${name}`;
         const cached = storageManager.get(cacheKey);
         if (cached && typeof cached === 'string') {
@@ -609,6 +676,12 @@ export class KiCadFetcher {
      * In production, this could be fetched from a pre-built index
      */
     async _loadLibraryIndex() {
+        const local = this._localSource('symbols');
+        if (local) {
+            this.libraryIndex = { symbols: await local.getSymbolIndex() };
+            return;
+        }
+
         // Common KiCad symbol libraries relevant for electronics
         this.libraryIndex = {
             symbols: {
@@ -727,6 +800,63 @@ export class KiCadFetcher {
         return null;
     }
     
+    /**
+     * Every symbol in a KiCad symbol library file, as component definitions.
+     * Nothing is fetched, so this works offline on local libraries.
+     * @param {string} content - .kicad_sym file contents
+     * @param {string} libraryName - Library nickname; definitions are named "<library>:<symbol>"
+     * @returns {Array<object>} Definitions, in file order
+     */
+    parseSymbolLibrary(content, libraryName) {
+        const sexp = this._parseSExp(content);
+        if (!Array.isArray(sexp) || sexp[0] !== 'kicad_symbol_lib') {
+            throw new Error('Not a KiCad symbol library (.kicad_sym)');
+        }
+
+        const symbols = sexp.filter(item => Array.isArray(item) && item[0] === 'symbol');
+        const byName = new Map(symbols.map(item => [String(item[1]), item]));
+        const definitions = [];
+
+        for (const item of symbols) {
+            const symbolName = String(item[1]);
+            try {
+                // Derived symbols only carry their own fields; the drawing and any
+                // fields they leave out come from the parent (first value wins)
+                const parentName = item.find(child => Array.isArray(child) && child[0] === 'extends')?.[1];
+                let symbolSexp = item;
+                if (parentName !== undefined) {
+                    const parent = byName.get(String(parentName));
+                    if (!parent) {
+                        console.warn(`KiCadFetcher: ${symbolName} extends missing symbol ${parentName}`);
+                        continue;
+                    }
+                    const own = item.slice(2).filter(child => !(Array.isArray(child) && child[0] === 'extends'));
+                    symbolSexp = ['symbol', symbolName, ...own, ...parent.slice(2)];
+                }
+
+                const converted = this._convertKiCadSymbol(symbolSexp);
+                const properties = converted.symbol.properties || {};
+                const datasheet = properties.Datasheet && properties.Datasheet !== '~' ? properties.Datasheet : '';
+                definitions.push({
+                    ...converted,
+                    name: `${libraryName}:${symbolName}`,
+                    description: properties.ki_description || properties.Description || '',
+                    category: libraryName,
+                    keywords: (properties.ki_keywords || '').split(/\s+/).filter(Boolean),
+                    defaultReference: `${properties.Reference || 'U'}?`,
+                    defaultValue: properties.Value || symbolName,
+                    datasheet,
+                    power: symbolSexp.some(child => Array.isArray(child) && child[0] === 'power'),
+                    kicadName: symbolName
+                });
+            } catch (e) {
+                console.warn(`KiCadFetcher: Could not convert ${symbolName}:`, e);
+            }
+        }
+
+        return definitions;
+    }
+
     /**
      * Parse S-expression string into nested arrays
      * @param {string} str - S-expression string
@@ -1574,6 +1704,8 @@ export class KiCadFetcher {
         // Calculate angles
         const startAngle = Math.atan2(startY - cy, startX - cx);
         const endAngle = Math.atan2(endY - cy, endX - cx);
+        // Which way round the arc goes; the end angles alone can't tell
+        const midAngle = Math.atan2(midY - cy, midX - cx);
         
         return {
             type: 'arc',
@@ -1582,6 +1714,7 @@ export class KiCadFetcher {
             r: r,
             startAngle: startAngle * 180 / Math.PI,
             endAngle: endAngle * 180 / Math.PI,
+            midAngle: midAngle * 180 / Math.PI,
             stroke: stroke,
             strokeWidth: strokeWidth,
             fill: fill
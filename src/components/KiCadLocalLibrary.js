@@ -0,0 +1,198 @@
+/**
+ * KiCadLocalLibrary - KiCad libraries from a folder or .zip on this computer
+ *
+ * Takes checkouts or zip downloads of kicad-symbols, kicad-footprints and
+ * kicad-packages3D in any layout. Files are recognised by their extension
+ * and parent folder, so "Device.kicad_sym", "Resistor_SMD.pretty/R_0603.kicad_mod"
+ * and "Resistor_SMD.3dshapes/R_0603.wrl" are found wherever they sit.
+ * Several sources can go into one library (e.g. one zip per repository).
+ */
+
+import { ZipArchive } from '../core/zipReader.js';
+
+export class KiCadLocalLibrary {
+    constructor() {
+        // Each entry is a function returning the file as a Blob
+        this.symbolFiles = new Map();   // library -> read
+        this.symbolDirs = new Map();    // library -> Map(symbol -> read), KiCad 9 .kicad_symdir
+        this.footprints = new Map();    // "Lib:Name" -> read
+        this.models = new Map();        // "Lib:Name" -> { read, vrml }
+        this.sources = [];
+        this.modelUrls = new Map();
+    }
+
+    get isEmpty() {
+        return !this.hasSymbols && !this.hasFootprints && !this.hasModels;
+    }
+
+    get hasSymbols() {
+        return this.symbolFiles.size > 0 || this.symbolDirs.size > 0;
+    }
+
+    get hasFootprints() {
+        return this.footprints.size > 0;
+    }
+
+    get hasModels() {
+        return this.models.size > 0;
+    }
+
+    /**
+     * Register one file if it is part of a KiCad library
+     * @param {string} path - '/'-separated path inside the source
+     * @param {function(): Promise<Blob>} read
+     */
+    addFile(path, read) {
+        const parts = path.split('/').filter(Boolean);
+        const file = parts.pop() || '';
+        const parent = parts.pop() || '';
+        const base = file.replace(/\.[^.]+$/, '');
+
+        if (file.endsWith('.kicad_sym')) {
+            if (parent.endsWith('.kicad_symdir')) {
+                const library = parent.slice(0, -'.kicad_symdir'.length);
+                if (!this.symbolDirs.has(library)) this.symbolDirs.set(library, new Map());
+                this.symbolDirs.get(library).set(base, read);
+            } else {
+                this.symbolFiles.set(base, read);
+            }
+        } else if (file.endsWith('.kicad_mod') && parent.endsWith('.pretty')) {
+            this.footprints.set(`${parent.slice(0, -'.pretty'.length)}:${base}`, read);
+        } else if (/\.(wrl|step|stp)$/i.test(file) && parent.endsWith('.3dshapes')) {
+            const key = `${parent.slice(0, -'.3dshapes'.length)}:${base}`;
+            const vrml = /\.wrl$/i.test(file);
+            // The picker can only preview VRML, so it wins over STEP
+            if (vrml || !this.models.has(key)) this.models.set(key, { read, vrml });
+        }
+    }
+
+    /**
+     * @param {File} file - A .zip, e.g. a GitLab "Download source code" archive
+     */
+    async addZip(file) {
+        const zip = await ZipArchive.open(file);
+        for (const name of zip.names()) {
+            this.addFile(name, () => zip.read(name));
+        }
+        this.sources.push(file.name);
+    }
+
+    /**
+     * Files from an <input webkitdirectory> pick
+     * @param {Array<File>} files
+     */
+    addFiles(files) {
+        for (const file of files) {
+            this.addFile(file.webkitRelativePath || file.name, async () => file);
+        }
+        const folder = (files[0]?.webkitRelativePath || '').split('/')[0];
+        if (folder) this.sources.push(folder);
+    }
+
+    /**
+     * @param {FileSystemDirectoryHandle} handle
+     */
+    async addDirectory(handle) {
+        const walk = async (dir, path) => {
+            for await (const [name, entry] of dir.entries()) {
+                if (name.startsWith('.')) continue;   // .git alone can be larger than the libraries
+                if (entry.kind === 'directory') {
+                    await walk(entry, `${path}${name}/`);
+                } else {
+                    this.addFile(`${path}${name}`, () => entry.getFile());
+                }
+            }
+        };
+        await walk(handle, '');
+        this.sources.push(handle.name);
+    }
+
+    /**
+     * Where each symbol library lives, in the form of KiCadFetcher.libraryPathIndex
+     * @returns {Object<string, string>}
+     */
+    getPathIndex() {
+        const index = {};
+        for (const library of this.symbolFiles.keys()) index[library] = `${library}.kicad_sym`;
+        for (const library of this.symbolDirs.keys()) index[library] ??= `${library}.kicad_symdir`;
+        return index;
+    }
+
+    /**
+     * Symbol names per library, in the form of KiCadFetcher.libraryIndex.symbols.
+     * Library files are scanned rather than parsed: top-level symbols are the
+     * ones indented one level.
+     * @returns {Promise<Object<string, Array<string>>>}
+     */
+    async getSymbolIndex() {
+        const symbols = {};
+        for (const [library, files] of this.symbolDirs) {
+            symbols[library] = [...files.keys()];
+        }
+        for (const [library, read] of this.symbolFiles) {
+            if (symbols[library]) continue;
+            const text = await (await read()).text();
+            const names = [];
+            for (const match of text.matchAll(/^(?: {2}|\t)\(symbol "((?:[^"\\]|\\.)*)"/gm)) {
+                names.push(match[1].replace(/\\(.)/g, '$1'));
+            }
+            symbols[library] = names;
+        }
+        return symbols;
+    }
+
+    /**
+     * @returns {Promise<string|null>} The whole .kicad_sym file
+     */
+    async readSymbolLibrary(library) {
+        const read = this.symbolFiles.get(library);
+        return read ? (await read()).text() : null;
+    }
+
+    /**
+     * @returns {Promise<string|null>} One symbol's file from a .kicad_symdir library
+     */
+    async readSymbolFile(library, symbolName) {
+        const read = this.symbolDirs.get(library)?.get(symbolName);
+        return read ? (await read()).text() : null;
+    }
+
+    hasFootprint(footprintName) {
+        return this.footprints.has(footprintName);
+    }
+
+    /**
+     * @param {string} footprintName - "Lib:Name"
+     * @returns {Promise<string|null>}
+     */
+    async readFootprint(footprintName) {
+        const read = this.footprints.get(footprintName);
+        return read ? (await read()).text() : null;
+    }
+
+    hasModel(footprintName) {
+        return this.models.has(footprintName);
+    }
+
+    /**
+     * A blob: URL for the footprint's VRML model, which the 3D preview can fetch
+     * @returns {Promise<string|null>} null when there is no VRML model
+     */
+    async getModelUrl(footprintName) {
+        const model = this.models.get(footprintName);
+        if (!model?.vrml) return null;
+        if (!this.modelUrls.has(footprintName)) {
+            this.modelUrls.set(footprintName, URL.createObjectURL(await model.read()));
+        }
+        return this.modelUrls.get(footprintName);
+    }
+
+    /**
+     * Release the blob: URLs handed out by getModelUrl. Call once the
+     * library is no longer in use.
+     */
+    dispose() {
+        for (const url of this.modelUrls.values()) URL.revokeObjectURL(url);
+        this.modelUrls.clear();
+    }
+}
@@ -262,4 +262,67 @@ export class ModifyShapeCommand extends Command {
         shape.invalidate();
         this.app.renderShapes(true);
     }
-}
\ No newline at end of file
+}
+/**
+ * Command to rotate, mirror or revalue components
+ * States are { rotation, mirror } and/or { value } per component, in the same order
+ */
+export class ModifyComponentsCommand extends Command {
+    constructor(app, components, beforeStates, afterStates, description = null) {
+        super(description || (components.length === 1
+            ? `Modify ${components[0].reference || 'component'}`
+            : `Modify ${components.length} components`));
+        this.app = app;
+        this.componentIds = components.map(c => c.id);
+        this.beforeStates = beforeStates;
+        this.afterStates = afterStates;
+    }
+
+    execute() {
+        this._applyStates(this.afterStates);
+    }
+
+    undo() {
+        this._applyStates(this.beforeStates);
+    }
+
+    _applyStates(states) {
+        this.componentIds.forEach((id, i) => {
+            const component = this.app.components.find(c => c.id === id);
+            if (!component) return;
+            const state = states[i];
+            if ('rotation' in state) {
+                component.setOrientation(state.rotation, state.mirror);
+            }
+            if ('value' in state) {
+                component.value = state.value;
+                component.element?.remove();
+                this.app.viewport.addContent(component.createSymbolElement());
+                this.app.connectivity.invalidate(component);
+            }
+        });
+        this.app.renderShapes(true);
+    }
+}
+
+/**
+ * Several commands undone and redone as one step
+ */
+export class CompositeCommand extends Command {
+    constructor(description, commands) {
+        super(description);
+        this.commands = commands;
+    }
+
+    execute() {
+        for (const command of this.commands) {
+            command.execute();
+        }
+    }
+
+    undo() {
+        for (let i = this.commands.length - 1; i >= 0; i--) {
+            this.commands[i].undo();
+        }
+    }
+}
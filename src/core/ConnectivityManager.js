@@ -0,0 +1,997 @@
+/**
+ * ConnectivityManager - Extracts the netlist from wires and component pins
+ *
+ * Handles:
+ * - Wire-to-wire contacts (endpoint-to-endpoint and T landings on a segment)
+ * - Pin-to-wire and pin-to-pin contacts (via Component.getPinPosition)
+ * - Net labels, which name the net they touch and join same-name nets
+ * - Power ports, which define global nets named after their value
+ * - Sheet pins and hierarchical labels (joined across sheets by the hierarchy)
+ * - No-connect flags, which mark the pin they sit on as intentionally open
+ * - Buses, bus labels ("D[0..7]", "{SDA SCL}") and bus entries; buses group
+ *   member names but never join nets themselves
+ * - Grouping connected items into nets with auto-generated names
+ * - Locating junction points (T landings and 3+ way meetings)
+ * - Lazy, incremental updates: only items whose geometry changed are
+ *   re-measured, and only the nets they touch are taken apart and linked
+ *   again; the spatial index and every other net are kept between edits
+ */
+
+import { distanceToSegment } from './geometry.js';
+import { expandBusName } from './busNames.js';
+import { getPinElectricalType } from './ErcEngine.js';
+
+// Spatial hash cell size in world units (mm)
+const CELL_SIZE = 10;
+
+export class ConnectivityManager {
+    constructor(options = {}) {
+        this.shapes = [];
+        this.components = [];
+
+        // Contact tolerance in world units
+        this.tolerance = options.tolerance || 0.01;
+
+        // Per-item geometry cache: id -> { signature, contacts, segments, busContacts, busSegments }
+        this.entries = new Map();
+        // Ids whose cached geometry must be re-measured even if the signature matches
+        this.stale = new Set();
+
+        // Spatial index of the cached entries
+        this.pointIndex = new Map();    // point key -> Set of contacts
+        this.contactCells = new Map();  // cell key -> Set of contacts
+        this.segmentCells = new Map();  // cell key -> Set of segments
+
+        // Extracted netlist (valid while !dirty)
+        this.nets = [];
+        this.netsByName = new Map();
+        this.netsByAlias = new Map();
+        this.netByNode = new Map();
+        this.netEntries = new Map();    // net -> Set of entry ids
+        this.netNodes = new Map();      // net -> nodes mapped to it in netByNode
+        this.netJunctions = new Map();  // point key -> junction on a wire net
+        this.busJunctions = [];
+        this.junctions = [];
+        this.buses = [];
+        this.busById = new Map();
+        this.dirty = true;
+
+        // Callbacks
+        this.onChanged = options.onChanged || null;
+    }
+
+    /**
+     * Set the shapes and components to extract connectivity from
+     */
+    setItems(shapes, components) {
+        this.shapes = shapes;
+        this.components = components;
+        this.invalidate();
+    }
+
+    /**
+     * Read the netlist as it would be with other items, then put the
+     * current items back. Nothing is notified, and since only the nets
+     * that differ are relinked, a small change costs little both ways.
+     * @param {function(): *} read - Called with the trial items in place
+     * @returns {*} What read returned
+     */
+    withItems(shapes, components, read) {
+        const { shapes: savedShapes, components: savedComponents, onChanged } = this;
+        this.onChanged = null;
+        try {
+            this.setItems(shapes, components);
+            return read();
+        } finally {
+            this.setItems(savedShapes, savedComponents);
+            this.onChanged = onChanged;
+        }
+    }
+
+    /**
+     * Mark the netlist stale. Passing an item also marks its cached geometry stale.
+     * @param {Shape|Component} [item]
+     */
+    invalidate(item = null) {
+        if (item) {
+            this.stale.add(item.id);
+        }
+        this.dirty = true;
+        if (this.onChanged) {
+            this.onChanged();
+        }
+    }
+
+    /**
+     * Get all nets, rebuilding if anything changed since the last query
+     * @returns {Array<object>} Nets sorted by name
+     */
+    getNets() {
+        this._ensureUpToDate();
+        return this.nets;
+    }
+
+    /**
+     * Get a net by its name
+     */
+    getNetByName(name) {
+        this._ensureUpToDate();
+        return this.netsByName.get(name) || null;
+    }
+
+    /**
+     * Get the net a component pin belongs to
+     */
+    getNetForPin(componentId, pinNumber) {
+        this._ensureUpToDate();
+        return this.netByNode.get(pinNode(componentId, pinNumber)) || null;
+    }
+
+    /**
+     * Whether a component pin carries a no-connect flag
+     */
+    isPinNoConnected(componentId, pinNumber) {
+        const net = this.getNetForPin(componentId, pinNumber);
+        const pin = net?.pins.find(p => p.componentId === componentId && String(p.pinNumber) === String(pinNumber));
+        return !!pin?.noConnect;
+    }
+
+    /**
+     * Get the net a wire belongs to
+     */
+    getNetForWire(wireId) {
+        this._ensureUpToDate();
+        return this.netByNode.get(wireNode(wireId)) || null;
+    }
+
+    /**
+     * Get the net a net label names
+     */
+    getNetForLabel(labelId) {
+        this._ensureUpToDate();
+        return this.netByNode.get(labelNode(labelId)) || null;
+    }
+
+    /**
+     * Get all buses with their member names and the nets tapped off them
+     * @returns {Array<object>} Buses sorted by name
+     */
+    getBuses() {
+        this._ensureUpToDate();
+        return this.buses;
+    }
+
+    /**
+     * Get the bus a bus shape, bus label or bus entry belongs to
+     */
+    getBusFor(id) {
+        this._ensureUpToDate();
+        return this.busById.get(id) || null;
+    }
+
+    /**
+     * Get points that need a junction dot: a wire end landing mid-way on
+     * another wire, or three or more wire ends/pins meeting at one point
+     * @returns {Array<{x: number, y: number}>}
+     */
+    getJunctionPoints() {
+        this._ensureUpToDate();
+        return this.junctions;
+    }
+
+    /**
+     * Get every conductive item on the sheet as contact points and segments
+     * (wires, buses and bus entries). Used to keep new wires clear of them.
+     * @returns {{points: Array<{x, y, kind}>, segments: Array<{a, b}>}}
+     */
+    getConductors() {
+        this._ensureUpToDate();
+        const points = [];
+        const segments = [];
+        for (const entry of this.entries.values()) {
+            for (const contact of [...entry.contacts, ...entry.busContacts]) {
+                points.push({ x: contact.x, y: contact.y, kind: contact.kind });
+            }
+            for (const seg of [...entry.segments, ...entry.busSegments]) {
+                segments.push({ a: seg.a, b: seg.b });
+            }
+        }
+        return { points, segments };
+    }
+
+    /**
+     * Get the net touching a world position (wire segment or pin), or null
+     * @param {object} point - {x, y} in world coordinates
+     * @param {number} tolerance - Hit distance in world units
+     */
+    getNetAt(point, tolerance = 0.5) {
+        this._ensureUpToDate();
+        let best = null;
+        let bestDist = tolerance;
+        for (const entry of this.entries.values()) {
+            for (const contact of entry.contacts) {
+                if (contact.kind !== 'pin') continue;
+                const d = Math.hypot(contact.x - point.x, contact.y - point.y);
+                if (d <= bestDist) {
+                    bestDist = d;
+                    best = contact.node;
+                }
+            }
+            for (const seg of entry.segments) {
+                const d = distanceToSegment(point, seg.a, seg.b);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = seg.node;
+                }
+            }
+        }
+        return best ? (this.netByNode.get(best) || null) : null;
+    }
+
+    _ensureUpToDate() {
+        if (this.dirty) {
+            this._rebuild();
+            this.dirty = false;
+        }
+    }
+
+    // ==================== Geometry Cache ====================
+
+    /**
+     * Refresh cached contacts/segments, re-measuring only items whose geometry changed
+     * @returns {{removed: Array<object>, added: Array<object>}} Entries dropped and
+     *   entries measured; a changed item is in both, old and new
+     */
+    _refreshEntries() {
+        const removed = [];
+        const added = [];
+        const seen = new Set();
+        const items = [...this.shapes, ...this.components];
+        for (const item of items) {
+            const signature = this._getSignature(item);
+            if (signature === null) continue;
+            seen.add(item.id);
+            const cached = this.entries.get(item.id);
+            if (cached && cached.signature === signature && !this.stale.has(item.id)) {
+                cached.item = item;
+                continue;
+            }
+            if (cached) removed.push(cached);
+            const entry = { item, signature, ...this._measure(item) };
+            this.entries.set(item.id, entry);
+            added.push(entry);
+        }
+        for (const [id, entry] of this.entries) {
+            if (seen.has(id)) continue;
+            removed.push(entry);
+            this.entries.delete(id);
+        }
+        this.stale.clear();
+        return { removed, added };
+    }
+
+    _indexEntry(entry) {
+        for (const contact of entry.contacts) {
+            addToIndex(this.pointIndex, this._pointKey(contact), contact);
+            addToIndex(this.contactCells, cellKey(contact.x, contact.y), contact);
+        }
+        for (const seg of entry.segments) {
+            for (const key of this._segmentCells(seg)) {
+                addToIndex(this.segmentCells, key, seg);
+            }
+        }
+    }
+
+    _unindexEntry(entry) {
+        for (const contact of entry.contacts) {
+            removeFromIndex(this.pointIndex, this._pointKey(contact), contact);
+            removeFromIndex(this.contactCells, cellKey(contact.x, contact.y), contact);
+        }
+        for (const seg of entry.segments) {
+            for (const key of this._segmentCells(seg)) {
+                removeFromIndex(this.segmentCells, key, seg);
+            }
+        }
+    }
+
+    /**
+     * Keys of the spatial cells a segment's bounds cover, tolerance included
+     */
+    _segmentCells(seg) {
+        const keys = [];
+        const minCx = Math.floor((Math.min(seg.a.x, seg.b.x) - this.tolerance) / CELL_SIZE);
+        const maxCx = Math.floor((Math.max(seg.a.x, seg.b.x) + this.tolerance) / CELL_SIZE);
+        const minCy = Math.floor((Math.min(seg.a.y, seg.b.y) - this.tolerance) / CELL_SIZE);
+        const maxCy = Math.floor((Math.max(seg.a.y, seg.b.y) + this.tolerance) / CELL_SIZE);
+        for (let cx = minCx; cx <= maxCx; cx++) {
+            for (let cy = minCy; cy <= maxCy; cy++) {
+                keys.push(`${cx},${cy}`);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Segments (other than the contact's own) that a contact lands on
+     */
+    _segmentsUnder(contact) {
+        const found = [];
+        for (const seg of this.segmentCells.get(cellKey(contact.x, contact.y)) || []) {
+            if (seg.node === contact.node) continue;
+            if (distanceToSegment(contact, seg.a, seg.b) <= this.tolerance) found.push(seg);
+        }
+        return found;
+    }
+
+    /**
+     * Geometry signature of an item; null for items that carry no connectivity
+     */
+    _getSignature(item) {
+        if (item.type === 'wire') {
+            return `w|${item.net || ''}|` + item.points.map(p => `${p.x},${p.y}`).join(';');
+        }
+        if (item.type === 'bus') {
+            return 'b|' + item.points.map(p => `${p.x},${p.y}`).join(';');
+        }
+        if (item.type === 'busEntry') {
+            return `e|${item.x},${item.y}|${item.dx},${item.dy}`;
+        }
+        if (item.type === 'noConnect') {
+            return `x|${item.x},${item.y}`;
+        }
+        if (item.type === 'netLabel') {
+            return `l|${item.labelType}|${item.text}|${item.x},${item.y}`;
+        }
+        if (item.type === 'sheet') {
+            return `s|${item.x},${item.y},${item.width},${item.height}|` + item.pins.map(p => `${p.name}@${p.side}${p.offset}`).join(';');
+        }
+        if (item.definition) {
+            const pinCount = item.symbol?.pins?.length || 0;
+            return `c|${item.definition.name}|${item.reference}|${item.value}|${item.x},${item.y}|${item.rotation}|${item.mirror ? 1 : 0}|${pinCount}`;
+        }
+        return null;
+    }
+
+    /**
+     * Compute contact points and conductive segments for an item
+     */
+    _measure(item) {
+        const contacts = [];
+        const segments = [];
+        const busContacts = [];
+        const busSegments = [];
+
+        if (item.type === 'bus') {
+            const node = busNode(item.id);
+            const pts = item.points;
+            for (let i = 0; i < pts.length - 1; i++) {
+                busSegments.push({ a: pts[i], b: pts[i + 1], node, bus: item });
+            }
+            for (const p of [pts[0], pts[pts.length - 1]]) {
+                if (p) busContacts.push({ x: p.x, y: p.y, node, kind: 'busEnd', bus: item });
+            }
+        } else if (item.type === 'busEntry') {
+            // Conducts like a short wire, but only its wire end makes contact
+            const node = entryNode(item.id);
+            const [busEnd, wireEnd] = item.points;
+            segments.push({ a: busEnd, b: wireEnd, node, wire: item });
+            contacts.push({ x: wireEnd.x, y: wireEnd.y, node, kind: 'end' });
+            busContacts.push({ x: busEnd.x, y: busEnd.y, node: busNode(item.id), kind: 'entry', entryNode: node });
+        } else if (item.type === 'netLabel' && expandBusName(item.text)) {
+            busContacts.push({
+                x: item.x,
+                y: item.y,
+                node: labelNode(item.id),
+                kind: 'busLabel',
+                name: item.text,
+                labelType: item.labelType
+            });
+        } else if (item.type === 'wire') {
+            const node = wireNode(item.id);
+            const pts = item.points;
+            for (let i = 0; i < pts.length - 1; i++) {
+                segments.push({ a: pts[i], b: pts[i + 1], node, wire: item });
+            }
+            if (pts.length > 0) {
+                contacts.push({ x: pts[0].x, y: pts[0].y, node, kind: 'end' });
+                if (pts.length > 1) {
+                    const last = pts[pts.length - 1];
+                    contacts.push({ x: last.x, y: last.y, node, kind: 'end' });
+                }
+            }
+        } else if (item.type === 'netLabel') {
+            contacts.push({
+                x: item.x,
+                y: item.y,
+                node: labelNode(item.id),
+                kind: 'label',
+                name: item.text,
+                labelType: item.labelType
+            });
+        } else if (item.type === 'noConnect') {
+            contacts.push({ x: item.x, y: item.y, node: noConnectNode(item.id), kind: 'noConnect' });
+        } else if (item.type === 'sheet') {
+            for (const pin of item.pins) {
+                const pos = item.getPinPosition(pin.name);
+                if (expandBusName(pin.name)) {
+                    busContacts.push({
+                        x: pos.x,
+                        y: pos.y,
+                        node: sheetPinNode(item.id, pin.name),
+                        kind: 'busSheetPin',
+                        sheetId: item.id,
+                        pinName: pin.name
+                    });
+                    continue;
+                }
+                contacts.push({
+                    x: pos.x,
+                    y: pos.y,
+                    node: sheetPinNode(item.id, pin.name),
+                    kind: 'sheetPin',
+                    sheetId: item.id,
+                    pinName: pin.name
+                });
+            }
+        } else if (item.definition) {
+            for (const pin of item.symbol?.pins || []) {
+                const pos = item.getPinPosition(pin.number);
+                if (!pos) continue;
+                contacts.push({
+                    x: pos.x,
+                    y: pos.y,
+                    node: pinNode(item.id, pin.number),
+                    kind: 'pin',
+                    component: item,
+                    pin,
+                    power: item.isPower ? String(item.value || pin.name || '') : null
+                });
+            }
+        }
+
+        return { contacts, segments, busContacts, busSegments };
+    }
+
+    // ==================== Net Extraction ====================
+
+    _rebuild() {
+        const { removed, added } = this._refreshEntries();
+        if (removed.length === 0 && added.length === 0) return;
+
+        // Every net the change touches is taken apart: nets the old geometry
+        // belonged to, nets the new geometry lands on and nets sharing its names
+        const dissolved = new Set();
+        const dissolveNetOf = (node) => {
+            const net = this.netByNode.get(node);
+            if (net) dissolved.add(net);
+        };
+        for (const entry of removed) {
+            for (const node of entryNodes(entry)) dissolveNetOf(node);
+            this._unindexEntry(entry);
+        }
+        for (const entry of added) {
+            this._indexEntry(entry);
+        }
+        for (const entry of added) {
+            for (const contact of entry.contacts) {
+                for (const other of this.pointIndex.get(this._pointKey(contact))) dissolveNetOf(other.node);
+                for (const seg of this._segmentsUnder(contact)) dissolveNetOf(seg.node);
+            }
+            for (const seg of entry.segments) {
+                for (const key of this._segmentCells(seg)) {
+                    for (const contact of this.contactCells.get(key) || []) {
+                        if (distanceToSegment(contact, seg.a, seg.b) <= this.tolerance) dissolveNetOf(contact.node);
+                    }
+                }
+            }
+            for (const name of entryNames(entry)) {
+                const net = this.netsByAlias.get(name);
+                if (net) dissolved.add(net);
+            }
+        }
+
+        // The nodes of the dissolved nets and of the changed items are linked
+        // again; nothing outside them can touch them, or its net would be
+        // dissolved too. A part's other pins keep their nets.
+        const relinkNodes = new Set();
+        const relinkEntries = new Map();
+        for (const net of dissolved) {
+            for (const id of this.netEntries.get(net)) {
+                const entry = this.entries.get(id);
+                if (entry) relinkEntries.set(id, entry);
+            }
+            for (const node of this.netNodes.get(net)) {
+                this.netByNode.delete(node);
+                relinkNodes.add(node);
+            }
+            this.netEntries.delete(net);
+            this.netNodes.delete(net);
+        }
+        for (const entry of added) {
+            relinkEntries.set(entry.item.id, entry);
+            for (const node of entryNodes(entry)) relinkNodes.add(node);
+        }
+        const relink = [...relinkEntries.values()].map(entry => ({
+            entry,
+            contacts: entry.contacts.filter(contact => relinkNodes.has(contact.node)),
+            segments: entry.segments.filter(seg => relinkNodes.has(seg.node))
+        }));
+        for (const contact of [...removed.flatMap(entry => entry.contacts), ...relink.flatMap(r => r.contacts)]) {
+            this.netJunctions.delete(this._pointKey(contact));
+        }
+
+        const uf = new UnionFind();
+        const meetings = new Map();
+
+        // Items carrying the same net name are one net even if not drawn touching
+        for (const { entry, contacts, segments } of relink) {
+            for (const seg of segments) uf.add(seg.node);
+            if (entry.item.type === 'wire' && entry.item.net && segments.length > 0) {
+                uf.union(wireNode(entry.item.id), nameNode(entry.item.net));
+            }
+            for (const contact of contacts) {
+                uf.add(contact.node);
+                if (contact.kind === 'label' && contact.name) {
+                    uf.union(contact.node, nameNode(contact.name));
+                } else if (contact.power) {
+                    uf.union(contact.node, nameNode(contact.power));
+                }
+            }
+        }
+
+        // Join contacts with each other and with any segment they land on
+        for (const { contacts } of relink) {
+            for (const contact of contacts) {
+                const pKey = this._pointKey(contact);
+                const [first] = this.pointIndex.get(pKey);
+                uf.union(first.node, contact.node);
+
+                // Labels and no-connect flags attach to a net but are not a wire branch
+                let meeting = null;
+                if (contact.kind !== 'label' && contact.kind !== 'noConnect') {
+                    if (!meetings.has(pKey)) {
+                        meetings.set(pKey, { x: contact.x, y: contact.y, ends: 0, wireEnds: 0, passing: new Set() });
+                    }
+                    meeting = meetings.get(pKey);
+                    meeting.ends++;
+                    if (contact.kind === 'end') meeting.wireEnds++;
+                }
+
+                for (const seg of this._segmentsUnder(contact)) {
+                    uf.union(seg.node, contact.node);
+                    if (meeting && !this._isWireEnd(seg.wire, contact)) {
+                        meeting.passing.add(seg.node);
+                    }
+                }
+            }
+        }
+
+        // Group nodes by root into nets
+        const groups = new Map();
+        const join = (node, entry) => {
+            const group = getGroup(groups, uf.find(node));
+            group.entryIds.add(entry.item.id);
+            return group;
+        };
+        for (const { entry, contacts } of relink) {
+            const ownNode = entry.item.type === 'wire' ? wireNode(entry.item.id) : entryNode(entry.item.id);
+            if (!relinkNodes.has(ownNode)) {
+                // Only some of a part's pins are relinked
+            } else if (entry.item.type === 'wire') {
+                const node = ownNode;
+                const group = join(node, entry);
+                group.nodes.push(node);
+                group.wireIds.push(entry.item.id);
+                if (entry.item.net) group.names.add(entry.item.net);
+            } else if (entry.item.type === 'busEntry') {
+                const node = ownNode;
+                const group = join(node, entry);
+                group.nodes.push(node);
+                group.busEntryIds.push(entry.item.id);
+            }
+            for (const contact of contacts) {
+                if (contact.kind === 'end') continue;
+                const group = join(contact.node, entry);
+                group.nodes.push(contact.node);
+                if (contact.kind === 'label') {
+                    group.labelIds.push(entry.item.id);
+                    if (contact.name) group.names.add(contact.name);
+                    if (contact.name && contact.labelType === 'hierarchical') {
+                        group.hierarchicalLabels.add(contact.name);
+                    }
+                    continue;
+                }
+                if (contact.kind === 'sheetPin') {
+                    group.sheetPins.push({ sheetId: contact.sheetId, pinName: contact.pinName });
+                    continue;
+                }
+                if (contact.kind === 'noConnect') {
+                    group.noConnects.push({ id: entry.item.id, x: contact.x, y: contact.y });
+                    continue;
+                }
+                // Power ports are not parts; they only name the net
+                if (contact.power !== null) {
+                    group.powerIds.push(contact.component.id);
+                    if (contact.power) group.powerNames.add(contact.power);
+                    continue;
+                }
+                group.pins.push({
+                    componentId: contact.component.id,
+                    reference: contact.component.reference,
+                    pinNumber: contact.pin.number,
+                    pinName: contact.pin.name || '',
+                    pinType: getPinElectricalType(contact.pin),
+                    x: contact.x,
+                    y: contact.y
+                });
+            }
+        }
+
+        const nets = this.nets.filter(net => !dissolved.has(net));
+        let busNetsChanged = [...dissolved].some(net => net.entryIds.length > 0);
+        for (const group of groups.values()) {
+            group.pins.sort(comparePins);
+            // Relinked items come in no fixed order, and auto names use the first id
+            for (const ids of [group.wireIds, group.busEntryIds, group.labelIds, group.powerIds]) ids.sort(naturalCompare);
+            group.sheetPins.sort((a, b) => naturalCompare(a.sheetId, b.sheetId) || naturalCompare(a.pinName, b.pinName));
+            group.noConnects.sort((a, b) => naturalCompare(a.id, b.id));
+            // A pin is intentionally open when a no-connect flag sits right on it
+            const flagged = new Set(group.noConnects.map(nc => this._pointKey(nc)));
+            for (const pin of group.pins) {
+                pin.noConnect = flagged.has(this._pointKey(pin));
+            }
+            // Power names outrank labels and wire names
+            const names = group.powerNames.size > 0 ? group.powerNames : group.names;
+            const named = names.size > 0;
+            const net = {
+                name: named ? [...names].sort(naturalCompare)[0] : null,
+                named,
+                global: group.powerNames.size > 0,
+                aliases: [...new Set([...group.powerNames, ...group.names])].sort(naturalCompare),
+                pins: group.pins,
+                wireIds: group.wireIds,
+                entryIds: group.busEntryIds,
+                labelIds: group.labelIds,
+                powerIds: group.powerIds,
+                sheetPins: group.sheetPins,
+                hierarchicalLabels: [...group.hierarchicalLabels].sort(naturalCompare),
+                noConnects: group.noConnects
+            };
+            nets.push(net);
+            this.netEntries.set(net, group.entryIds);
+            this.netNodes.set(net, group.nodes);
+            for (const node of group.nodes) this.netByNode.set(node, net);
+            if (net.entryIds.length > 0) busNetsChanged = true;
+        }
+
+        // A wire passing through a point counts as two branches
+        for (const [key, meeting] of meetings) {
+            const branches = meeting.ends + meeting.passing.size * 2;
+            const hasWire = meeting.wireEnds > 0 || meeting.passing.size > 0;
+            if (hasWire && branches >= 3) {
+                this.netJunctions.set(key, { x: meeting.x, y: meeting.y });
+            }
+        }
+
+        if (this._finishNets(nets)) busNetsChanged = true;
+
+        const busChanged = [...removed, ...added].some(entry => entry.busContacts.length > 0 || entry.busSegments.length > 0);
+        if (busChanged || busNetsChanged) {
+            this._rebuildBuses();
+        }
+        this.junctions = [...this.netJunctions.values(), ...this.busJunctions];
+    }
+
+    /**
+     * Name, sort and number the nets and rebuild the lookups by name
+     * @returns {boolean} Whether a net that taps a bus changed its name
+     */
+    _finishNets(nets) {
+        const before = new Map(nets.map(net => [net, net.name]));
+        const autoNets = new Set(nets.filter(net => !net.named));
+        for (const net of autoNets) net.name = this._autoName(net);
+        makeAutoNamesUnique(nets, autoNets);
+
+        nets.sort((a, b) => naturalCompare(a.name, b.name));
+        this.nets = nets;
+        this.netsByName = new Map();
+        this.netsByAlias = new Map();
+        let renamedBusNet = false;
+        nets.forEach((net, i) => {
+            net.code = i + 1;
+            this.netsByName.set(net.name, net);
+            for (const alias of net.aliases) this.netsByAlias.set(alias, net);
+            if (net.entryIds.length > 0 && before.get(net) !== net.name) renamedBusNet = true;
+        });
+        return renamedBusNet;
+    }
+
+    /**
+     * Group buses joined end-to-end, by T landings or by sharing a bus label
+     * name, and collect their members and the nets their entries tap off
+     */
+    _rebuildBuses() {
+        this.busJunctions = [];
+        const uf = new UnionFind();
+        const busSegments = [];
+        const busContacts = [];
+        for (const entry of this.entries.values()) {
+            busSegments.push(...entry.busSegments);
+            for (const contact of entry.busContacts) {
+                busContacts.push({ ...contact, item: entry.item });
+                uf.add(contact.node);
+            }
+        }
+
+        for (const contact of busContacts) {
+            if (contact.kind === 'busLabel') {
+                uf.union(contact.node, nameNode(contact.name));
+            }
+            for (const seg of busSegments) {
+                if (seg.node === contact.node) continue;
+                if (distanceToSegment(contact, seg.a, seg.b) > this.tolerance) continue;
+                uf.union(seg.node, contact.node);
+                // A bus ending part-way along another bus gets a junction dot
+                if (contact.kind === 'busEnd' && !this._isWireEnd(seg.bus, contact)) {
+                    this.busJunctions.push({ x: contact.x, y: contact.y });
+                }
+            }
+        }
+
+        const groups = new Map();
+        const getBusGroup = (node) => {
+            const root = uf.find(node);
+            if (!groups.has(root)) {
+                groups.set(root, {
+                    busIds: new Set(),
+                    labelIds: [],
+                    entryIds: [],
+                    names: [],
+                    hierarchicalLabels: new Set(),
+                    sheetPins: [],
+                    entries: []
+                });
+            }
+            return groups.get(root);
+        };
+
+        for (const contact of busContacts) {
+            const group = getBusGroup(contact.node);
+            if (contact.kind === 'busEnd') {
+                group.busIds.add(contact.bus.id);
+            } else if (contact.kind === 'busLabel') {
+                group.labelIds.push(contact.item.id);
+                group.names.push(contact.name);
+                if (contact.labelType === 'hierarchical') group.hierarchicalLabels.add(contact.name);
+            } else if (contact.kind === 'busSheetPin') {
+                group.sheetPins.push({ sheetId: contact.sheetId, pinName: contact.pinName });
+                group.names.push(contact.pinName);
+            } else if (contact.kind === 'entry') {
+                group.entryIds.push(contact.item.id);
+                const net = this.netByNode.get(contact.entryNode) || null;
+                group.entries.push({ entryId: contact.item.id, net: net ? net.name : null });
+            }
+        }
+
+        const buses = [];
+        this.busById = new Map();
+        for (const group of groups.values()) {
+            if (group.busIds.size === 0 && group.names.length === 0) continue;
+            const names = [...new Set(group.names)].sort(naturalCompare);
+            const members = [];
+            for (const name of names) {
+                for (const member of expandBusName(name) || []) {
+                    if (!members.includes(member)) members.push(member);
+                }
+            }
+            const busIds = [...group.busIds];
+            const bus = {
+                name: names[0] || `Bus-(${busIds[0]})`,
+                named: names.length > 0,
+                aliases: names,
+                members,
+                busIds,
+                labelIds: group.labelIds,
+                entryIds: group.entryIds,
+                entries: group.entries,
+                sheetPins: group.sheetPins,
+                hierarchicalLabels: [...group.hierarchicalLabels].sort(naturalCompare)
+            };
+            buses.push(bus);
+            for (const id of [...busIds, ...group.labelIds, ...group.entryIds]) {
+                this.busById.set(id, bus);
+            }
+        }
+
+        buses.sort((a, b) => naturalCompare(a.name, b.name));
+        this.buses = buses;
+    }
+
+    /**
+     * Auto-generated net name, KiCad-style, from the first pin on the net
+     */
+    _autoName(net) {
+        const first = net.pins[0];
+        if (!first) {
+            const sheetPin = net.sheetPins[0];
+            if (sheetPin) return `Net-(${sheetPin.sheetId}-${sheetPin.pinName})`;
+            return `Net-(${net.wireIds[0] || net.entryIds[0] || net.labelIds[0] || net.powerIds[0] || net.noConnects[0]?.id})`;
+        }
+        if (net.pins.length === 1 && net.wireIds.length === 0) {
+            return `unconnected-(${first.reference}-Pad${first.pinNumber})`;
+        }
+        return `Net-(${first.reference}-Pad${first.pinNumber})`;
+    }
+
+    _isWireEnd(wire, p) {
+        const pts = wire.points;
+        const key = this._pointKey(p);
+        return this._pointKey(pts[0]) === key || this._pointKey(pts[pts.length - 1]) === key;
+    }
+
+    _pointKey(p) {
+        const q = 1 / this.tolerance;
+        return `${Math.round(p.x * q)},${Math.round(p.y * q)}`;
+    }
+}
+
+// ==================== Helpers ====================
+
+function wireNode(id) {
+    return `w:${id}`;
+}
+
+function busNode(id) {
+    return `b:${id}`;
+}
+
+function entryNode(id) {
+    return `e:${id}`;
+}
+
+function nameNode(name) {
+    return `n:${name}`;
+}
+
+function labelNode(id) {
+    return `l:${id}`;
+}
+
+function noConnectNode(id) {
+    return `x:${id}`;
+}
+
+function sheetPinNode(sheetId, pinName) {
+    return `s:${sheetId}:${pinName}`;
+}
+
+function pinNode(componentId, pinNumber) {
+    return `p:${componentId}:${pinNumber}`;
+}
+
+/**
+ * Every node an entry maps to a net
+ */
+function entryNodes(entry) {
+    const nodes = entry.contacts.map(contact => contact.node);
+    if (entry.item.type === 'wire') nodes.push(wireNode(entry.item.id));
+    if (entry.item.type === 'busEntry') nodes.push(entryNode(entry.item.id));
+    return nodes;
+}
+
+/**
+ * Net names an entry carries (labels, power ports, named wires)
+ */
+function entryNames(entry) {
+    const names = [];
+    if (entry.item.type === 'wire' && entry.item.net) names.push(entry.item.net);
+    for (const contact of entry.contacts) {
+        if (contact.kind === 'label' && contact.name) names.push(contact.name);
+        else if (contact.power) names.push(contact.power);
+    }
+    return names;
+}
+
+function cellKey(x, y) {
+    return `${Math.floor(x / CELL_SIZE)},${Math.floor(y / CELL_SIZE)}`;
+}
+
+function addToIndex(index, key, value) {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(value);
+}
+
+function removeFromIndex(index, key, value) {
+    const set = index.get(key);
+    if (!set) return;
+    set.delete(value);
+    if (set.size === 0) index.delete(key);
+}
+
+function getGroup(groups, root) {
+    if (!groups.has(root)) {
+        groups.set(root, {
+            entryIds: new Set(),
+            pins: [],
+            wireIds: [],
+            busEntryIds: [],
+            labelIds: [],
+            powerIds: [],
+            sheetPins: [],
+            hierarchicalLabels: new Set(),
+            noConnects: [],
+            names: new Set(),
+            powerNames: new Set(),
+            nodes: []
+        });
+    }
+    return groups.get(root);
+}
+
+function comparePins(a, b) {
+    return naturalCompare(a.reference, b.reference) || naturalCompare(String(a.pinNumber), String(b.pinNumber));
+}
+
+/**
+ * Give auto-named nets whose names clash a unique one. Unannotated parts
+ * ("R?") and pasted copies share references, so two nets can otherwise get
+ * the same "Net-(R?-Pad1)" and be merged by whatever reads the netlist.
+ * The first pin's component id is added, then a counter if that still clashes.
+ * @param {Array<{name: string, pins: Array<object>}>} nets
+ * @param {Set<object>} autoNets - The nets whose names were generated
+ */
+export function makeAutoNamesUnique(nets, autoNets) {
+    const counts = new Map();
+    for (const net of nets) counts.set(net.name, (counts.get(net.name) || 0) + 1);
+    const taken = new Set(counts.keys());
+    for (const net of nets) {
+        if (!autoNets.has(net) || counts.get(net.name) === 1) continue;
+        const componentId = net.pins[0]?.componentId;
+        const base = componentId ? net.name.replace(/\)$/, `-${componentId})`) : net.name;
+        let name = base;
+        for (let i = 2; taken.has(name); i++) name = `${base}_${i}`;
+        taken.add(name);
+        net.name = name;
+    }
+}
+
+// One collator for every comparison; localeCompare builds one per call
+const NATURAL_COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Compare strings so that "R2" sorts before "R10"
+ */
+export function naturalCompare(a, b) {
+    return NATURAL_COLLATOR.compare(String(a), String(b));
+}
+
+/**
+ * Disjoint-set forest with path compression
+ */
+class UnionFind {
+    constructor() {
+        this.parent = new Map();
+    }
+
+    add(node) {
+        if (!this.parent.has(node)) this.parent.set(node, node);
+    }
+
+    find(node) {
+        this.add(node);
+        let root = node;
+        while (this.parent.get(root) !== root) root = this.parent.get(root);
+        while (this.parent.get(node) !== root) {
+            const next = this.parent.get(node);
+            this.parent.set(node, root);
+            node = next;
+        }
+        return root;
+    }
+
+    union(a, b) {
+        const ra = this.find(a);
+        const rb = this.find(b);
+        if (ra !== rb) this.parent.set(ra, rb);
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * ErcEngine - Electrical Rules Check over an extracted netlist
+ *
+ * Checks:
+ * - Pin conflicts, looked up in a configurable pin-type matrix
+ *   (e.g. output to output, anything to a no_connect pin)
+ * - Input pins on a net with nothing driving it
+ * - power_in pins with no power_out pin or power port on the net
+ * - Pins connected to nothing, unless flagged no-connect
+ * - No-connect flags on a pin that is wired up anyway, or on no pin at all
+ *
+ * Power ports (GND, VCC, ...) count as supplying their net, so a plain
+ * schematic does not need power flags to pass.
+ */
+
+// Pin electrical types, in KiCad order
+export const PIN_TYPES = [
+    'input',
+    'output',
+    'bidirectional',
+    'tri_state',
+    'passive',
+    'free',
+    'unspecified',
+    'power_in',
+    'power_out',
+    'open_collector',
+    'open_emitter',
+    'no_connect'
+];
+
+export const PIN_TYPE_LABELS = {
+    input: 'Input',
+    output: 'Output',
+    bidirectional: 'Bidirectional',
+    tri_state: 'Tri-state',
+    passive: 'Passive',
+    free: 'Free',
+    unspecified: 'Unspecified',
+    power_in: 'Power input',
+    power_out: 'Power output',
+    open_collector: 'Open collector',
+    open_emitter: 'Open emitter',
+    no_connect: 'Not connected'
+};
+
+export const ERC_OK = 'ok';
+export const ERC_WARNING = 'warning';
+export const ERC_ERROR = 'error';
+
+// Default conflict levels, one row per PIN_TYPES entry (symmetric)
+const O = ERC_OK;
+const W = ERC_WARNING;
+const E = ERC_ERROR;
+const DEFAULT_MATRIX_ROWS = [
+    /*            in out bi  3s  pas fre uns pwi pwo oc  oe  nc */
+    /* in  */   [O, O, O, O, O, O, W, O, O, O, O, E],
+    /* out */   [O, E, O, W, O, O, W, O, E, E, E, E],
+    /* bi  */   [O, O, O, O, O, O, W, O, W, O, W, E],
+    /* 3s  */   [O, W, O, O, O, O, W, W, E, W, W, E],
+    /* pas */   [O, O, O, O, O, O, W, O, O, O, O, E],
+    /* fre */   [O, O, O, O, O, O, O, O, O, O, O, E],
+    /* uns */   [W, W, W, W, W, O, W, W, W, W, W, E],
+    /* pwi */   [O, O, O, W, O, O, W, O, O, O, O, E],
+    /* pwo */   [O, E, W, E, O, O, W, O, E, E, E, E],
+    /* oc  */   [O, E, O, W, O, O, W, O, E, O, O, E],
+    /* oe  */   [O, E, W, W, O, O, W, O, E, O, O, E],
+    /* nc  */   [E, E, E, E, E, E, E, E, E, E, E, E]
+];
+
+// Pin types that can drive an input
+const DRIVER_TYPES = new Set(['output', 'bidirectional', 'tri_state', 'passive', 'power_out', 'open_collector', 'open_emitter']);
+
+/**
+ * Electrical type of a symbol pin. Built-in symbols keep it in `type`,
+ * KiCad symbols in `pinType` (their `type` is always 'pin').
+ */
+export function getPinElectricalType(pin) {
+    const type = pin?.pinType || (pin?.type !== 'pin' ? pin?.type : null);
+    return PIN_TYPES.includes(type) ? type : (type === 'unconnected' ? 'no_connect' : 'passive');
+}
+
+function matrixKey(a, b) {
+    return PIN_TYPES.indexOf(a) <= PIN_TYPES.indexOf(b) ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Default pin conflict matrix as { "typeA|typeB": level }
+ */
+export function createDefaultPinMatrix() {
+    const matrix = {};
+    PIN_TYPES.forEach((a, i) => {
+        PIN_TYPES.forEach((b, j) => {
+            if (j >= i) matrix[matrixKey(a, b)] = DEFAULT_MATRIX_ROWS[i][j];
+        });
+    });
+    return matrix;
+}
+
+export function getMatrixLevel(matrix, a, b) {
+    return matrix[matrixKey(a, b)] || ERC_OK;
+}
+
+export function setMatrixLevel(matrix, a, b, level) {
+    matrix[matrixKey(a, b)] = level;
+}
+
+export class ErcEngine {
+    /**
+     * @param {object} options
+     * @param {object} [options.matrix] - Overrides for the default pin matrix
+     */
+    constructor(options = {}) {
+        this.matrix = { ...createDefaultPinMatrix(), ...(options.matrix || {}) };
+    }
+
+    /**
+     * Check a netlist
+     * @param {Array<object>} nets - Nets from ConnectivityManager.getNets()
+     * @param {object} [options]
+     * @param {Set<string>|Array<string>} [options.exclusions] - Violation ids to mark excluded
+     * @returns {Array<object>} Violations, errors first
+     */
+    run(nets, options = {}) {
+        const exclusions = new Set(options.exclusions || []);
+        const violations = [];
+
+        for (const net of nets) {
+            const pins = net.pins;
+            this._checkNoConnects(net, violations);
+            if (pins.length === 0) continue;
+
+            const connected = pins.length > 1 || net.powerIds.length > 0 || net.sheetPins.length > 0 ||
+                net.hierarchicalLabels.length > 0;
+
+            if (!connected) {
+                const pin = pins[0];
+                if (pin.pinType !== 'no_connect' && !pin.noConnect) {
+                    violations.push(this._violation('pin_not_connected', ERC_ERROR, net, [pin],
+                        `Pin ${describePin(pin)} is not connected`));
+                }
+                continue;
+            }
+
+            this._checkConflicts(net, pins, violations);
+
+            const hasDriver = pins.some(p => DRIVER_TYPES.has(p.pinType)) || net.powerIds.length > 0;
+            // A net leaving the sheet may be driven elsewhere in the hierarchy
+            const leavesSheet = net.sheetPins.length > 0 || net.hierarchicalLabels.length > 0;
+            if (!hasDriver && !leavesSheet) {
+                for (const pin of pins.filter(p => p.pinType === 'input')) {
+                    violations.push(this._violation('pin_not_driven', ERC_ERROR, net, [pin],
+                        `Input pin ${describePin(pin)} is not driven by any output on net ${net.name}`));
+                }
+            }
+
+            const hasPower = net.powerIds.length > 0 || pins.some(p => p.pinType === 'power_out');
+            if (!hasPower && !leavesSheet) {
+                for (const pin of pins.filter(p => p.pinType === 'power_in')) {
+                    violations.push(this._violation('power_pin_not_driven', ERC_ERROR, net, [pin],
+                        `Power input pin ${describePin(pin)} is not powered on net ${net.name}`));
+                }
+            }
+        }
+
+        for (const violation of violations) {
+            violation.excluded = exclusions.has(violation.id);
+        }
+
+        const rank = { [ERC_ERROR]: 0, [ERC_WARNING]: 1 };
+        violations.sort((a, b) => rank[a.severity] - rank[b.severity]);
+        return violations;
+    }
+
+    /**
+     * Report each conflicting pair of pin types once per net
+     */
+    _checkConflicts(net, pins, violations) {
+        const reported = new Set();
+        for (let i = 0; i < pins.length; i++) {
+            for (let j = i + 1; j < pins.length; j++) {
+                const a = pins[i];
+                const b = pins[j];
+                const level = getMatrixLevel(this.matrix, a.pinType, b.pinType);
+                if (level === ERC_OK) continue;
+                const key = matrixKey(a.pinType, b.pinType);
+                if (reported.has(key)) continue;
+                reported.add(key);
+                violations.push(this._violation('pin_conflict', level, net, [a, b],
+                    `${PIN_TYPE_LABELS[a.pinType]} pin ${describePin(a)} connected to ` +
+                    `${PIN_TYPE_LABELS[b.pinType]} pin ${describePin(b)} on net ${net.name}`));
+            }
+        }
+    }
+
+    /**
+     * A no-connect flag must sit on a pin, and that pin must not be wired to anything
+     */
+    _checkNoConnects(net, violations) {
+        for (const flag of net.noConnects || []) {
+            const flagged = net.pins.filter(p => p.noConnect && Math.hypot(p.x - flag.x, p.y - flag.y) < 0.01);
+            if (flagged.length === 0) {
+                violations.push(this._violation('no_connect_dangling', ERC_WARNING, net, [],
+                    'No-connect flag is not on a pin', flag));
+                continue;
+            }
+            const connected = net.wireIds.length > 0 || (net.entryIds || []).length > 0 ||
+                net.pins.length > flagged.length || net.powerIds.length > 0 || net.labelIds.length > 0 ||
+                net.sheetPins.length > 0;
+            if (connected) {
+                violations.push(this._violation('no_connect_connected', ERC_ERROR, net, flagged,
+                    `Pin ${describePin(flagged[0])} is flagged no-connect but is connected to net ${net.name}`, flag));
+            }
+        }
+    }
+
+    /**
+     * @param {object} [flag] - No-connect flag {id, x, y} the violation is about
+     */
+    _violation(code, severity, net, pins, message, flag = null) {
+        const items = pins.map(p => ({
+            componentId: p.componentId,
+            reference: p.reference,
+            pinNumber: p.pinNumber,
+            x: p.x,
+            y: p.y
+        }));
+        const keys = flag ? [flag.id] : items.map(p => `${p.componentId}.${p.pinNumber}`);
+        return {
+            // Ids use component ids so exclusions survive re-annotation
+            id: `${code}:${keys.sort().join(',')}`,
+            code,
+            severity,
+            message,
+            netName: net.name,
+            x: flag ? flag.x : items[0].x,
+            y: flag ? flag.y : items[0].y,
+            items,
+            excluded: false
+        };
+    }
+}
+
+function describePin(pin) {
+    const name = pin.pinName && pin.pinName !== String(pin.pinNumber) ? ` (${pin.pinName})` : '';
+    return `${pin.reference}-${pin.pinNumber}${name}`;
+}
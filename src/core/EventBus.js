@@ -117,6 +117,8 @@ export const Events = {
     WIRE_REMOVED: 'wire:removed',
     NET_HIGHLIGHTED: 'net:highlighted',
     NET_RENAMED: 'net:renamed',
+    NETLIST_CHANGED: 'netlist:changed',
+    SHEET_CHANGED: 'sheet:changed',
     
     // Tool events
     TOOL_CHANGED: 'tool:changed',
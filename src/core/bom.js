@@ -0,0 +1,264 @@
+/**
+ * bom - Bill of materials from the placed parts of a design
+ *
+ * Parts are grouped by value, footprint and MPN; each line lists its
+ * references compactly ("R1, R3-R7"). Pricing comes from whatever supplier
+ * data the caller hands in, so building a BOM never touches the network.
+ */
+
+import { getFootprint, getLcscNumber, getDatasheet, getManufacturer, getMpn } from './partFields.js';
+
+/**
+ * @param {{components: Array<{component: object, reference: string}>}} design - Parts with their references, as from flattenDesign
+ * @param {object} [options]
+ * @param {number} [options.quantity=1] - Boards to build
+ * @param {function(object): ({stock?: number, priceBreaks?: Array<{quantity: number, price: number}>}|null)} [options.getSupplierData]
+ * @returns {{rows: Array<object>, quantity: number, partCount: number, totalCost: number, unpricedRows: number}}
+ */
+export function buildBom(design, options = {}) {
+    const quantity = Math.max(1, Math.floor(options.quantity || 1));
+    const getSupplierData = options.getSupplierData || (() => null);
+    const groups = new Map();
+
+    for (const { component, reference } of design.components) {
+        if (component.isPower || reference.startsWith('#')) continue;
+
+        const value = component.value || '';
+        const footprint = getFootprint(component);
+        const mpn = getMpn(component);
+        const key = [value, footprint, mpn].join('\u0000');
+
+        let group = groups.get(key);
+        if (!group) {
+            group = { value, footprint, mpn, component, references: new Set() };
+            groups.set(key, group);
+        }
+        // Units of one package share a reference and count once
+        group.references.add(reference);
+    }
+
+    const rows = [...groups.values()].map(group => {
+        const { component } = group;
+        const references = [...group.references].sort(compareReferences);
+        const supplier = getSupplierData(component) || {};
+        const orderQuantity = references.length * quantity;
+        const unitPrice = priceAtQuantity(supplier.priceBreaks, orderQuantity);
+        return {
+            references,
+            designators: compressReferences(references),
+            quantity: references.length,
+            orderQuantity,
+            value: group.value,
+            footprint: group.footprint,
+            mpn: group.mpn,
+            manufacturer: getManufacturer(component),
+            lcsc: getLcscNumber(component),
+            description: component.definition?.description || '',
+            datasheet: getDatasheet(component),
+            stock: Number.isFinite(supplier.stock) ? supplier.stock : null,
+            unitPrice,
+            extendedPrice: unitPrice === null ? null : unitPrice * orderQuantity
+        };
+    });
+    rows.sort((a, b) => compareReferences(a.references[0], b.references[0]));
+
+    const priced = rows.filter(row => row.extendedPrice !== null);
+    return {
+        rows,
+        quantity,
+        partCount: rows.reduce((sum, row) => sum + row.quantity, 0),
+        totalCost: priced.reduce((sum, row) => sum + row.extendedPrice, 0),
+        unpricedRows: rows.length - priced.length
+    };
+}
+
+/**
+ * Unit price for an order size: the deepest break the order reaches, or the
+ * first break when the order is below it (that's the minimum you can buy)
+ * @returns {number|null}
+ */
+export function priceAtQuantity(priceBreaks, quantity) {
+    const breaks = (priceBreaks || [])
+        .filter(b => Number.isFinite(Number(b?.price)) && Number(b.price) > 0)
+        .map(b => ({ quantity: Number(b.quantity) || 1, price: Number(b.price) }))
+        .sort((a, b) => a.quantity - b.quantity);
+    if (breaks.length === 0) return null;
+
+    let price = breaks[0].price;
+    for (const tier of breaks) {
+        if (quantity >= tier.quantity) price = tier.price;
+    }
+    return price;
+}
+
+/**
+ * Sorted references with runs of three or more folded: R1, R3-R7, C2, C3
+ */
+export function compressReferences(references) {
+    const parts = [];
+    let run = [];
+    const flush = () => {
+        if (run.length >= 3) {
+            parts.push(`${run[0].text}-${run[run.length - 1].text}`);
+        } else {
+            parts.push(...run.map(r => r.text));
+        }
+        run = [];
+    };
+
+    for (const text of references) {
+        const match = text.match(/^(.*?)(\d+)$/);
+        const ref = match ? { text, prefix: match[1], number: parseInt(match[2], 10) } : { text, prefix: null };
+        const last = run[run.length - 1];
+        if (last && ref.prefix !== null && ref.prefix === last.prefix && ref.number === last.number + 1) {
+            run.push(ref);
+        } else {
+            flush();
+            run.push(ref);
+        }
+    }
+    flush();
+    return parts.join(', ');
+}
+
+const CSV_COLUMNS = [
+    ['Designators', row => row.designators],
+    ['Quantity', row => row.quantity],
+    ['Value', row => row.value],
+    ['Footprint', row => row.footprint],
+    ['Manufacturer', row => row.manufacturer],
+    ['MPN', row => row.mpn],
+    ['LCSC', row => row.lcsc],
+    ['Description', row => row.description],
+    ['Stock', row => row.stock ?? ''],
+    ['Order Qty', row => row.orderQuantity],
+    ['Unit Price (USD)', row => formatPrice(row.unitPrice, 4)],
+    ['Extended Price (USD)', row => formatPrice(row.extendedPrice, 2)]
+];
+
+/**
+ * @param {object} bom - Output of buildBom
+ * @param {object} [options]
+ * @param {boolean} [options.excel] - Byte order mark, CRLF line ends and no
+ *   cells Excel would read as formulas, so the file opens cleanly in Excel
+ * @returns {string}
+ */
+export function bomToCsv(bom, options = {}) {
+    const excel = !!options.excel;
+    const cell = (value) => {
+        let text = String(value ?? '');
+        if (excel && /^[=+\-@]/.test(text) && !/^-?\d/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [CSV_COLUMNS.map(([title]) => cell(title)).join(',')];
+    for (const row of bom.rows) {
+        lines.push(CSV_COLUMNS.map(([, read]) => cell(read(row))).join(','));
+    }
+    if (bom.rows.length) {
+        const total = CSV_COLUMNS.map(() => '');
+        total[0] = `Total for ${plural(bom.quantity, 'board')}`;
+        total[total.length - 1] = formatPrice(bom.totalCost, 2);
+        lines.push(total.map(cell).join(','));
+    }
+
+    const newline = excel ? '\r\n' : '\n';
+    return (excel ? '\uFEFF' : '') + lines.join(newline) + newline;
+}
+
+/**
+ * Standalone HTML report with its own styles
+ * @param {object} bom - Output of buildBom
+ * @param {object} [options]
+ * @param {string} [options.title]
+ * @param {Date} [options.date]
+ * @returns {string}
+ */
+export function bomToHtml(bom, options = {}) {
+    const title = options.title || 'Bill of Materials';
+    const date = (options.date || new Date()).toLocaleString();
+    const unpriced = bom.unpricedRows
+        ? ` (${plural(bom.unpricedRows, 'line')} without pricing)`
+        : '';
+
+    const rows = bom.rows.map(row => `
+            <tr>
+                <td>${escapeHtml(row.designators)}</td>
+                <td class="num">${row.quantity}</td>
+                <td>${escapeHtml(row.value)}</td>
+                <td>${escapeHtml(row.footprint)}</td>
+                <td>${escapeHtml(row.manufacturer)}</td>
+                <td>${row.datasheet ? `<a href="${escapeHtml(row.datasheet)}">${escapeHtml(row.mpn || 'Datasheet')}</a>` : escapeHtml(row.mpn)}</td>
+                <td>${row.lcsc ? `<a href="https://www.lcsc.com/product-detail/${encodeURIComponent(row.lcsc)}.html">${escapeHtml(row.lcsc)}</a>` : ''}</td>
+                <td class="num${row.stock !== null && row.stock < row.orderQuantity ? ' short' : ''}">${row.stock ?? ''}</td>
+                <td class="num">${row.orderQuantity}</td>
+                <td class="num">${formatPrice(row.unitPrice, 4)}</td>
+                <td class="num">${formatPrice(row.extendedPrice, 2)}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; font-size: 13px; margin: 24px; color: #222; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        .meta { color: #666; margin-bottom: 16px; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+        th { background: #f0f0f0; }
+        .num { text-align: right; white-space: nowrap; }
+        .short { color: #c00; font-weight: bold; }
+        tfoot td { font-weight: bold; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="meta">${plural(bom.partCount, 'part')} in ${plural(bom.rows.length, 'line')} &middot; ${plural(bom.quantity, 'board')} &middot; ${escapeHtml(date)}</div>
+    <table>
+        <thead>
+            <tr>
+                <th>Designators</th><th>Qty</th><th>Value</th><th>Footprint</th><th>Manufacturer</th><th>MPN</th>
+                <th>LCSC</th><th>Stock</th><th>Order Qty</th><th>Unit (USD)</th><th>Extended (USD)</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+        <tfoot>
+            <tr><td colspan="10">Total${escapeHtml(unpriced)}</td><td class="num">${formatPrice(bom.totalCost, 2)}</td></tr>
+        </tfoot>
+    </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Price as plain digits, or '' when unknown
+ */
+export function formatPrice(price, digits) {
+    return price === null || price === undefined ? '' : price.toFixed(digits);
+}
+
+/**
+ * "1 part", "3 parts"
+ */
+export function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Order references by prefix, then by number: R2 before R10
+ */
+function compareReferences(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,60 @@
+/**
+ * Bus name notation
+ *
+ * - Vector: "D[0..7]" is D0 ... D7 (a descending range "D[7..0]" keeps its order)
+ * - Group: "{SDA SCL}" is SDA and SCL; a prefix scopes the members, so
+ *   "I2C{SDA SCL}" is I2C.SDA and I2C.SCL
+ * - Groups may contain vectors: "{D[0..7] WR RD}"
+ */
+
+// Largest vector a bus name may expand to, to keep typos like D[0..99999] cheap
+const MAX_VECTOR_SIZE = 1024;
+
+const VECTOR_RE = /^([^\s[\]{}]*)\[(\d+)\.\.(\d+)\]$/;
+const GROUP_RE = /^([^\s[\]{}]*)\{([^{}]*)\}$/;
+
+/**
+ * Whether a name uses bus notation
+ */
+export function isBusName(name) {
+    return typeof name === 'string' && expandBusName(name) !== null;
+}
+
+/**
+ * Expand a bus name into its member net names
+ * @param {string} name
+ * @returns {Array<string>|null} Member names, or null if not a bus name
+ */
+export function expandBusName(name) {
+    if (typeof name !== 'string') return null;
+    const text = name.trim();
+
+    const vector = text.match(VECTOR_RE);
+    if (vector) {
+        const [, prefix, from, to] = vector;
+        const start = parseInt(from, 10);
+        const end = parseInt(to, 10);
+        if (Math.abs(end - start) + 1 > MAX_VECTOR_SIZE) return null;
+        const step = end >= start ? 1 : -1;
+        const members = [];
+        for (let i = start; i !== end + step; i += step) {
+            members.push(`${prefix}${i}`);
+        }
+        return members;
+    }
+
+    const group = text.match(GROUP_RE);
+    if (group) {
+        const [, prefix, body] = group;
+        const members = [];
+        for (const part of body.split(/[\s,]+/).filter(Boolean)) {
+            const expanded = expandBusName(part) || [part];
+            for (const member of expanded) {
+                members.push(prefix ? `${prefix}.${member}` : member);
+            }
+        }
+        return members.length ? [...new Set(members)] : null;
+    }
+
+    return null;
+}
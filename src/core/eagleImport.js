@@ -0,0 +1,591 @@
+/**
+ * eagleImport - Read Autodesk Eagle XML libraries (.lbr) and schematics (.sch)
+ *
+ * Eagle works in mm with Y up and mirrors a part before turning it
+ * counter-clockwise; we are Y down and turn clockwise after mirroring, so
+ * Y is negated throughout and angles change sign. Eagle's origin is the
+ * lower-left corner of its frame, which lands on our paper's lower-left.
+ * Each gate of a device is placed on its own in Eagle, so each gate
+ * becomes its own definition.
+ */
+
+import { ImportReport } from './importReport.js';
+
+// Eagle pin directions in our pin type vocabulary
+const PIN_TYPES = {
+    nc: 'no_connect',
+    in: 'input',
+    out: 'output',
+    io: 'bidirectional',
+    oc: 'open_collector',
+    hiz: 'tri_state',
+    pas: 'passive',
+    pwr: 'power_in',
+    sup: 'power_out'
+};
+
+const PIN_LENGTHS = { point: 0, short: 2.54, middle: 5.08, long: 7.62 };
+
+// The way from a pin's connection point into the body, by Eagle pin angle
+const PIN_ORIENTATIONS = { 0: 'right', 90: 'up', 180: 'left', 270: 'down' };
+
+// Zero-length pins name the side they face instead
+const OPPOSITE = { right: 'left', left: 'right', up: 'down', down: 'up' };
+
+// Grid units to mm
+const UNITS = { mic: 0.001, mm: 1, mil: 0.0254, inch: 25.4 };
+
+// Room between Eagle sheets laid out side by side
+const SHEET_GAP = 25.4;
+
+const UNSUPPORTED = {
+    frame: 'Drawing frames are not imported',
+    dimension: 'Dimensions are not imported',
+    hole: 'Holes are not imported',
+    moduleinst: 'Module instances are not imported'
+};
+
+/**
+ * @param {string} text - .lbr or .sch file contents
+ * @returns {Element} The <drawing> element
+ */
+export function parseEagleXml(text) {
+    if (!/^\s*</.test(text)) {
+        throw new Error('This is a binary Eagle file. Open it in Eagle 6 or later and save it first.');
+    }
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const root = doc.documentElement;
+    if (doc.getElementsByTagName('parsererror').length || root?.tagName !== 'eagle') {
+        throw new Error('Not an Eagle XML file');
+    }
+    const drawing = child(root, 'drawing');
+    if (!drawing) throw new Error('Not an Eagle XML file');
+    return drawing;
+}
+
+/**
+ * Definitions for every device in an Eagle library
+ * @param {string} text - .lbr file contents
+ * @param {string} libraryName - Usually the file name
+ * @param {ImportReport} [report]
+ * @returns {Array<object>}
+ */
+export function parseEagleLibrary(text, libraryName, report = new ImportReport()) {
+    const library = child(parseEagleXml(text), 'library');
+    if (!library) throw new Error('This Eagle file has no library');
+    return [...readLibrary(library, libraryName, libraryName, report).values()];
+}
+
+/**
+ * @param {string} text - .sch file contents
+ * @param {object} options
+ * @param {ImportReport} options.report
+ * @returns {{shapes: Array<object>, components: Array<object>, definitions: Array<object>,
+ *   gridSize: (number|null)}} Shapes and components are in saved-document form
+ */
+export function parseEagleSchematic(text, { report }) {
+    const drawing = parseEagleXml(text);
+    const schematic = child(drawing, 'schematic');
+    if (!schematic) throw new Error('This Eagle file has no schematic');
+
+    const libraries = new Map();
+    const definitions = [];
+    for (const library of children(child(schematic, 'libraries'), 'library')) {
+        const devices = readLibrary(library, library.getAttribute('name') || 'Eagle', 'Eagle Import', report);
+        libraries.set(libraryKey(library.getAttribute('name'), library.getAttribute('urn')), devices);
+        definitions.push(...devices.values());
+    }
+
+    const parts = new Map();
+    for (const part of children(child(schematic, 'parts'), 'part')) {
+        parts.set(part.getAttribute('name'), part);
+    }
+
+    const shapes = [];
+    const components = [];
+    const sheets = children(child(schematic, 'sheets'), 'sheet');
+    if (sheets.length > 1) report.add(`The ${sheets.length} Eagle sheets are placed side by side on one page`);
+
+    let right = null;
+    for (const sheet of sheets) {
+        const bounds = sheetBounds(sheet);
+        // The first sheet keeps Eagle's origin; the rest follow to its right
+        const dx = right === null || !bounds ? 0 : right + SHEET_GAP - bounds.minX;
+        if (bounds) right = bounds.maxX + dx;
+        const point = (el, x = 'x', y = 'y') => ({ x: num(el, x) + dx, y: -num(el, y) });
+        readSheet(sheet, { point, parts, libraries, shapes, components, report });
+    }
+
+    const grid = child(drawing, 'grid');
+    const distance = num(grid, 'distance');
+    const gridSize = distance > 0 ? distance * (UNITS[grid.getAttribute('unitdist')] ?? 25.4) : null;
+
+    return { shapes, components, definitions, gridSize };
+}
+
+/**
+ * @returns {Map<string, object>} Definitions by deviceKey()
+ */
+function readLibrary(library, libraryName, category, report) {
+    const symbols = new Map();
+    for (const symbol of children(child(library, 'symbols'), 'symbol')) {
+        symbols.set(symbol.getAttribute('name'), symbol);
+    }
+
+    const definitions = new Map();
+    for (const deviceset of children(child(library, 'devicesets'), 'deviceset')) {
+        const setName = deviceset.getAttribute('name') || '';
+        const prefix = deviceset.getAttribute('prefix') || '';
+        const description = plainText(child(deviceset, 'description')?.textContent || '');
+        const gates = children(child(deviceset, 'gates'), 'gate');
+
+        for (const device of children(child(deviceset, 'devices'), 'device')) {
+            const deviceName = device.getAttribute('name') || '';
+            const partName = setName.includes('?')
+                ? setName.replace('?', deviceName).replace('*', '')
+                : setName.replace('*', '') + deviceName;
+            const packageName = device.getAttribute('package') || '';
+
+            // Pin name -> pad, per gate
+            const pads = new Map();
+            for (const connect of children(child(device, 'connects'), 'connect')) {
+                const padNames = (connect.getAttribute('pad') || '').split(/\s+/).filter(Boolean);
+                if (padNames.length > 1) report.add(`${libraryName}:${partName}: pins on several pads keep only the first pad`);
+                pads.set(`${connect.getAttribute('gate')}\0${connect.getAttribute('pin')}`, padNames[0]);
+            }
+
+            for (const gate of gates) {
+                const gateName = gate.getAttribute('name') || '';
+                const symbolEl = symbols.get(gate.getAttribute('symbol'));
+                if (!symbolEl) {
+                    report.add(`${libraryName}:${partName}: symbol ${gate.getAttribute('symbol')} is missing from the library`);
+                    continue;
+                }
+                const symbol = readSymbol(symbolEl, pin => pads.get(`${gateName}\0${pin}`), `${libraryName}:${partName}`, report);
+                const power = !packageName && symbol.pins.length === 1 && symbol.pins[0].type === 'power_out';
+                const name = `${libraryName}:${partName}` + (gates.length > 1 ? ` (${gateName})` : '');
+
+                definitions.set(deviceKey(setName, deviceName, gateName), {
+                    name,
+                    description,
+                    category,
+                    keywords: [setName.replace('*', ''), prefix].filter(Boolean),
+                    defaultReference: `${prefix || 'U'}?`,
+                    defaultValue: power ? symbol.pins[0].name : partName,
+                    defaultProperties: packageName ? { Package: packageName } : {},
+                    power,
+                    symbol
+                });
+            }
+        }
+    }
+    return definitions;
+}
+
+/**
+ * Our symbol for an Eagle <symbol>. Pins with no pad (supply symbols,
+ * libraries without packages) are numbered by their name.
+ * @param {function(string): (string|undefined)} padFor - Pad for a pin name
+ */
+function readSymbol(symbolEl, padFor, name, report) {
+    const graphics = [];
+    const pins = [];
+    const xs = [];
+    const ys = [];
+    const extend = (...points) => {
+        for (const [x, y] of points) {
+            xs.push(x);
+            ys.push(y);
+        }
+    };
+
+    for (const el of symbolEl.children) {
+        switch (el.tagName) {
+            case 'wire': {
+                const [x1, y1, x2, y2] = [num(el, 'x1'), -num(el, 'y1'), num(el, 'x2'), -num(el, 'y2')];
+                const strokeWidth = num(el, 'width') || 0.1524;
+                const curve = num(el, 'curve');
+                if (curve) {
+                    const r = Math.hypot(x2 - x1, y2 - y1) / (2 * Math.sin(Math.abs(curve) * Math.PI / 360));
+                    // Counter-clockwise in Eagle is clockwise once Y is flipped
+                    const large = Math.abs(curve) > 180 ? 1 : 0;
+                    const sweep = curve > 0 ? 0 : 1;
+                    graphics.push({ type: 'path', d: `M ${x1} ${y1} A ${r} ${r} 0 ${large} ${sweep} ${x2} ${y2}`, strokeWidth });
+                } else {
+                    graphics.push({ type: 'line', x1, y1, x2, y2, strokeWidth });
+                }
+                extend([x1, y1], [x2, y2]);
+                break;
+            }
+            case 'circle': {
+                const [cx, cy, r] = [num(el, 'x'), -num(el, 'y'), num(el, 'radius')];
+                graphics.push({ type: 'circle', cx, cy, r, strokeWidth: num(el, 'width') || 0.1524 });
+                extend([cx - r, cy - r], [cx + r, cy + r]);
+                break;
+            }
+            case 'rectangle': {
+                const [x1, y1, x2, y2] = [num(el, 'x1'), -num(el, 'y1'), num(el, 'x2'), -num(el, 'y2')];
+                graphics.push({
+                    type: 'rect',
+                    x: Math.min(x1, x2), y: Math.min(y1, y2),
+                    width: Math.abs(x2 - x1), height: Math.abs(y2 - y1)
+                });
+                extend([x1, y1], [x2, y2]);
+                break;
+            }
+            case 'polygon': {
+                const points = children(el, 'vertex').map(v => [num(v, 'x'), -num(v, 'y')]);
+                if (points.length > 2) graphics.push({ type: 'polygon', points, strokeWidth: num(el, 'width') || 0.1524 });
+                extend(...points);
+                break;
+            }
+            case 'text': {
+                const text = symbolText(el.textContent || '');
+                if (text === null) break;
+                graphics.push(readSymbolText(el, text));
+                break;
+            }
+            case 'pin': {
+                const pin = readPin(el, padFor);
+                pins.push(pin);
+                const [ux, uy] = pinDirection(pin);
+                extend([pin.x, pin.y], [pin.x + ux * pin.length, pin.y + uy * pin.length]);
+                break;
+            }
+            default:
+                report.add(UNSUPPORTED[el.tagName] ? `Symbol ${name}: ${UNSUPPORTED[el.tagName].toLowerCase()}` : `Symbol ${name}: "${el.tagName}" items left out`);
+        }
+    }
+
+    const minX = xs.length ? Math.min(...xs) : 0;
+    const minY = ys.length ? Math.min(...ys) : 0;
+    return {
+        width: xs.length ? Math.max(...xs) - minX : 0,
+        height: ys.length ? Math.max(...ys) - minY : 0,
+        origin: { x: -minX, y: -minY },
+        graphics,
+        pins
+    };
+}
+
+function readPin(el, padFor) {
+    const rawName = el.getAttribute('name') || '';
+    // Eagle tells same-named pins apart with an "@n" suffix
+    const displayName = rawName.replace(/@[^@]*$/, '') || rawName;
+    const { angle } = parseRotation(el.getAttribute('rot'));
+    const quarter = (Math.round(angle / 90) * 90) % 360;
+    const visible = el.getAttribute('visible') || 'both';
+    const func = el.getAttribute('function') || 'none';
+
+    const length = PIN_LENGTHS[el.getAttribute('length') || 'long'] ?? 7.62;
+    const pin = {
+        number: padFor(rawName) || rawName,
+        name: displayName,
+        x: num(el, 'x'),
+        y: -num(el, 'y'),
+        orientation: length ? PIN_ORIENTATIONS[quarter] : OPPOSITE[PIN_ORIENTATIONS[quarter]],
+        length,
+        type: PIN_TYPES[el.getAttribute('direction') || 'io'] || 'unspecified',
+        shape: 'line'
+    };
+    if (visible === 'off' || visible === 'pad') pin.showName = false;
+    if (func === 'dot' || func === 'dotclk') pin.bubble = true;
+
+    // Eagle writes the name past the body end of the pin and the pad number above the pin
+    const [ux, uy] = pinDirection(pin);
+    const endX = pin.x + ux * pin.length;
+    const endY = pin.y + uy * pin.length;
+    const vertical = ux === 0;
+    pin.namePos = {
+        x: endX + ux * 0.762,
+        y: endY + uy * 0.762,
+        anchor: (vertical ? uy < 0 : ux > 0) ? 'start' : 'end',
+        rotation: vertical ? -90 : 0,
+        fontSize: 1.778
+    };
+    pin.numberPos = {
+        x: pin.x + ux * pin.length / 2 - (vertical ? 0.508 : 0),
+        y: pin.y + uy * pin.length / 2 - (vertical ? 0 : 0.508),
+        anchor: 'middle',
+        rotation: vertical ? -90 : 0,
+        fontSize: 1.524
+    };
+    return pin;
+}
+
+/**
+ * Unit vector from a pin's connection point toward the body
+ */
+function pinDirection(pin) {
+    const orientation = pin.length ? pin.orientation : OPPOSITE[pin.orientation];
+    switch (orientation) {
+        case 'right': return [1, 0];
+        case 'left': return [-1, 0];
+        case 'up': return [0, -1];
+        case 'down': return [0, 1];
+        default: return [0, 0];
+    }
+}
+
+/**
+ * Symbol text with >NAME and >VALUE as our placeholders; null for other
+ * attribute placeholders, which have nothing to show here
+ */
+function symbolText(text) {
+    const upper = text.trim().toUpperCase();
+    if (upper === '>NAME') return '${REF}';
+    if (upper === '>VALUE') return '${VALUE}';
+    if (upper.startsWith('>')) return null;
+    return text;
+}
+
+function readSymbolText(el, text) {
+    const { angle } = parseRotation(el.getAttribute('rot'));
+    let [vertical, horizontal] = splitAlign(el.getAttribute('align'));
+    // Eagle keeps text readable: upside-down text is drawn the right way up with its alignment flipped
+    let turn = (Math.round(angle / 90) * 90) % 360;
+    if (turn >= 180) {
+        turn -= 180;
+        vertical = { bottom: 'top', top: 'bottom' }[vertical] || vertical;
+        horizontal = { left: 'right', right: 'left' }[horizontal] || horizontal;
+    }
+    const x = num(el, 'x');
+    const y = -num(el, 'y');
+    return {
+        type: 'text',
+        x,
+        y,
+        text,
+        fontSize: num(el, 'size') || 1.778,
+        anchor: { left: 'start', center: 'middle', right: 'end' }[horizontal],
+        baseline: { bottom: 'text-after-edge', center: 'middle', top: 'text-before-edge' }[vertical],
+        ...(turn ? { transform: `rotate(-90 ${x} ${y})` } : {})
+    };
+}
+
+function readSheet(sheet, context) {
+    const { point, shapes, report } = context;
+
+    for (const el of child(sheet, 'plain')?.children || []) {
+        const shape = readPlain(el, point, report);
+        if (shape) shapes.push(shape);
+    }
+
+    for (const instance of children(child(sheet, 'instances'), 'instance')) {
+        const component = readInstance(instance, context);
+        if (component) context.components.push(component);
+    }
+
+    for (const net of children(child(sheet, 'nets'), 'net')) {
+        const name = net.getAttribute('name') || '';
+        for (const segment of children(net, 'segment')) {
+            for (const el of segment.children) {
+                if (el.tagName === 'wire') {
+                    if (num(el, 'curve')) report.add('Curved wires imported straight');
+                    // Eagle nets join by name across sheets, so the wires carry it
+                    shapes.push({ type: 'wire', points: [point(el, 'x1', 'y1'), point(el, 'x2', 'y2')], net: name });
+                } else if (el.tagName === 'label') {
+                    shapes.push(readLabel(el, name, point));
+                }
+            }
+        }
+    }
+
+    for (const bus of children(child(sheet, 'busses'), 'bus')) {
+        const name = bus.getAttribute('name') || '';
+        for (const segment of children(bus, 'segment')) {
+            for (const el of segment.children) {
+                if (el.tagName === 'wire') {
+                    shapes.push({ type: 'bus', points: [point(el, 'x1', 'y1'), point(el, 'x2', 'y2')] });
+                } else if (el.tagName === 'label') {
+                    shapes.push(readLabel(el, name, point));
+                }
+            }
+        }
+    }
+
+    if (child(sheet, 'moduleinsts')?.children.length) report.add(UNSUPPORTED.moduleinst);
+}
+
+function readInstance(instance, { point, parts, libraries, report }) {
+    const partName = instance.getAttribute('part') || '';
+    const part = parts.get(partName);
+    if (!part) {
+        report.add(`${partName}: no such part in the file, so it was left out`);
+        return null;
+    }
+    const devices = libraries.get(libraryKey(part.getAttribute('library'), part.getAttribute('library_urn')));
+    const definition = devices?.get(deviceKey(part.getAttribute('deviceset'), part.getAttribute('device'), instance.getAttribute('gate')));
+    if (!definition) {
+        report.add(`${partName}: device ${part.getAttribute('deviceset')} is not in the file's libraries, so it was left out`);
+        return null;
+    }
+
+    const { angle, mirror } = parseRotation(instance.getAttribute('rot'));
+    if (angle % 90) report.add(`${partName}: turned to the nearest quarter turn`);
+    const quarter = (Math.round(angle / 90) * 90) % 360;
+    if (instance.getAttribute('smashed') === 'yes') report.add('Moved part names and values go back to their symbol positions');
+
+    const properties = { ...definition.defaultProperties };
+    for (const attribute of children(part, 'attribute')) {
+        const value = attribute.getAttribute('value');
+        if (value) properties[attribute.getAttribute('name')] = value;
+    }
+
+    // A supply symbol names its net after its pin
+    const value = definition.power
+        ? definition.symbol.pins[0].name
+        : part.getAttribute('value') ?? definition.defaultValue;
+
+    return {
+        type: 'component',
+        id: `component_eagle_${Math.random().toString(36).slice(2, 11)}`,
+        definitionName: definition.name,
+        ...point(instance),
+        rotation: (360 - quarter) % 360,
+        mirror,
+        reference: partName,
+        value,
+        properties
+    };
+}
+
+function readLabel(el, text, point) {
+    const { angle, mirror } = parseRotation(el.getAttribute('rot'));
+    const quarter = (Math.round(angle / 90) * 90) % 360;
+    return {
+        type: 'netLabel',
+        ...point(el),
+        text,
+        fontSize: num(el, 'size') || 1.778,
+        rotation: (360 - quarter + (mirror ? 180 : 0)) % 360,
+        labelType: 'local'
+    };
+}
+
+function readPlain(el, point, report) {
+    const lineWidth = num(el, 'width') > 0 ? { lineWidth: num(el, 'width') } : {};
+    switch (el.tagName) {
+        case 'wire': {
+            const start = point(el, 'x1', 'y1');
+            const end = point(el, 'x2', 'y2');
+            const curve = num(el, 'curve');
+            if (!curve) return { type: 'line', x1: start.x, y1: start.y, x2: end.x, y2: end.y, ...lineWidth };
+            return { type: 'arc', startPoint: start, bulgePoint: arcMidpoint(start, end, curve), endPoint: end, ...lineWidth };
+        }
+        case 'circle': {
+            const width = num(el, 'width');
+            return { type: 'circle', ...point(el), radius: num(el, 'radius'), ...lineWidth, ...(width ? {} : { fill: true }) };
+        }
+        case 'rectangle': {
+            const a = point(el, 'x1', 'y1');
+            const b = point(el, 'x2', 'y2');
+            return {
+                type: 'rect',
+                x: Math.min(a.x, b.x), y: Math.min(a.y, b.y),
+                width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y),
+                fill: true
+            };
+        }
+        case 'polygon': {
+            const points = children(el, 'vertex').map(v => point(v));
+            return points.length > 2 ? { type: 'polygon', points, closed: true, fill: true, ...lineWidth } : null;
+        }
+        case 'text': {
+            const size = num(el, 'size') || 1.778;
+            const { angle } = parseRotation(el.getAttribute('rot'));
+            if ((Math.round(angle / 90) * 90) % 180) report.add('Rotated text imported horizontal');
+            const [vertical, horizontal] = splitAlign(el.getAttribute('align'));
+            // Our text sits on its baseline
+            const lift = vertical === 'top' ? size : vertical === 'center' ? size / 2 : 0;
+            const p = point(el);
+            return {
+                type: 'text',
+                x: p.x,
+                y: p.y + lift,
+                text: el.textContent || '',
+                fontSize: size,
+                textAnchor: { left: 'start', center: 'middle', right: 'end' }[horizontal]
+            };
+        }
+        default:
+            report.add(UNSUPPORTED[el.tagName] || `"${el.tagName}" items are not imported`);
+            return null;
+    }
+}
+
+/**
+ * The point halfway along an Eagle arc, which turns `curve` degrees
+ * counter-clockwise (before the Y flip) from start to end
+ */
+function arcMidpoint(start, end, curve) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const chord = Math.hypot(dx, dy) || 1;
+    const half = curve * Math.PI / 360;
+    const radius = chord / (2 * Math.sin(half));
+    const sagitta = radius * (1 - Math.cos(half));
+    // Counter-clockwise travel bulges to the right, which is the left once Y is flipped
+    return {
+        x: (start.x + end.x) / 2 - dy / chord * sagitta,
+        y: (start.y + end.y) / 2 + dx / chord * sagitta
+    };
+}
+
+/**
+ * Extent of a sheet in Eagle X, for laying sheets side by side
+ */
+function sheetBounds(sheet) {
+    const xs = [];
+    const walk = (el) => {
+        for (const attr of ['x', 'x1', 'x2']) {
+            if (el.hasAttribute(attr)) xs.push(num(el, attr));
+        }
+        for (const c of el.children) walk(c);
+    };
+    walk(sheet);
+    return xs.length ? { minX: Math.min(...xs), maxX: Math.max(...xs) } : null;
+}
+
+/**
+ * "MR90" -> { angle: 90, mirror: true }; a leading S (spin) changes nothing here
+ */
+function parseRotation(rot) {
+    const match = /^S?(M?)R(-?[\d.]+)$/.exec(rot || '');
+    if (!match) return { angle: 0, mirror: false };
+    return { angle: ((parseFloat(match[2]) % 360) + 360) % 360, mirror: match[1] === 'M' };
+}
+
+/**
+ * Eagle align ("bottom-left", "center", "top-right", ...) as [vertical, horizontal]
+ */
+function splitAlign(align) {
+    if (!align || align === 'center') return align ? ['center', 'center'] : ['bottom', 'left'];
+    const [vertical, horizontal] = align.split('-');
+    return [vertical, horizontal];
+}
+
+function plainText(html) {
+    return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function libraryKey(name, urn) {
+    return `${name || ''}\0${urn || ''}`;
+}
+
+function deviceKey(deviceset, device, gate) {
+    return `${deviceset || ''}\0${device || ''}\0${gate || ''}`;
+}
+
+function child(el, tag) {
+    return el ? [...el.children].find(c => c.tagName === tag) || null : null;
+}
+
+function children(el, tag) {
+    return el ? [...el.children].filter(c => c.tagName === tag) : [];
+}
+
+function num(el, attr) {
+    const value = parseFloat(el?.getAttribute(attr));
+    return Number.isFinite(value) ? value : 0;
+}
@@ -0,0 +1,27 @@
+/**
+ * ImportReport - What an importer could not carry over
+ *
+ * The same note added again is counted instead of listed twice, so a
+ * file with two hundred images gives one line.
+ */
+
+export class ImportReport {
+    constructor() {
+        this.notes = new Map();
+    }
+
+    add(message) {
+        this.notes.set(message, (this.notes.get(message) || 0) + 1);
+    }
+
+    get isEmpty() {
+        return this.notes.size === 0;
+    }
+
+    /**
+     * @returns {Array<string>} One line per note, with its count when repeated
+     */
+    lines() {
+        return [...this.notes].map(([message, count]) => count > 1 ? `${message} (×${count})` : message);
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * kicadNetlist - Write a flattened design as a KiCad S-expression netlist
+ *
+ * The output is the "E" netlist format that pcbnew reads through
+ * File > Import > Netlist. Power symbols (references starting with '#')
+ * are left out the way KiCad leaves them out: their nets keep the name.
+ */
+
+import { getFootprint, getLcscNumber, getDatasheet, getExtraFields } from './partFields.js';
+
+/**
+ * @param {{components: Array<object>, nets: Array<object>}} design - Output of flattenDesign
+ * @param {object} [options]
+ * @param {string} [options.source] - Schematic file name
+ * @param {Date} [options.date]
+ * @returns {string}
+ */
+export function buildKicadNetlist(design, options = {}) {
+    const isPart = (item) => !item.component.isPower && !item.reference.startsWith('#');
+    const parts = design.components.filter(isPart);
+    const partIds = new Set(parts.map(item => item.component.id));
+
+    const lines = [];
+    lines.push('(export (version "E")');
+    lines.push('  (design');
+    lines.push(`    (source ${quote(options.source || 'untitled')})`);
+    lines.push(`    (date ${quote(formatDate(options.date || new Date()))})`);
+    lines.push('    (tool "ClearPCB"))');
+
+    lines.push('  (components');
+    for (const item of parts) {
+        const { component, reference, sheetPath } = item;
+        const definition = component.definition || {};
+        lines.push(`    (comp (ref ${quote(reference)})`);
+        lines.push(`      (value ${quote(component.value || '~')})`);
+        const footprint = getFootprint(component);
+        if (footprint) lines.push(`      (footprint ${quote(footprint)})`);
+        lines.push(`      (datasheet ${quote(getDatasheet(component) || '~')})`);
+
+        const fields = getExtraFields(component).filter(f => f.name.toLowerCase() !== 'lcsc');
+        const lcsc = getLcscNumber(component);
+        if (lcsc) fields.unshift({ name: 'LCSC', value: lcsc });
+        if (fields.length) {
+            lines.push('      (fields');
+            fields.forEach((field, i) => {
+                const close = i === fields.length - 1 ? ')' : '';
+                lines.push(`        (field (name ${quote(field.name)}) ${quote(field.value)})${close}`);
+            });
+        }
+
+        lines.push(`      (libsource (lib "ClearPCB") (part ${quote(definition.name || 'unknown')}) (description ${quote(definition.description || '')}))`);
+        lines.push(`      (sheetpath (names ${quote(sheetPath)}) (tstamps ${quote(sheetPath)}))`);
+        lines.push(`      (tstamps ${quote(component.id)}))`);
+    }
+    closeList(lines);
+
+    lines.push('  (nets');
+    let code = 0;
+    for (const net of design.nets) {
+        const nodes = net.pins.filter(pin => partIds.has(pin.componentId) && !pin.reference.startsWith('#'));
+        if (nodes.length === 0) continue;
+        code++;
+        lines.push(`    (net (code ${quote(String(code))}) (name ${quote(net.name)})`);
+        nodes.forEach((pin, i) => {
+            const close = i === nodes.length - 1 ? ')' : '';
+            const fn = pin.pinName ? ` (pinfunction ${quote(pin.pinName)})` : '';
+            lines.push(`      (node (ref ${quote(pin.reference)}) (pin ${quote(String(pin.pinNumber))})${fn} (pintype ${quote(pin.pinType || 'passive')}))${close}`);
+        });
+    }
+    closeList(lines);
+
+    // Close the export
+    closeList(lines);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Close the list opened last on the line that ends it
+ */
+function closeList(lines) {
+    lines[lines.length - 1] += ')';
+}
+
+/**
+ * KiCad string: always quoted, with backslashes and quotes escaped
+ */
+function quote(text) {
+    return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function formatDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
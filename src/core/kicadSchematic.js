@@ -0,0 +1,653 @@
+/**
+ * kicadSchematic - Write one sheet as a KiCad 7 schematic (.kicad_sch)
+ *
+ * KiCad's sheet is y-down like ours, so sheet coordinates only move by
+ * the origin (the paper's top-left corner). Symbol libraries are y-up:
+ * library points get the same Y flip KICADFetcher undoes on import.
+ * Every symbol used is embedded in lib_symbols as "ClearPCB:<name>",
+ * drawn from our own symbol geometry, so the file opens without any
+ * KiCad library installed.
+ */
+
+import { getFootprint, getDatasheet, getExtraFields } from './partFields.js';
+
+const VERSION = '20230121';
+const FONT = '(effects (font (size 1.27 1.27)))';
+
+// KiCad pin angle for our orientation: the direction from the connection point into the body
+const PIN_ANGLES = { right: 0, up: 90, left: 180, down: 270 };
+
+const PIN_TYPES = new Set([
+    'input', 'output', 'bidirectional', 'tri_state', 'passive', 'free', 'unspecified',
+    'power_in', 'power_out', 'open_collector', 'open_emitter', 'no_connect'
+]);
+
+const PIN_SHAPES = new Set([
+    'line', 'inverted', 'clock', 'inverted_clock', 'input_low', 'clock_low',
+    'output_low', 'edge_clock_high', 'non_logic'
+]);
+
+const SHEET_PIN_TYPES = new Set(['input', 'output', 'bidirectional', 'tri_state', 'passive']);
+
+/**
+ * @param {{shapes: Array<object>, components: Array<object>, junctions: Array<{x: number, y: number}>}} sheet -
+ *   Shape and component objects of one schematic, plus the junction dots worked out for it
+ * @param {object} options
+ * @param {string} options.uuid - This file's UUID
+ * @param {function(string): string} options.uuidFor - Stable UUID for an object id in this file
+ * @param {{x: number, y: number}} [options.origin] - World point that becomes KiCad (0, 0)
+ * @param {{name: string, portrait?: boolean}|{width: number, height: number}} [options.paper]
+ * @param {string} [options.project] - Project name for the instance data
+ * @param {string} [options.title]
+ * @param {Date} [options.date]
+ * @param {Array<{path: string, refs: object}>} options.instances - One entry per place this
+ *   file is used: KiCad instance path ("/<root uuid>/<sheet uuid>") and references by component id
+ * @param {function(object): {fileName: string, instances: Array<{path: string, page: string}>}} [options.describeSheet] -
+ *   File name and instances of a child sheet placed on this one
+ * @param {boolean} [options.root] - Write the root's sheet_instances
+ * @returns {string}
+ */
+export function buildKicadSchematic(sheet, options) {
+    const origin = options.origin || { x: 0, y: 0 };
+    const uuidFor = options.uuidFor;
+    const project = options.project || 'untitled';
+    const at = (x, y) => `${num(x - origin.x)} ${num(y - origin.y)}`;
+
+    const lines = [];
+    lines.push(`(kicad_sch (version ${VERSION}) (generator "ClearPCB")`);
+    lines.push('');
+    lines.push(`  (uuid ${options.uuid})`);
+    lines.push('');
+    lines.push(`  ${formatPaper(options.paper)}`);
+    lines.push('');
+    if (options.title) {
+        const date = options.date || new Date();
+        lines.push('  (title_block');
+        lines.push(`    (title ${quote(options.title)})`);
+        lines.push(`    (date ${quote(date.toISOString().slice(0, 10))})`);
+        lines.push('  )');
+        lines.push('');
+    }
+
+    // One library entry per definition, in order of first use. Names that
+    // only differ in characters libName replaces get a numeric suffix.
+    const libIds = new Map();
+    const usedNames = new Set();
+    lines.push('  (lib_symbols');
+    for (const comp of sheet.components) {
+        const definition = comp.definition;
+        if (!definition?.symbol || libIds.has(definition)) continue;
+        const base = libName(definition.name);
+        let name = base;
+        for (let n = 2; usedNames.has(name); n++) name = `${base}_${n}`;
+        usedNames.add(name);
+        const libId = `ClearPCB:${name}`;
+        libIds.set(definition, libId);
+        lines.push(...buildLibSymbol(definition, libId).map(line => `    ${line}`));
+    }
+    lines.push('  )');
+    lines.push('');
+
+    for (const p of sheet.junctions || []) {
+        lines.push(`  (junction (at ${at(p.x, p.y)}) (diameter 0) (color 0 0 0 0)`);
+        lines.push(`    (uuid ${uuidFor(`junction:${num(p.x)},${num(p.y)}`)})`);
+        lines.push('  )');
+    }
+
+    for (const shape of sheet.shapes) {
+        const uuid = () => `(uuid ${uuidFor(shape.id)})`;
+        switch (shape.type) {
+            case 'wire':
+            case 'bus':
+                // KiCad wires are single segments
+                for (let i = 0; i < shape.points.length - 1; i++) {
+                    const a = shape.points[i];
+                    const b = shape.points[i + 1];
+                    lines.push(`  (${shape.type} (pts (xy ${at(a.x, a.y)}) (xy ${at(b.x, b.y)}))`);
+                    lines.push('    (stroke (width 0) (type default))');
+                    lines.push(`    (uuid ${uuidFor(`${shape.id}:${i}`)})`);
+                    lines.push('  )');
+                }
+                break;
+            case 'busEntry':
+                lines.push(`  (bus_entry (at ${at(shape.x, shape.y)}) (size ${num(shape.dx)} ${num(shape.dy)})`);
+                lines.push('    (stroke (width 0) (type default))');
+                lines.push(`    ${uuid()}`);
+                lines.push('  )');
+                break;
+            case 'noConnect':
+                lines.push(`  (no_connect (at ${at(shape.x, shape.y)}) ${uuid()})`);
+                break;
+            case 'netLabel': {
+                const angle = (360 - shape.rotation) % 360;
+                const justify = angle >= 180 ? 'right' : 'left';
+                const font = `(effects (font (size ${num(shape.fontSize)} ${num(shape.fontSize)}))`;
+                if (shape.labelType === 'hierarchical') {
+                    lines.push(`  (hierarchical_label ${quote(shape.text)} (shape passive) (at ${at(shape.x, shape.y)} ${angle})`);
+                    lines.push(`    ${font} (justify ${justify}))`);
+                } else {
+                    lines.push(`  (label ${quote(shape.text)} (at ${at(shape.x, shape.y)} ${angle})`);
+                    lines.push(`    ${font} (justify ${justify} bottom))`);
+                }
+                lines.push(`    ${uuid()}`);
+                lines.push('  )');
+                break;
+            }
+            case 'text': {
+                const justify = { start: ' (justify left bottom)', end: ' (justify right bottom)' }[shape.textAnchor] || ' (justify bottom)';
+                lines.push(`  (text ${quote(shape.text)} (at ${at(shape.x, shape.y)} 0)`);
+                lines.push(`    (effects (font (size ${num(shape.fontSize)} ${num(shape.fontSize)}))${justify})`);
+                lines.push(`    ${uuid()}`);
+                lines.push('  )');
+                break;
+            }
+            case 'line':
+                lines.push(`  (polyline (pts (xy ${at(shape.x1, shape.y1)}) (xy ${at(shape.x2, shape.y2)}))`);
+                lines.push(`    ${formatStroke(shape)}`);
+                lines.push(`    ${uuid()}`);
+                lines.push('  )');
+                break;
+            case 'polygon': {
+                const points = shape.closed && shape.points.length > 2 ? [...shape.points, shape.points[0]] : shape.points;
+                lines.push(`  (polyline (pts ${points.map(p => `(xy ${at(p.x, p.y)})`).join(' ')})`);
+                lines.push(`    ${formatStroke(shape)}`);
+                if (shape.closed) lines.push(`    ${formatFill(shape)}`);
+                lines.push(`    ${uuid()}`);
+                lines.push('  )');
+                break;
+            }
+            case 'rect':
+                lines.push(`  (rectangle (start ${at(shape.x, shape.y)}) (end ${at(shape.x + shape.width, shape.y + shape.height)})`);
+                lines.push(`    ${formatStroke(shape)}`);
+                lines.push(`    ${formatFill(shape)}`);
+                lines.push(`    ${uuid()}`);
+                lines.push('  )');
+                break;
+            case 'circle':
+                lines.push(`  (circle (center ${at(shape.x, shape.y)}) (radius ${num(shape.radius)})`);
+                lines.push(`    ${formatStroke(shape)}`);
+                lines.push(`    ${formatFill(shape)}`);
+                lines.push(`    ${uuid()}`);
+                lines.push('  )');
+                break;
+            case 'arc': {
+                // The bulge point lies on the arc, which is what KiCad's mid point is
+                const { startPoint: s, bulgePoint: m, endPoint: e } = shape;
+                lines.push(`  (arc (start ${at(s.x, s.y)}) (mid ${at(m.x, m.y)}) (end ${at(e.x, e.y)})`);
+                lines.push(`    ${formatStroke(shape)}`);
+                lines.push(`    ${formatFill(shape)}`);
+                lines.push(`    ${uuid()}`);
+                lines.push('  )');
+                break;
+            }
+        }
+    }
+
+    for (const comp of sheet.components) {
+        const libId = libIds.get(comp.definition);
+        if (!libId) continue;
+        lines.push(...buildSymbolInstance(comp, libId, { at, uuidFor, project, instances: options.instances }));
+    }
+
+    for (const shape of sheet.shapes) {
+        if (shape.type !== 'sheet' || !options.describeSheet) continue;
+        lines.push(...buildSheet(shape, options.describeSheet(shape), { at, uuidFor, project }));
+    }
+
+    if (options.root) {
+        lines.push('');
+        lines.push('  (sheet_instances');
+        lines.push('    (path "/" (page "1"))');
+        lines.push('  )');
+    }
+
+    lines.push(')');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Stable UUID for a key, so the same object gets the same UUID every export
+ * and sheet instance paths line up across files
+ */
+export function kicadUuid(key) {
+    const words = [0x811c9dc5, 0x050c5d1f, 0x9e3779b9, 0x27d4eb2f].map(seed => {
+        let hash = seed;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        // Finish with murmur3's mixer so nearby keys don't share digits
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    });
+    const hex = words.join('').split('');
+    hex[12] = '4';
+    hex[16] = '89ab'[parseInt(hex[16], 16) & 3];
+    const s = hex.join('');
+    return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+}
+
+/**
+ * Library symbol: graphics in unit 0 (shared), pins in unit 1
+ */
+function buildLibSymbol(definition, libId) {
+    const symbol = definition.symbol;
+    const name = libId.slice(libId.indexOf(':') + 1);
+    const graphics = symbol.graphics || [];
+    const pins = symbol.pins || [];
+    const refText = graphics.find(g => g.type === 'text' && g.text === '${REF}');
+    const valueText = graphics.find(g => g.type === 'text' && g.text === '${VALUE}');
+    // Built-in symbols draw their leads as graphics and have zero-length pins
+    const bare = pins.length > 0 && pins.every(p => !p.length);
+
+    const flags = [];
+    if (definition.power) flags.push('(power)');
+    if (bare) flags.push('(pin_numbers hide)', '(pin_names (offset 0) hide)');
+    flags.push('(in_bom yes) (on_board yes)');
+
+    const field = (label, value, text, hidden) => [
+        `  (property ${quote(label)} ${quote(value)} (at ${text ? `${num(text.x)} ${num(-text.y)}` : '0 0'} 0)`,
+        `    (effects (font (size 1.27 1.27))${hidden ? ' hide' : ''})`,
+        '  )'
+    ];
+    const reference = (definition.defaultReference || 'U').replace(/[0-9?]+$/, '') || 'U';
+    const text = (value) => typeof value === 'string' ? value : '';
+
+    const lines = [`(symbol ${quote(libId)} ${flags.join(' ')}`];
+    lines.push(...field('Reference', reference, refText, !refText || definition.power));
+    lines.push(...field('Value', definition.defaultValue || definition.name, valueText, !valueText));
+    lines.push(...field('Footprint', text(definition.footprint), null, true));
+    lines.push(...field('Datasheet', text(definition.datasheet), null, true));
+    if (definition.description) {
+        lines.push(...field('ki_description', definition.description, null, true));
+    }
+
+    lines.push(`  (symbol ${quote(`${name}_0_1`)}`);
+    for (const g of graphics) {
+        lines.push(...libGraphic(g).map(line => `    ${line}`));
+    }
+    lines.push('  )');
+
+    lines.push(`  (symbol ${quote(`${name}_1_1`)}`);
+    for (const pin of pins) {
+        const length = pin.length || 0;
+        let angle = PIN_ANGLES[pin.orientation] ?? 0;
+        // Zero-length pins name the side they face, not the way into the body
+        if (!length) angle = (angle + 180) % 360;
+        const type = PIN_TYPES.has(pin.pinType || pin.type) ? (pin.pinType || pin.type) : 'passive';
+        const shape = PIN_SHAPES.has(pin.shape) ? pin.shape : 'line';
+        lines.push(`    (pin ${type} ${shape} (at ${num(pin.x)} ${num(-pin.y)} ${angle}) (length ${num(length)})`);
+        lines.push(`      (name ${quote(pin.name ?? '')} ${FONT})`);
+        lines.push(`      (number ${quote(pin.number ?? '')} ${FONT})`);
+        lines.push('    )');
+    }
+    lines.push('  )');
+    lines.push(')');
+    return lines;
+}
+
+/**
+ * Symbol graphic in library coordinates (Y up)
+ */
+function libGraphic(g) {
+    const xy = (x, y) => `(xy ${num(x)} ${num(-y)})`;
+    const stroke = `(stroke (width ${num(g.strokeWidth || 0.254)}) (type default))`;
+    const fill = `(fill (type ${libFill(g.fill)}))`;
+    const polyline = (points) => [
+        `(polyline (pts ${points.map(p => xy(...p)).join(' ')})`,
+        `  ${stroke}`,
+        `  ${fill}`,
+        ')'
+    ];
+
+    switch (g.type) {
+        case 'rect':
+            return [
+                `(rectangle (start ${num(g.x)} ${num(-g.y)}) (end ${num(g.x + g.width)} ${num(-(g.y + g.height))})`,
+                `  ${stroke}`,
+                `  ${fill}`,
+                ')'
+            ];
+        case 'circle':
+            return [
+                `(circle (center ${num(g.cx)} ${num(-g.cy)}) (radius ${num(g.r)})`,
+                `  ${stroke}`,
+                `  ${fill}`,
+                ')'
+            ];
+        case 'arc': {
+            // KiCad imports keep the mid point's angle, which fixes the way
+            // round; arcs without one take the shorter way
+            const start = g.startAngle * Math.PI / 180;
+            const sweep = ((g.endAngle - g.startAngle) % 360 + 540) % 360 - 180;
+            const mid = Number.isFinite(g.midAngle)
+                ? g.midAngle * Math.PI / 180
+                : start + sweep / 2 * Math.PI / 180;
+            const end = g.endAngle * Math.PI / 180;
+            const point = (a) => `${num(g.cx + g.r * Math.cos(a))} ${num(-(g.cy + g.r * Math.sin(a)))}`;
+            return [
+                `(arc (start ${point(start)}) (mid ${point(mid)}) (end ${point(end)})`,
+                `  ${stroke}`,
+                `  ${fill}`,
+                ')'
+            ];
+        }
+        case 'line':
+            return polyline([[g.x1, g.y1], [g.x2, g.y2]]);
+        case 'polyline':
+        case 'polygon': {
+            const points = g.points.map(p => Array.isArray(p) ? p : [p.x, p.y]);
+            if (g.type === 'polygon' && points.length > 2) points.push(points[0]);
+            return polyline(points);
+        }
+        case 'path':
+            return flattenSvgPath(g.d).flatMap(polyline);
+        case 'text': {
+            if (g.text === '${REF}' || g.text === '${VALUE}') return [];
+            const size = num(g.fontSize || 1.27);
+            return [`(text ${quote(g.text || '')} (at ${num(g.x)} ${num(-g.y)} 0) (effects (font (size ${size} ${size}))))`];
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Placed symbol with its fields, pins and per-instance references
+ */
+function buildSymbolInstance(comp, libId, { at, uuidFor, project, instances }) {
+    // Our transform mirrors first, then turns clockwise; KiCad turns
+    // counter-clockwise, then mirrors
+    const angle = comp.mirror ? comp.rotation % 360 : (360 - comp.rotation) % 360;
+    const graphics = comp.symbol?.graphics || [];
+    const refText = graphics.find(g => g.type === 'text' && g.text === '${REF}');
+    const valueText = graphics.find(g => g.type === 'text' && g.text === '${VALUE}');
+    const place = (text) => {
+        if (!text) return at(comp.x, comp.y);
+        const p = toWorld(comp, text.x, text.y);
+        return at(p.x, p.y);
+    };
+    const field = (label, value, text, hidden) => [
+        `    (property ${quote(label)} ${quote(value)} (at ${place(text)} 0)`,
+        `      (effects (font (size 1.27 1.27))${hidden ? ' hide' : ''})`,
+        '    )'
+    ];
+
+    const lines = [''];
+    lines.push(`  (symbol (lib_id ${quote(libId)}) (at ${at(comp.x, comp.y)} ${angle})${comp.mirror ? ' (mirror y)' : ''} (unit 1)`);
+    lines.push('    (in_bom yes) (on_board yes) (dnp no)');
+    lines.push(`    (uuid ${uuidFor(comp.id)})`);
+    lines.push(...field('Reference', comp.reference, refText, !refText || comp.isPower));
+    lines.push(...field('Value', comp.value || '', valueText, !valueText));
+
+    lines.push(...field('Footprint', getFootprint(comp), null, true));
+    lines.push(...field('Datasheet', getDatasheet(comp), null, true));
+    for (const { name, value } of getExtraFields(comp)) {
+        lines.push(...field(name, value, null, true));
+    }
+
+    for (const pin of comp.symbol?.pins || []) {
+        lines.push(`    (pin ${quote(pin.number ?? '')} (uuid ${uuidFor(`${comp.id}:pin:${pin.number}`)}))`);
+    }
+
+    lines.push('    (instances');
+    lines.push(`      (project ${quote(project)}`);
+    for (const instance of instances) {
+        const reference = instance.refs?.[comp.id] || comp.reference;
+        lines.push(`        (path ${quote(instance.path)} (reference ${quote(reference)}) (unit 1))`);
+    }
+    lines.push('      )');
+    lines.push('    )');
+    lines.push('  )');
+    return lines;
+}
+
+/**
+ * Hierarchical sheet block with its pins
+ */
+function buildSheet(shape, child, { at, uuidFor, project }) {
+    const lines = [''];
+    lines.push(`  (sheet (at ${at(shape.x, shape.y)}) (size ${num(shape.width)} ${num(shape.height)}) (fields_autoplaced)`);
+    lines.push('    (stroke (width 0.1524) (type solid))');
+    lines.push('    (fill (color 0 0 0 0.0000))');
+    lines.push(`    (uuid ${uuidFor(shape.id)})`);
+    lines.push(`    (property "Sheetname" ${quote(shape.sheetName)} (at ${at(shape.x, shape.y - 0.7116)} 0)`);
+    lines.push('      (effects (font (size 1.27 1.27)) (justify left bottom))');
+    lines.push('    )');
+    lines.push(`    (property "Sheetfile" ${quote(child.fileName)} (at ${at(shape.x, shape.y + shape.height + 0.5846)} 0)`);
+    lines.push('      (effects (font (size 1.27 1.27)) (justify left top))');
+    lines.push('    )');
+    for (const pin of shape.pins || []) {
+        const right = pin.side === 'right';
+        const offset = Math.min(Math.max(pin.offset, 0), shape.height);
+        const type = SHEET_PIN_TYPES.has(pin.type) ? pin.type : 'passive';
+        lines.push(`    (pin ${quote(pin.name)} ${type} (at ${at(right ? shape.x + shape.width : shape.x, shape.y + offset)} ${right ? 0 : 180})`);
+        lines.push(`      (effects (font (size 1.27 1.27)) (justify ${right ? 'right' : 'left'}))`);
+        lines.push(`      (uuid ${uuidFor(`${shape.id}:pin:${pin.name}`)})`);
+        lines.push('    )');
+    }
+    lines.push('    (instances');
+    lines.push(`      (project ${quote(project)}`);
+    for (const instance of child.instances) {
+        lines.push(`        (path ${quote(instance.path)} (page ${quote(instance.page)}))`);
+    }
+    lines.push('      )');
+    lines.push('    )');
+    lines.push('  )');
+    return lines;
+}
+
+/**
+ * Symbol-local point to world, the same maths as Component.getPinPosition
+ */
+function toWorld(comp, x, y) {
+    if (comp.mirror) x = -x;
+    const rad = comp.rotation * Math.PI / 180;
+    let cos = Math.cos(rad), sin = Math.sin(rad);
+    if (comp.rotation % 90 === 0) { cos = Math.round(cos); sin = Math.round(sin); }
+    return { x: x * cos - y * sin + comp.x, y: x * sin + y * cos + comp.y };
+}
+
+/**
+ * Break an SVG path into polylines. Curves become short straight runs,
+ * since KiCad symbols have no Béziers.
+ * @returns {Array<Array<[number, number]>>}
+ */
+function flattenSvgPath(d) {
+    const tokens = String(d || '').match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+    const runs = [];
+    let run = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let command = null;
+    let i = 0;
+    const next = () => parseFloat(tokens[i++]);
+    const lineTo = (nx, ny) => {
+        if (!run) {
+            run = [[x, y]];
+            runs.push(run);
+        }
+        run.push([nx, ny]);
+        x = nx;
+        y = ny;
+    };
+    const curve = (point, steps = 8) => {
+        for (let s = 1; s <= steps; s++) lineTo(...point(s / steps));
+    };
+
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) command = tokens[i++];
+        if (!command) break;
+        const relative = command === command.toLowerCase();
+        const ox = relative ? x : 0;
+        const oy = relative ? y : 0;
+        switch (command.toUpperCase()) {
+            case 'M':
+                x = next() + ox;
+                y = next() + oy;
+                startX = x;
+                startY = y;
+                run = null;
+                // Further pairs after a move are lines
+                command = relative ? 'l' : 'L';
+                break;
+            case 'L': {
+                const nx = next() + ox;
+                lineTo(nx, next() + oy);
+                break;
+            }
+            case 'H':
+                lineTo(next() + ox, y);
+                break;
+            case 'V':
+                lineTo(x, next() + oy);
+                break;
+            case 'Q': {
+                const x0 = x, y0 = y;
+                const cx = next() + ox, cy = next() + oy;
+                const ex = next() + ox, ey = next() + oy;
+                curve(t => [
+                    (1 - t) ** 2 * x0 + 2 * (1 - t) * t * cx + t ** 2 * ex,
+                    (1 - t) ** 2 * y0 + 2 * (1 - t) * t * cy + t ** 2 * ey
+                ]);
+                break;
+            }
+            case 'C': {
+                const x0 = x, y0 = y;
+                const c1x = next() + ox, c1y = next() + oy;
+                const c2x = next() + ox, c2y = next() + oy;
+                const ex = next() + ox, ey = next() + oy;
+                curve(t => [
+                    (1 - t) ** 3 * x0 + 3 * (1 - t) ** 2 * t * c1x + 3 * (1 - t) * t ** 2 * c2x + t ** 3 * ex,
+                    (1 - t) ** 3 * y0 + 3 * (1 - t) ** 2 * t * c1y + 3 * (1 - t) * t ** 2 * c2y + t ** 3 * ey
+                ]);
+                break;
+            }
+            case 'A': {
+                const rx = next(), ry = next(), rotation = next();
+                const large = next(), sweep = next();
+                const ex = next() + ox, ey = next() + oy;
+                const arc = svgArcCenter(x, y, ex, ey, rx, ry, rotation, large, sweep);
+                if (!arc) {
+                    lineTo(ex, ey);
+                } else {
+                    const steps = Math.max(2, Math.ceil(Math.abs(arc.delta) / (Math.PI / 12)));
+                    curve(t => arc.point(arc.start + arc.delta * t), steps);
+                }
+                break;
+            }
+            case 'Z':
+                if (run) lineTo(startX, startY);
+                run = null;
+                x = startX;
+                y = startY;
+                command = null;
+                break;
+            default:
+                // Commands we don't draw (S, T): stop rather than misread the rest
+                return runs;
+        }
+    }
+    return runs.filter(points => points.length > 1);
+}
+
+/**
+ * Centre parameterisation of an SVG elliptical arc (SVG spec, appendix F.6.5)
+ */
+function svgArcCenter(x1, y1, x2, y2, rx, ry, rotation, large, sweep) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (!rx || !ry || (x1 === x2 && y1 === y2)) return null;
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+    const px = cos * dx + sin * dy;
+    const py = -sin * dx + cos * dy;
+
+    const scale = px * px / (rx * rx) + py * py / (ry * ry);
+    if (scale > 1) {
+        rx *= Math.sqrt(scale);
+        ry *= Math.sqrt(scale);
+    }
+    const sign = large !== sweep ? 1 : -1;
+    const numerator = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+    const factor = sign * Math.sqrt(Math.max(0, numerator / (rx * rx * py * py + ry * ry * px * px)));
+    const cxp = factor * rx * py / ry;
+    const cyp = -factor * ry * px / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const start = angle(1, 0, (px - cxp) / rx, (py - cyp) / ry);
+    let delta = angle((px - cxp) / rx, (py - cyp) / ry, (-px - cxp) / rx, (-py - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    return {
+        start,
+        delta,
+        point: (a) => [
+            cx + rx * Math.cos(a) * cos - ry * Math.sin(a) * sin,
+            cy + rx * Math.cos(a) * sin + ry * Math.sin(a) * cos
+        ]
+    };
+}
+
+function formatPaper(paper) {
+    if (paper?.name) return `(paper ${quote(paper.name)}${paper.portrait ? ' portrait' : ''})`;
+    if (paper?.width) return `(paper "User" ${num(paper.width)} ${num(paper.height)})`;
+    return '(paper "A4")';
+}
+
+function formatStroke(shape) {
+    const color = hexColor(shape.color);
+    return `(stroke (width ${num(shape.lineWidth || 0)}) (type default)${color ? ` (color ${color} 1)` : ''})`;
+}
+
+function formatFill(shape) {
+    if (!shape.fill) return '(fill (type none))';
+    const color = hexColor(shape.fillColor);
+    return color ? `(fill (type color) (color ${color} ${num(shape.fillAlpha ?? 1)}))` : '(fill (type background))';
+}
+
+/**
+ * Fill of a symbol graphic as KICADFetcher reads it back
+ */
+function libFill(fill) {
+    if (!fill || fill === 'none') return 'none';
+    return fill === 'currentColor' ? 'outline' : 'background';
+}
+
+/**
+ * "r g b" from #rgb or #rrggbb; theme variables have no fixed colour
+ */
+function hexColor(color) {
+    const match = String(color || '').match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) return null;
+    let hex = match[1];
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16)).join(' ');
+}
+
+/**
+ * Library names can't hold the ':' that separates library and symbol
+ */
+function libName(name) {
+    return String(name || 'unknown').replace(/[:\s/\\]+/g, '_');
+}
+
+/**
+ * Millimetres with at most four decimals and no "-0"
+ */
+function num(value) {
+    const rounded = Math.round((Number(value) || 0) * 10000) / 10000;
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * KiCad string: always quoted, with backslashes and quotes escaped
+ */
+function quote(text) {
+    return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
@@ -0,0 +1,551 @@
+/**
+ * kicadSchematicImport - Read a KiCad 6+ schematic (.kicad_sch) into sheet data
+ *
+ * The reverse of kicadSchematic: sheet coordinates move so the paper's
+ * top-left corner lands on our paper's, and embedded lib_symbols go
+ * through KiCadFetcher's converter, which applies the library Y flip.
+ * Symbols we wrote ourselves ("ClearPCB:<name>") map back onto the
+ * definition of that name when the library has it.
+ * Wires crossing at a junction only connect here where one of them ends,
+ * so wires are split at every junction along their length.
+ * Whatever has no counterpart here is noted in the ImportReport.
+ */
+
+import { distanceToSegment, pointsEqual } from './geometry.js';
+
+// KiCad paper sizes in mm, landscape
+const PAPER_SIZES = {
+    A5: [210, 148], A4: [297, 210], A3: [420, 297], A2: [594, 420], A1: [841, 594], A0: [1189, 841],
+    A: [279.4, 215.9], B: [431.8, 279.4], C: [558.8, 431.8], D: [863.6, 558.8], E: [1117.6, 863.6],
+    USLetter: [279.4, 215.9], USLegal: [355.6, 215.9], USLedger: [431.8, 279.4]
+};
+
+// Top-level items with nothing to draw
+const IGNORED = new Set([
+    'version', 'generator', 'generator_version', 'uuid', 'paper', 'title_block',
+    'lib_symbols', 'sheet_instances', 'symbol_instances', 'embedded_fonts'
+]);
+
+// How far (mm) a junction may sit off a wire and still join it
+const JUNCTION_TOLERANCE = 0.01;
+
+const UNSUPPORTED = {
+    image: 'Images are not imported',
+    text_box: 'Text boxes are not imported',
+    bus_alias: 'Bus aliases are not imported',
+    netclass_flag: 'Net class flags are not imported',
+    directive_label: 'Directive labels are not imported',
+    rule_area: 'Rule areas are not imported',
+    table: 'Tables are not imported'
+};
+
+/**
+ * Nested arrays from S-expression text. Atoms stay strings (KiCad 7
+ * writes UUIDs unquoted and they must not turn into numbers); quoted
+ * strings lose their quotes and escapes.
+ * @param {string} text
+ * @param {object} fetcher - KiCadFetcher, for its tokenizer
+ */
+export function parseSExpression(text, fetcher) {
+    const tokens = fetcher._tokenize(text);
+    let pos = 0;
+    const parse = () => {
+        const token = tokens[pos++];
+        if (token !== '(') return unquote(token);
+        const list = [];
+        while (pos < tokens.length && tokens[pos] !== ')') list.push(parse());
+        pos++;
+        return list;
+    };
+    return tokens[0] === '(' ? parse() : null;
+}
+
+/**
+ * @param {string} text - .kicad_sch file contents
+ * @param {object} options
+ * @param {object} options.fetcher - KiCadFetcher, whose converter turns lib_symbols into definitions
+ * @param {function(string): object|null} [options.getDefinition] - Library lookup by definition name
+ * @param {ImportReport} options.report
+ * @returns {{uuid: string, paper: ({key: string, width: number, height: number}|null),
+ *   shapes: Array<object>, components: Array<object>, definitions: Array<object>,
+ *   childSheets: Array<string>, symbolInstances: Map<string, Array<{path: string, reference: string}>>}}
+ *   Shapes and components are in saved-document form; each component has KiCad's
+ *   instance list ({path, reference}) as `instances`. KiCad 6 lists every sheet's
+ *   references in the root file instead: `symbolInstances`, by symbol UUID.
+ */
+export function parseKicadSchematic(text, options) {
+    const { fetcher, report } = options;
+    const getDefinition = options.getDefinition || (() => null);
+
+    if (/^\s*EESchema Schematic File/.test(text)) {
+        throw new Error('This is a KiCad 5 schematic. Open it in KiCad 6 or later and save it first.');
+    }
+    const root = parseSExpression(text, fetcher);
+    if (!Array.isArray(root) || root[0] !== 'kicad_sch') {
+        throw new Error('Not a KiCad schematic file');
+    }
+
+    const paper = readPaper(find(root, 'paper'));
+    // Paper top-left is KiCad (0, 0); ours sits at (0, -height)
+    const dy = -(paper?.height ?? 0);
+    const point = (node, i = 1) => ({ x: atom(node, i), y: atom(node, i + 1) + dy });
+
+    const libSymbols = new Map();
+    for (const item of find(root, 'lib_symbols')?.slice(1) || []) {
+        if (Array.isArray(item) && item[0] === 'symbol') libSymbols.set(item[1], item);
+    }
+    const definitions = new Map();
+
+    const shapes = [];
+    const components = [];
+    const childSheets = [];
+    const junctions = [];
+
+    for (const item of root.slice(1)) {
+        if (!Array.isArray(item)) continue;
+        const type = item[0];
+        switch (type) {
+            case 'wire':
+            case 'bus':
+                shapes.push({ type, points: findAll(find(item, 'pts'), 'xy').map(xy => point(xy)) });
+                break;
+            case 'bus_entry': {
+                const size = find(item, 'size');
+                shapes.push({ type: 'busEntry', ...point(find(item, 'at')), dx: atom(size, 1), dy: atom(size, 2) });
+                break;
+            }
+            case 'junction':
+                junctions.push(point(find(item, 'at')));
+                break;
+            case 'no_connect':
+                shapes.push({ type: 'noConnect', ...point(find(item, 'at')) });
+                break;
+            case 'label':
+            case 'global_label':
+            case 'hierarchical_label': {
+                const at = find(item, 'at');
+                if (type === 'global_label') report.add(`Global label "${item[1]}" imported as a local label`);
+                shapes.push({
+                    type: 'netLabel',
+                    ...point(at),
+                    text: String(item[1]),
+                    fontSize: fontSize(item),
+                    rotation: (360 - atom(at, 3)) % 360,
+                    labelType: type === 'hierarchical_label' ? 'hierarchical' : 'local'
+                });
+                break;
+            }
+            case 'text': {
+                const at = find(item, 'at');
+                const size = fontSize(item);
+                const justify = find(find(item, 'effects'), 'justify') || [];
+                if (atom(at, 3)) report.add('Rotated text imported horizontal');
+                // Our text sits on its baseline; KiCad centres it unless told otherwise
+                const lift = justify.includes('bottom') ? 0 : justify.includes('top') ? size : size / 2;
+                const p = point(at);
+                shapes.push({
+                    type: 'text',
+                    x: p.x,
+                    y: p.y + lift,
+                    text: String(item[1]),
+                    fontSize: size,
+                    textAnchor: justify.includes('left') ? 'start' : justify.includes('right') ? 'end' : 'middle',
+                    ...strokeColor(item)
+                });
+                break;
+            }
+            case 'polyline': {
+                const points = findAll(find(item, 'pts'), 'xy').map(xy => point(xy));
+                if (points.length === 2) {
+                    shapes.push({ type: 'line', x1: points[0].x, y1: points[0].y, x2: points[1].x, y2: points[1].y, ...stroke(item) });
+                } else if (points.length > 2) {
+                    const first = points[0], last = points[points.length - 1];
+                    const closed = first.x === last.x && first.y === last.y;
+                    shapes.push({ type: 'polygon', points: closed ? points.slice(0, -1) : points, closed, ...stroke(item), ...fill(item) });
+                }
+                break;
+            }
+            case 'rectangle': {
+                const a = point(find(item, 'start'));
+                const b = point(find(item, 'end'));
+                shapes.push({
+                    type: 'rect',
+                    x: Math.min(a.x, b.x), y: Math.min(a.y, b.y),
+                    width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y),
+                    ...stroke(item), ...fill(item)
+                });
+                break;
+            }
+            case 'circle':
+                shapes.push({ type: 'circle', ...point(find(item, 'center')), radius: atom(find(item, 'radius'), 1), ...stroke(item), ...fill(item) });
+                break;
+            case 'arc':
+                shapes.push({
+                    type: 'arc',
+                    startPoint: point(find(item, 'start')),
+                    bulgePoint: point(find(item, 'mid')),
+                    endPoint: point(find(item, 'end')),
+                    ...stroke(item)
+                });
+                break;
+            case 'sheet': {
+                const sheet = readSheet(item, point, report);
+                shapes.push(sheet);
+                childSheets.push(sheet.fileName);
+                break;
+            }
+            case 'symbol': {
+                const component = readSymbol(item, { point, libSymbols, definitions, fetcher, getDefinition, report });
+                if (component) components.push(component);
+                break;
+            }
+            default:
+                if (!IGNORED.has(type)) report.add(UNSUPPORTED[type] || `"${type}" items are not imported`);
+        }
+    }
+    splitAtJunctions(shapes, junctions, report);
+
+    return {
+        uuid: String(find(root, 'uuid')?.[1] ?? ''),
+        paper,
+        shapes,
+        components,
+        definitions: [...definitions.values()],
+        childSheets,
+        symbolInstances: readLegacyInstances(find(root, 'symbol_instances'))
+    };
+}
+
+/**
+ * Cut wires and buses at the junctions lying along them, so wires that
+ * cross at a junction meet at an end. Junctions at a wire end are
+ * already connections; ones on no wire at all are reported.
+ */
+function splitAtJunctions(shapes, junctions, report) {
+    if (!junctions.length) return;
+    const used = new Set();
+    for (let i = shapes.length - 1; i >= 0; i--) {
+        const shape = shapes[i];
+        if (shape.type !== 'wire' && shape.type !== 'bus') continue;
+        const pieces = [[shape.points[0]]];
+        for (let k = 1; k < shape.points.length; k++) {
+            const a = shape.points[k - 1], b = shape.points[k];
+            const cuts = [];
+            junctions.forEach((j, index) => {
+                if (distanceToSegment(j, a, b) > JUNCTION_TOLERANCE) return;
+                used.add(index);
+                if (!pointsEqual(j, a, JUNCTION_TOLERANCE) && !pointsEqual(j, b, JUNCTION_TOLERANCE)) {
+                    cuts.push({ point: j, along: Math.hypot(j.x - a.x, j.y - a.y) });
+                }
+            });
+            cuts.sort((p, q) => p.along - q.along);
+            for (const { point } of cuts) {
+                pieces[pieces.length - 1].push(point);
+                pieces.push([point]);
+            }
+            pieces[pieces.length - 1].push(b);
+            // Corners with a junction on them are cut too
+            if (k < shape.points.length - 1 && junctions.some(j => pointsEqual(j, b, JUNCTION_TOLERANCE))) {
+                pieces.push([b]);
+            }
+        }
+        if (pieces.length > 1) shapes.splice(i, 1, ...pieces.map(points => ({ ...shape, points })));
+    }
+    const stray = junctions.length - used.size;
+    for (let n = 0; n < stray; n++) report.add('Junction not on a wire dropped');
+}
+
+/**
+ * Our sheet instance path ("/sheet_<uuid>/") for a KiCad one. KiCad 7
+ * starts the path with the root sheet's UUID; KiCad 6 leaves it out.
+ */
+export function toInstancePath(kicadPath, rootUuid) {
+    const parts = String(kicadPath).split('/').filter(Boolean);
+    if (parts[0] === rootUuid) parts.shift();
+    return '/' + parts.map(uuid => `${sheetId(uuid)}/`).join('');
+}
+
+function sheetId(uuid) {
+    return `sheet_${uuid}`;
+}
+
+/**
+ * Placed symbol -> component data, adding its definition on first use
+ */
+function readSymbol(item, context) {
+    const { point, report } = context;
+    const libId = String(find(item, 'lib_id')?.[1] ?? '');
+    const uuid = String(find(item, 'uuid')?.[1] ?? '');
+    const unit = Math.max(1, Math.round(atom(find(item, 'unit'), 1)) || 1);
+    const properties = {};
+    for (const prop of findAll(item, 'property')) properties[prop[1]] = String(prop[2] ?? '');
+    const reference = properties.Reference || '?';
+
+    const definition = getSymbolDefinition(libId, unit, context);
+    if (!definition) {
+        report.add(`${reference}: symbol ${libId} is not embedded in the file, so it was left out`);
+        return null;
+    }
+
+    // KiCad turns counter-clockwise and then mirrors; we mirror first and turn clockwise
+    const at = find(item, 'at');
+    const angle = ((Math.round(atom(at, 3)) % 360) + 360) % 360;
+    const mirror = find(item, 'mirror')?.[1];
+    const rotation = mirror === 'y' ? angle : mirror === 'x' ? (angle + 180) % 360 : (360 - angle) % 360;
+
+    if (find(item, 'dnp')?.[1] === 'yes') report.add(`${reference}: "Do not populate" is not supported`);
+
+    const extra = {};
+    for (const [name, value] of Object.entries(properties)) {
+        if (name === 'Reference' || name === 'Value' || name.startsWith('ki_')) continue;
+        if (!value || value === '~') continue;
+        extra[name] = value;
+    }
+
+    const instances = [];
+    for (const project of findAll(find(item, 'instances'), 'project')) {
+        for (const path of findAll(project, 'path')) {
+            instances.push({ path: String(path[1]), reference: String(find(path, 'reference')?.[1] ?? reference) });
+        }
+    }
+
+    return {
+        type: 'component',
+        id: `component_${uuid || Math.random().toString(36).slice(2)}`,
+        definitionName: definition.name,
+        ...point(at),
+        rotation,
+        mirror: !!mirror,
+        reference,
+        value: properties.Value ?? '',
+        properties: extra,
+        instances
+    };
+}
+
+/**
+ * Definition for one unit of an embedded library symbol
+ */
+function getSymbolDefinition(libId, unit, { libSymbols, definitions, fetcher, getDefinition, report }) {
+    if (libId.startsWith('ClearPCB:')) {
+        const own = getDefinition(libId.slice('ClearPCB:'.length));
+        if (own) return own;
+    }
+
+    const libSymbol = libSymbols.get(libId);
+    if (!libSymbol) return null;
+
+    const units = new Set(unitSymbols(libSymbol).map(u => u.unit).filter(n => n > 0));
+    const name = units.size > 1 ? `${libId} (unit ${unit})` : libId;
+    if (definitions.has(name)) return definitions.get(name);
+
+    // Shared graphics (unit 0), this unit, and only the normal body style
+    const keep = (child) => {
+        if (!Array.isArray(child) || child[0] !== 'symbol') return true;
+        const match = String(child[1]).match(/_(\d+)_(\d+)$/);
+        if (!match) return true;
+        const [u, style] = [Number(match[1]), Number(match[2])];
+        return (u === 0 || u === unit) && style <= 1;
+    };
+    const sexp = libSymbol.filter(keep);
+    const drawn = [sexp, ...sexp.filter(child => Array.isArray(child) && child[0] === 'symbol')];
+    if (drawn.some(node => find(node, 'text') || find(node, 'text_box'))) report.add(`Symbol ${name}: text left out`);
+    if (drawn.some(node => find(node, 'bezier'))) report.add(`Symbol ${name}: curves left out`);
+    const converted = fetcher._convertKiCadSymbol(sexp);
+    const symbol = converted.symbol;
+
+    // The converter moves the symbol's corner to (0, 0); put the KiCad origin back
+    // so instance positions carry over unchanged
+    const { minX, minY } = symbolBounds(sexp, fetcher);
+    if (Number.isFinite(minX)) {
+        symbol.graphics = symbol.graphics.filter(g => g.type !== 'text');
+        for (const g of symbol.graphics) fetcher._offsetGraphic(g, minX, minY);
+        for (const pin of symbol.pins) {
+            pin.x += minX;
+            pin.y += minY;
+        }
+        symbol.origin = { x: -minX, y: -minY };
+    }
+
+    const properties = {};
+    for (const prop of findAll(libSymbol, 'property')) {
+        properties[prop[1]] = prop;
+        const field = fieldText(prop);
+        if (prop[1] === 'Reference' && field) symbol.graphics.push({ ...field, text: '${REF}' });
+        if (prop[1] === 'Value' && field) symbol.graphics.push({ ...field, text: '${VALUE}' });
+    }
+    const value = (key) => String(properties[key]?.[2] ?? '');
+
+    const definition = {
+        name,
+        description: value('ki_description') || value('Description'),
+        category: 'KiCad Import',
+        symbol,
+        defaultReference: `${value('Reference') || 'U'}?`,
+        defaultValue: value('Value') || libId.split(':').pop(),
+        defaultProperties: value('Footprint') ? { Footprint: value('Footprint') } : {},
+        datasheet: value('Datasheet') === '~' ? '' : value('Datasheet'),
+        power: !!find(libSymbol, 'power'),
+        _source: 'KiCad'
+    };
+    definitions.set(name, definition);
+    return definition;
+}
+
+/**
+ * Library-space corner the converter subtracted (after its Y flip)
+ */
+function symbolBounds(sexp, fetcher) {
+    const parts = [fetcher._processSymbolUnit(sexp)];
+    for (const child of sexp.slice(2)) {
+        if (Array.isArray(child) && child[0] === 'symbol') parts.push(fetcher._processSymbolUnit(child));
+    }
+    return {
+        minX: Math.min(...parts.map(p => p.minX)),
+        minY: Math.min(...parts.map(p => p.minY))
+    };
+}
+
+function unitSymbols(libSymbol) {
+    return libSymbol.slice(2)
+        .filter(child => Array.isArray(child) && child[0] === 'symbol')
+        .map(child => {
+            const match = String(child[1]).match(/_(\d+)_(\d+)$/);
+            return { unit: match ? Number(match[1]) : 0 };
+        });
+}
+
+/**
+ * Symbol text for a visible library field, in our Y-down symbol space
+ */
+function fieldText(prop) {
+    const effects = find(prop, 'effects');
+    if (!effects || effects.includes('hide') || find(effects, 'hide')?.[1] === 'yes' || find(prop, 'hide')?.[1] === 'yes') {
+        return null;
+    }
+    const at = find(prop, 'at');
+    const justify = find(effects, 'justify') || [];
+    return {
+        type: 'text',
+        x: atom(at, 1),
+        y: -atom(at, 2),
+        fontSize: fontSize(prop) / 1.6,   // Component scales KiCad text up by 1.6
+        anchor: justify.includes('left') ? 'start' : justify.includes('right') ? 'end' : 'middle',
+        baseline: 'middle'
+    };
+}
+
+/**
+ * Hierarchical sheet block -> sheet shape data
+ */
+function readSheet(item, point, report) {
+    const at = point(find(item, 'at'));
+    const size = find(item, 'size');
+    const width = atom(size, 1), height = atom(size, 2);
+    const properties = {};
+    for (const prop of findAll(item, 'property')) properties[prop[1]] = String(prop[2] ?? '');
+    const sheetName = properties.Sheetname ?? properties['Sheet name'] ?? 'Sheet';
+    const fileName = properties.Sheetfile ?? properties['Sheet file'] ?? `${sheetName}.kicad_sch`;
+
+    const pins = findAll(item, 'pin').map(pin => {
+        const p = point(find(pin, 'at'));
+        const angle = ((Math.round(atom(find(pin, 'at'), 3)) % 360) + 360) % 360;
+        if (angle === 90 || angle === 270) {
+            report.add(`Sheet pin "${pin[1]}" on the top or bottom edge of "${sheetName}" moved to the left edge`);
+        }
+        return {
+            name: String(pin[1]),
+            side: angle === 0 ? 'right' : 'left',
+            offset: Math.min(Math.max(Math.round((p.y - at.y) * 1e4) / 1e4, 0), height),
+            type: String(pin[2] || 'passive')
+        };
+    });
+
+    return {
+        type: 'sheet',
+        id: sheetId(find(item, 'uuid')?.[1] ?? ''),
+        x: at.x,
+        y: at.y,
+        width,
+        height,
+        sheetName,
+        fileName,
+        pins
+    };
+}
+
+/**
+ * KiCad 6 keeps references in one list at the end: path ends in the symbol UUID
+ * @returns {Map<string, Array<{path: string, reference: string}>>}
+ */
+function readLegacyInstances(node) {
+    const byUuid = new Map();
+    for (const path of findAll(node, 'path')) {
+        const parts = String(path[1]).split('/');
+        const uuid = parts.pop();
+        if (!byUuid.has(uuid)) byUuid.set(uuid, []);
+        byUuid.get(uuid).push({ path: parts.join('/') || '/', reference: String(find(path, 'reference')?.[1] ?? '') });
+    }
+    return byUuid;
+}
+
+function readPaper(node) {
+    if (!node) return null;
+    const name = String(node[1]);
+    let size = name === 'User' ? [atom(node, 2), atom(node, 3)] : PAPER_SIZES[name];
+    if (!size) return null;
+    if (node.includes('portrait')) size = [size[1], size[0]];
+    return { key: name, width: size[0], height: size[1] };
+}
+
+function stroke(item) {
+    const node = find(item, 'stroke');
+    const width = atom(find(node, 'width'), 1);
+    return { ...(width > 0 ? { lineWidth: width } : {}), ...strokeColor(node) };
+}
+
+/**
+ * Our colour for a KiCad (color r g b a); all zero means "use the default"
+ */
+function strokeColor(node) {
+    const color = toHex(find(node, 'color'));
+    return color ? { color, fillColor: color } : {};
+}
+
+function fill(item) {
+    const node = find(item, 'fill');
+    const type = find(node, 'type')?.[1] || 'none';
+    if (type === 'none') return {};
+    const color = toHex(find(node, 'color'));
+    return { fill: true, ...(color ? { fillColor: color, fillAlpha: atom(find(node, 'color'), 4) || 1 } : {}) };
+}
+
+function toHex(color) {
+    if (!color) return null;
+    const [r, g, b, a] = [1, 2, 3, 4].map(i => atom(color, i));
+    if (!r && !g && !b && !a) return null;
+    return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+function fontSize(item) {
+    const size = find(find(find(item, 'effects'), 'font'), 'size');
+    return atom(size, 1) || 1.27;
+}
+
+function find(node, key) {
+    return Array.isArray(node) ? node.find(child => Array.isArray(child) && child[0] === key) || null : null;
+}
+
+function findAll(node, key) {
+    return Array.isArray(node) ? node.filter(child => Array.isArray(child) && child[0] === key) : [];
+}
+
+function atom(node, index) {
+    const value = parseFloat(node?.[index]);
+    return Number.isFinite(value) ? value : 0;
+}
+
+function unquote(token) {
+    if (typeof token !== 'string' || token[0] !== '"') return token;
+    return token.slice(1, -1).replace(/\\(.)/g, (_, c) => c === 'n' ? '\n' : c);
+}
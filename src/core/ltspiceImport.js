@@ -0,0 +1,300 @@
+/**
+ * ltspiceImport - Read an LTspice schematic (.asc) into sheet data
+ *
+ * LTspice draws on a 16-unit grid with Y down, like us; one grid step
+ * becomes 1.27 mm. Standard LTspice symbols become built-in parts. Their
+ * pins are not where LTspice's are, so each part sits over the LTspice
+ * symbol and short wires join its pins to where the LTspice wires end.
+ * Ground flags become GND symbols and other flags net labels. SPICE
+ * directives and comments are kept as text notes.
+ */
+
+// mm per LTspice unit
+const SCALE = 1.27 / 16;
+
+const GRID = 1.27;
+
+// LTspice symbol -> built-in definition, with the LTspice pin position for
+// each of our pin numbers, and the turn that makes the built-in face the
+// way LTspice's symbol does at R0
+const SYMBOLS = {
+    res: { definition: 'Resistor', pins: { 1: [16, 16], 2: [16, 96] }, rotation: 90 },
+    res2: { definition: 'Resistor', pins: { 1: [16, 16], 2: [16, 96] }, rotation: 90 },
+    cap: { definition: 'Capacitor', pins: { 1: [16, 0], 2: [16, 64] }, rotation: 90 },
+    polcap: { definition: 'Capacitor_Polarized', pins: { 1: [16, 0], 2: [16, 64] }, rotation: 90 },
+    ind: { definition: 'Inductor', pins: { 1: [16, 16], 2: [16, 96] }, rotation: 90 },
+    ind2: { definition: 'Inductor', pins: { 1: [16, 16], 2: [16, 96] }, rotation: 90 },
+    diode: { definition: 'Diode', pins: { 1: [16, 0], 2: [16, 64] }, rotation: 90 },
+    zener: { definition: 'Diode', pins: { 1: [16, 0], 2: [16, 64] }, rotation: 90 },
+    schottky: { definition: 'Diode', pins: { 1: [16, 0], 2: [16, 64] }, rotation: 90 },
+    led: { definition: 'LED', pins: { 1: [16, 0], 2: [16, 64] }, rotation: 90 },
+    npn: { definition: 'NPN', pins: { 1: [0, 48], 2: [64, 0], 3: [64, 96] } },
+    pnp: { definition: 'PNP', pins: { 1: [0, 48], 2: [64, 0], 3: [64, 96] } },
+    nmos: { definition: 'NMOS', pins: { 1: [0, 80], 2: [48, 0], 3: [48, 96] } },
+    // LTspice draws PMOS with the source on top
+    pmos: { definition: 'PMOS', pins: { 1: [0, 16], 2: [48, 96], 3: [48, 0] }, rotation: 180, mirror: true },
+    voltage: { definition: 'Voltage_Source', pins: { 1: [0, 16], 2: [0, 96] } },
+    current: { definition: 'Current_Source', pins: { 1: [0, 0], 2: [0, 80] } },
+    opamp: { definition: 'OpAmp', pins: { 1: [32, 64], 2: [-32, 80], 3: [-32, 48] } },
+    opamp2: { definition: 'OpAmp', pins: { 1: [32, 64], 2: [-32, 80], 3: [-32, 48] }, dropped: 'supply pins V+ and V-' }
+};
+
+// LTspice font size index -> mm
+const TEXT_SIZES = [1, 1, 1.27, 1.778, 2.54, 3.175, 4.445, 6.35];
+
+const UNSUPPORTED = {
+    ARC: 'Arcs are not imported',
+    BUSTAP: 'Bus taps are not imported',
+    DATAFLAG: 'Data flags are not imported'
+};
+
+// Lines with nothing to draw; IOPIN only gives a direction to a FLAG
+const IGNORED = new Set(['Version', 'SHEET', 'IOPIN']);
+
+/**
+ * LTspice saves .asc files as UTF-16 or as a single-byte encoding
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+export function decodeLtspiceFile(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+    // UTF-16 without a byte order mark still has a zero after every ASCII letter
+    if (bytes.length > 1 && bytes[0] !== 0 && bytes[1] === 0) return new TextDecoder('utf-16le').decode(bytes);
+    return new TextDecoder('windows-1252').decode(bytes);
+}
+
+/**
+ * @param {string} text - .asc file contents
+ * @param {object} options
+ * @param {function(string): object|null} options.getDefinition - Library lookup by definition name
+ * @param {ImportReport} options.report
+ * @returns {{shapes: Array<object>, components: Array<object>, gridSize: number}}
+ *   Shapes and components are in saved-document form
+ */
+export function parseLtspiceSchematic(text, { getDefinition, report }) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    if (!/^Version\s/.test(lines[0] || '')) {
+        throw new Error('Not an LTspice schematic file');
+    }
+
+    const point = (x, y) => ({ x: round(Number(x) * SCALE), y: round(Number(y) * SCALE) });
+    const shapes = [];
+    const components = [];
+    const symbols = [];
+    let grounds = 0;
+
+    for (const line of lines) {
+        const [command, ...args] = line.trim().split(/\s+/);
+        if (!command) continue;
+        switch (command) {
+            case 'WIRE':
+                shapes.push({ type: 'wire', points: [point(args[0], args[1]), point(args[2], args[3])] });
+                break;
+            case 'FLAG': {
+                const name = args.slice(2).join(' ');
+                if (name === '0') {
+                    components.push({
+                        type: 'component',
+                        id: newId(),
+                        definitionName: 'GND',
+                        ...point(args[0], args[1]),
+                        rotation: 0,
+                        mirror: false,
+                        reference: `#GND${++grounds}`,
+                        value: 'GND',
+                        properties: {}
+                    });
+                } else {
+                    shapes.push({ type: 'netLabel', ...point(args[0], args[1]), text: name, fontSize: 1.27, rotation: 0, labelType: 'local' });
+                }
+                break;
+            }
+            case 'SYMBOL':
+                symbols.push({ name: args[0], x: Number(args[1]), y: Number(args[2]), orientation: args[3] || 'R0', attributes: {} });
+                break;
+            case 'SYMATTR': {
+                const symbol = symbols[symbols.length - 1];
+                if (symbol) symbol.attributes[args[0]] = args.slice(1).join(' ');
+                break;
+            }
+            case 'WINDOW':
+                report.add('Moved part names and values go back to their symbol positions');
+                break;
+            case 'TEXT':
+                shapes.push(...readText(line, point, report));
+                break;
+            case 'LINE':
+                shapes.push({ type: 'line', ...flatten(point(args[1], args[2]), point(args[3], args[4])) });
+                break;
+            case 'RECTANGLE': {
+                const a = point(args[1], args[2]);
+                const b = point(args[3], args[4]);
+                shapes.push({
+                    type: 'rect',
+                    x: Math.min(a.x, b.x), y: Math.min(a.y, b.y),
+                    width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y)
+                });
+                break;
+            }
+            case 'CIRCLE': {
+                const a = point(args[1], args[2]);
+                const b = point(args[3], args[4]);
+                if (Math.abs(Math.abs(b.x - a.x) - Math.abs(b.y - a.y)) > 1e-6) {
+                    report.add('Ellipses are not imported');
+                    break;
+                }
+                shapes.push({ type: 'circle', x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, radius: Math.abs(b.x - a.x) / 2 });
+                break;
+            }
+            default:
+                if (!IGNORED.has(command)) report.add(UNSUPPORTED[command] || `"${command}" lines are not imported`);
+        }
+    }
+
+    for (const symbol of symbols) {
+        const placed = placeSymbol(symbol, getDefinition, report);
+        if (!placed) continue;
+        components.push(placed.component);
+        shapes.push(...placed.wires);
+    }
+
+    return { shapes, components, gridSize: GRID };
+}
+
+/**
+ * A built-in part over an LTspice symbol, and the wires from each
+ * LTspice pin position to the part's pin
+ */
+function placeSymbol(symbol, getDefinition, report) {
+    const attributes = symbol.attributes;
+    const reference = attributes.InstName || '?';
+    // Symbols from sub-folders are written as "Opamps\\opamp2"
+    const name = symbol.name.split(/[\\/]/).pop().toLowerCase();
+    const mapping = SYMBOLS[name];
+    const definition = mapping && getDefinition(mapping.definition);
+    if (!definition) {
+        report.add(`${reference}: LTspice symbol "${symbol.name}" has no built-in match, so it was left out`);
+        return null;
+    }
+    if (mapping.dropped) report.add(`${reference}: ${mapping.dropped} left out`);
+
+    // LTspice mirrors and then turns clockwise, as we do
+    const match = /^([RM])(0|90|180|270)$/.exec(symbol.orientation) || ['R0', 'R', '0'];
+    const ltMirror = match[1] === 'M';
+    const ltRotation = Number(match[2]);
+    const baseRotation = mapping.rotation || 0;
+    const rotation = ((ltMirror ? ltRotation - baseRotation : ltRotation + baseRotation) % 360 + 360) % 360;
+    const mirror = ltMirror !== !!mapping.mirror;
+
+    // Where LTspice has each pin, and where ours are relative to the part's origin
+    const pins = definition.symbol.pins.filter(pin => mapping.pins[pin.number]);
+    const ltPins = pins.map(pin => {
+        const [px, py] = mapping.pins[pin.number];
+        const p = transform(px, py, ltRotation, ltMirror);
+        return { x: (symbol.x + p.x) * SCALE, y: (symbol.y + p.y) * SCALE };
+    });
+    const ourPins = pins.map(pin => transform(pin.x, pin.y, rotation, mirror));
+    const mean = (points, axis) => points.reduce((sum, p) => sum + p[axis], 0) / points.length;
+    const x = snap(mean(ltPins, 'x') - mean(ourPins, 'x'));
+    const y = snap(mean(ltPins, 'y') - mean(ourPins, 'y'));
+
+    const wires = [];
+    pins.forEach((pin, i) => {
+        const from = { x: round(ltPins[i].x), y: round(ltPins[i].y) };
+        const to = { x: round(x + ourPins[i].x), y: round(y + ourPins[i].y) };
+        if (from.x === to.x && from.y === to.y) return;
+        // Come into the pin along its own direction
+        const [dx] = pinDirection(pin, rotation, mirror);
+        const corner = dx ? { x: from.x, y: to.y } : { x: to.x, y: from.y };
+        const points = [from, corner, to].filter((p, j, all) => j === 0 || p.x !== all[j - 1].x || p.y !== all[j - 1].y);
+        wires.push({ type: 'wire', points });
+    });
+
+    const properties = {};
+    for (const [key, value] of Object.entries(attributes)) {
+        if (key !== 'InstName' && key !== 'Value' && value) properties[key] = value;
+    }
+
+    return {
+        component: {
+            type: 'component',
+            id: newId(),
+            definitionName: definition.name,
+            x,
+            y,
+            rotation,
+            mirror,
+            reference,
+            value: attributes.Value ?? definition.defaultValue ?? '',
+            properties
+        },
+        wires
+    };
+}
+
+/**
+ * TEXT lines: "!" marks a SPICE directive, ";" a comment. Each line of
+ * the text is a note of its own.
+ */
+function readText(line, point, report) {
+    const match = /^TEXT\s+(-?\d+)\s+(-?\d+)\s+(\S+)\s+(\d+)\s?(.*)$/.exec(line.trim());
+    if (!match) return [];
+    const [, x, y, align, sizeIndex, raw] = match;
+    const body = /^[!;]/.test(raw) ? raw.slice(1) : raw;
+    const size = TEXT_SIZES[Number(sizeIndex)] ?? 1.27;
+    if (align.startsWith('V')) report.add('Vertical text imported horizontal');
+
+    const justify = align.replace(/^V/, '');
+    const textAnchor = justify === 'Left' ? 'start' : justify === 'Right' ? 'end' : 'middle';
+    // Our text sits on its baseline; LTspice centres it unless told otherwise
+    const lift = justify === 'Bottom' ? 0 : justify === 'Top' ? size : size / 2;
+    const p = point(x, y);
+
+    // LTspice writes line breaks in text as "\n"
+    return body.split('\\n').map((text, i) => ({
+        type: 'text',
+        x: p.x,
+        y: round(p.y + lift + i * size * 1.4),
+        text,
+        fontSize: size,
+        textAnchor
+    }));
+}
+
+/**
+ * Mirror in x, then turn clockwise (Y down)
+ */
+function transform(x, y, rotation, mirror) {
+    const mx = mirror ? -x : x;
+    const r = rotation * Math.PI / 180;
+    return {
+        x: mx * Math.cos(r) - y * Math.sin(r),
+        y: mx * Math.sin(r) + y * Math.cos(r)
+    };
+}
+
+/**
+ * Direction a pin points on the sheet
+ */
+function pinDirection(pin, rotation, mirror) {
+    const local = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] }[pin.orientation] || [1, 0];
+    const p = transform(local[0], local[1], rotation, mirror);
+    return [Math.round(p.x), Math.round(p.y)];
+}
+
+function flatten(start, end) {
+    return { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+}
+
+function snap(value) {
+    return round(Math.round(value / GRID) * GRID);
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function newId() {
+    return `component_ltspice_${Math.random().toString(36).slice(2, 11)}`;
+}
@@ -0,0 +1,70 @@
+/**
+ * partFields - Read part metadata off placed components
+ *
+ * Properties can live on the instance, on its definition or, for parts
+ * fetched from KiCad, on the symbol. Instance values win. Keys match
+ * without regard to case ("Footprint" / "footprint").
+ */
+
+/**
+ * Look up a property value on a component
+ * @returns {string} The value, or '' when the component has none
+ */
+export function getPartProperty(component, key) {
+    const definition = component.definition || {};
+    const sources = [component.properties, definition.properties, definition.symbol?.properties];
+    const lowerKey = key.toLowerCase();
+    for (const source of sources) {
+        if (!source || typeof source !== 'object') continue;
+        const match = Object.keys(source).find(k => k.toLowerCase() === lowerKey);
+        const value = match ? propertyText(source[match]) : '';
+        if (value) return value;
+    }
+    return '';
+}
+
+/**
+ * KiCad footprint name ("Library:Footprint"), or ''
+ */
+export function getFootprint(component) {
+    return getPartProperty(component, 'Footprint');
+}
+
+/**
+ * LCSC part number ("C25804"), or ''
+ */
+export function getLcscNumber(component) {
+    return getPartProperty(component, 'LCSC') ||
+        component.definition?.supplier_part_numbers?.LCSC || '';
+}
+
+export function getDatasheet(component) {
+    const value = getPartProperty(component, 'Datasheet') || component.definition?.datasheet || '';
+    return value === '~' ? '' : value;
+}
+
+export function getManufacturer(component) {
+    return getPartProperty(component, 'Manufacturer') || component.definition?.manufacturer || '';
+}
+
+export function getMpn(component) {
+    return getPartProperty(component, 'MPN') || component.definition?.mpn || '';
+}
+
+/**
+ * Instance properties worth carrying into other tools as extra fields
+ * (everything except the ones with a dedicated slot)
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function getExtraFields(component) {
+    const reserved = new Set(['reference', 'value', 'footprint', 'datasheet']);
+    return Object.entries(component.properties || {})
+        .map(([name, value]) => ({ name, value: propertyText(value) }))
+        .filter(field => field.value && !reserved.has(field.name.toLowerCase()));
+}
+
+function propertyText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return String(value.value ?? '');
+    return String(value);
+}
@@ -0,0 +1,98 @@
+/**
+ * pngEncoder - Write RGBA images as PNG one strip of rows at a time
+ *
+ * canvas.toBlob needs the whole picture on one canvas, and browsers cap
+ * canvas size (16k pixels a side at best). Rows here go straight into a
+ * CompressionStream as they are rendered, so only one strip is in memory.
+ */
+
+const SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+const IDAT_CHUNK_SIZE = 1 << 20;
+
+let crcTable = null;
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {function(number, number): Promise<Uint8ClampedArray|Uint8Array>} readStrip -
+ *   Called with (firstRow, rowCount); returns width * rowCount RGBA pixels
+ * @param {object} [options]
+ * @param {number} [options.stripHeight=1024]
+ * @param {number} [options.dpi] - Stored so other programs print at the right size
+ * @returns {Promise<Blob>}
+ */
+export async function encodePng(width, height, readStrip, options = {}) {
+    const stripHeight = options.stripHeight || 1024;
+    const stride = width * 4;
+
+    const compressor = new CompressionStream('deflate');
+    const compressed = new Response(compressor.readable).arrayBuffer();
+    const writer = compressor.writable.getWriter();
+
+    for (let y = 0; y < height; y += stripHeight) {
+        const rows = Math.min(stripHeight, height - y);
+        const pixels = await readStrip(y, rows);
+        // Each row starts with its filter type; 0 leaves the bytes as they are
+        const filtered = new Uint8Array(rows * (stride + 1));
+        for (let r = 0; r < rows; r++) {
+            filtered.set(pixels.subarray(r * stride, (r + 1) * stride), r * (stride + 1) + 1);
+        }
+        await writer.write(filtered);
+    }
+    await writer.close();
+    const data = new Uint8Array(await compressed);
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8;  // bits per channel
+    header[9] = 6;  // RGBA
+
+    const parts = [SIGNATURE, chunk('IHDR', header)];
+    if (options.dpi) {
+        const phys = new Uint8Array(9);
+        const pixelsPerMetre = Math.round(options.dpi / 0.0254);
+        new DataView(phys.buffer).setUint32(0, pixelsPerMetre);
+        new DataView(phys.buffer).setUint32(4, pixelsPerMetre);
+        phys[8] = 1;    // unit: metre
+        parts.push(chunk('pHYs', phys));
+    }
+    for (let offset = 0; offset < data.length; offset += IDAT_CHUNK_SIZE) {
+        parts.push(chunk('IDAT', data.subarray(offset, offset + IDAT_CHUNK_SIZE)));
+    }
+    parts.push(chunk('IEND', new Uint8Array(0)));
+
+    return new Blob(parts, { type: 'image/png' });
+}
+
+/**
+ * Length, type, data and CRC of the type and data
+ */
+function chunk(type, data) {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+    return bytes;
+}
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
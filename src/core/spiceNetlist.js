@@ -0,0 +1,238 @@
+/**
+ * spiceNetlist - Write a flattened design as a SPICE deck (.cir)
+ *
+ * Built-in passives, semiconductors and sources map to R/C/L/D/Q/M/V/I element lines.
+ * Any part can take over with KiCad-style properties:
+ * - Spice_Primitive: element letter (R, C, L, D, Q, M, X, V, ...); defaults to X
+ * - Spice_Model: value or model/subcircuit name written after the nodes
+ * - Spice_Node_Sequence: pin numbers in SPICE node order ("2 1 3")
+ * - Spice_Lib_File: file pulled in with .include
+ * Built-in semiconductors with neither Spice_Model nor Spice_Lib_File get a
+ * default .model card named after their value, with a warning.
+ * Parts that cannot be mapped are listed in the result and left out.
+ */
+
+import { getPartProperty } from './partFields.js';
+
+// Built-in definition name -> element letter, pin order by pin number and
+// the device type of the default .model card for semiconductors
+const BUILT_IN_MODELS = {
+    Resistor: { primitive: 'R', pins: ['1', '2'], valued: true },
+    Resistor_IEC: { primitive: 'R', pins: ['1', '2'], valued: true },
+    Capacitor: { primitive: 'C', pins: ['1', '2'], valued: true },
+    Capacitor_Polarized: { primitive: 'C', pins: ['1', '2'], valued: true },
+    Inductor: { primitive: 'L', pins: ['1', '2'], valued: true },
+    Diode: { primitive: 'D', pins: ['1', '2'], modelType: 'D' },       // A K
+    LED: { primitive: 'D', pins: ['1', '2'], modelType: 'D' },         // A K
+    NPN: { primitive: 'Q', pins: ['2', '1', '3'], modelType: 'NPN' },  // C B E
+    PNP: { primitive: 'Q', pins: ['2', '1', '3'], modelType: 'PNP' },  // C B E
+    NMOS: { primitive: 'M', pins: ['2', '1', '3', '3'], modelType: 'NMOS' }, // D G S, bulk tied to source
+    PMOS: { primitive: 'M', pins: ['2', '1', '3', '3'], modelType: 'PMOS' }, // D G S, bulk tied to source
+    Voltage_Source: { primitive: 'V', pins: ['1', '2'] },  // + -
+    Current_Source: { primitive: 'I', pins: ['1', '2'] }
+};
+
+// Multipliers for engineering notation; 'M' is mega as on schematics
+const PREFIXES = {
+    T: 1e12, G: 1e9, M: 1e6, k: 1e3, K: 1e3,
+    m: 1e-3, u: 1e-6, 'µ': 1e-6, n: 1e-9, p: 1e-12, f: 1e-15
+};
+
+const GROUND_NAMES = new Set(['0', 'GND', 'GNDA', 'AGND', 'VSS']);
+
+/**
+ * Read a schematic value such as "4k7", "100nF", "2.2M", "10uH" or "4R7"
+ * @returns {number|null} Value in base units, or null if it isn't a number
+ */
+export function parseEngineeringValue(text) {
+    let s = String(text ?? '').trim().replace(/\s+/g, '');
+    if (!s) return null;
+
+    // Units are ignored: 100nF, 10uH, 1kΩ, 47ohm. Case matters: 1f is femto.
+    s = s.replace(/([Oo]hms?|Ω|F|H|V|A|Hz)$/, (unit, _, offset) => offset > 0 ? '' : unit);
+
+    // Prefix or R standing in for the decimal point: 4k7, 2M2, 4R7
+    const infix = s.match(/^(\d+)([TGMkKmuµnpfR])(\d+)$/);
+    if (infix) {
+        const scale = infix[2] === 'R' ? 1 : PREFIXES[infix[2]];
+        return parseFloat(`${infix[1]}.${infix[3]}`) * scale;
+    }
+
+    const plain = s.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(meg|[TGMkKmuµnpfR])?$/i);
+    if (!plain) return null;
+    const suffix = plain[2];
+    let scale = 1;
+    if (suffix) {
+        if (suffix.toLowerCase() === 'meg') scale = 1e6;
+        else if (suffix !== 'R' && suffix !== 'r') scale = PREFIXES[suffix];
+        if (scale === undefined) return null;
+    }
+    return parseFloat(plain[1]) * scale;
+}
+
+/**
+ * Write a number with a SPICE scale suffix: 4700 -> "4.7K", 1e-7 -> "100N"
+ */
+export function formatSpiceValue(value) {
+    if (value === 0) return '0';
+    const suffixes = [[1e12, 'T'], [1e9, 'G'], [1e6, 'MEG'], [1e3, 'K'], [1, ''], [1e-3, 'M'], [1e-6, 'U'], [1e-9, 'N'], [1e-12, 'P'], [1e-15, 'F']];
+    const abs = Math.abs(value);
+    for (const [scale, suffix] of suffixes) {
+        if (abs >= scale * 0.9999999) {
+            return `${Number((value / scale).toPrecision(6))}${suffix}`;
+        }
+    }
+    return String(value);
+}
+
+/**
+ * @param {{components: Array<object>, nets: Array<object>}} design - Output of flattenDesign
+ * @param {object} [options]
+ * @param {string} [options.title] - First line of the deck
+ * @returns {{text: string, skipped: Array<{reference: string, reason: string}>, warnings: Array<string>}}
+ */
+export function buildSpiceNetlist(design, options = {}) {
+    const nodeNames = createNodeNames(design.nets);
+    const pinNodes = new Map();
+    design.nets.forEach(net => {
+        for (const pin of net.pins) {
+            pinNodes.set(`${pin.reference}\u0000${pin.pinNumber}`, nodeNames.get(net));
+        }
+    });
+
+    const elements = [];
+    const skipped = [];
+    const includes = new Set();
+    const models = new Map();
+    const defaulted = [];
+    const terminals = [];
+    let unconnected = 0;
+
+    for (const item of design.components) {
+        const { component, reference } = item;
+        if (component.isPower || reference.startsWith('#')) continue;
+
+        const mapped = mapComponent(component);
+        if (mapped.error) {
+            skipped.push({ reference, reason: mapped.error });
+            continue;
+        }
+
+        const nodes = mapped.pins.map(number => {
+            const node = pinNodes.get(`${reference}\u0000${number}`) || `NC_${++unconnected}`;
+            terminals.push({ pin: `${reference}.${number}`, node });
+            return node;
+        });
+        elements.push(`${elementName(mapped.primitive, reference)} ${nodes.join(' ')} ${mapped.value}`);
+        if (mapped.include) includes.add(mapped.include);
+        if (mapped.defaultModel) {
+            if (!models.has(mapped.value)) models.set(mapped.value, mapped.defaultModel);
+            defaulted.push(reference);
+        }
+    }
+
+    const warnings = [];
+    if (defaulted.length) {
+        warnings.push(`${defaulted.join(', ')}: no Spice_Model or Spice_Lib_File, so default .model cards were written for ${[...models.keys()].join(', ')}.`);
+    }
+    if (elements.length > 0 && ![...nodeNames.values()].includes('0')) {
+        warnings.push('No ground net: name one net GND or 0 so the simulator has a reference node.');
+    }
+    // A node only one terminal reaches leaves the simulator's matrix singular
+    const uses = new Map();
+    for (const { node } of terminals) uses.set(node, (uses.get(node) || 0) + 1);
+    const floating = terminals.filter(t => t.node !== '0' && uses.get(t.node) === 1).map(t => t.pin);
+    if (floating.length) {
+        warnings.push(`Pins left floating (nothing else on their node), which most simulators reject: ${floating.join(', ')}`);
+    }
+
+    const lines = [`* ${options.title || 'ClearPCB schematic'}`];
+    for (const file of includes) lines.push(`.include "${file}"`);
+    if (includes.size) lines.push('');
+    for (const [name, type] of models) lines.push(`.model ${name} ${type}`);
+    if (models.size) lines.push('');
+    lines.push(...elements);
+    if (skipped.length) {
+        lines.push('');
+        lines.push('* Not simulated:');
+        for (const part of skipped) lines.push(`* ${part.reference}: ${part.reason}`);
+    }
+    lines.push('');
+    lines.push('.end');
+
+    return { text: lines.join('\n') + '\n', skipped, warnings };
+}
+
+/**
+ * Work out element letter, node order and value for a component
+ * @returns {{primitive, pins, value, include, defaultModel}|{error: string}}
+ */
+function mapComponent(component) {
+    const builtIn = BUILT_IN_MODELS[component.definition?.name];
+    const primitiveProp = getPartProperty(component, 'Spice_Primitive').toUpperCase();
+    const modelProp = getPartProperty(component, 'Spice_Model');
+    const sequenceProp = getPartProperty(component, 'Spice_Node_Sequence');
+    const include = getPartProperty(component, 'Spice_Lib_File');
+
+    const symbolPins = (component.symbol?.pins || []).map(p => String(p.number));
+    // Other parts with a model are subcircuits unless they say otherwise
+    const primitive = primitiveProp || builtIn?.primitive || (modelProp ? 'X' : null);
+    if (!primitive) {
+        return { error: `no SPICE model for ${component.definition?.name || 'this part'} (set Spice_Model)` };
+    }
+
+    let pins = builtIn && !primitiveProp ? builtIn.pins : [...symbolPins].sort(comparePinNumbers);
+    if (sequenceProp) {
+        pins = sequenceProp.split(/[\s,]+/).filter(Boolean);
+        const unknown = pins.find(n => !symbolPins.includes(n));
+        if (unknown) return { error: `Spice_Node_Sequence names pin ${unknown}, which the symbol does not have` };
+    }
+
+    let value;
+    if (modelProp) {
+        value = modelProp;
+    } else if (builtIn?.valued) {
+        const number = parseEngineeringValue(component.value);
+        if (number === null) return { error: `value "${component.value}" is not a number` };
+        value = formatSpiceValue(number);
+    } else if (builtIn && component.value) {
+        value = component.value;
+    } else {
+        return { error: 'no SPICE model name (set Spice_Model)' };
+    }
+
+    // The value names a model nothing defines; fall back to the device defaults
+    const defaultModel = builtIn?.modelType && !primitiveProp && !modelProp && !include ? builtIn.modelType : null;
+
+    return { primitive, pins, value, include, defaultModel };
+}
+
+/**
+ * SPICE node names for the nets: ground nets become 0, everything else
+ * keeps its name with characters SPICE can't take replaced
+ */
+function createNodeNames(nets) {
+    const names = new Map();
+    const used = new Set();
+    for (const net of nets) {
+        let name = GROUND_NAMES.has(net.name.toUpperCase()) ? '0' : net.name.replace(/[^A-Za-z0-9_+\-.]/g, '_');
+        if (name !== '0') {
+            const base = name || 'N';
+            for (let i = 2; used.has(name) || name === '0'; i++) name = `${base}_${i}`;
+        }
+        used.add(name);
+        names.set(net, name);
+    }
+    return names;
+}
+
+/**
+ * Element names must start with the element letter: R1 stays R1, U1 as a subcircuit is XU1
+ */
+function elementName(primitive, reference) {
+    return reference.toUpperCase().startsWith(primitive) ? reference : `${primitive}${reference}`;
+}
+
+function comparePinNumbers(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+}
@@ -0,0 +1,289 @@
+/**
+ * wireCleanup - Normalise wire geometry without changing connectivity
+ *
+ * - Drops zero-length segments and merges collinear points
+ * - Removes wires lying entirely on top of another wire
+ * - Trims wire ends that run back over another wire
+ * - Splits a wire where another wire's end lands on it
+ *
+ * The result is checked against the connectivity engine: if any net would
+ * gain or lose a pin, label, port or sheet pin, nothing is changed.
+ * Given the wires just edited, only they and their spatial neighbours are
+ * looked at.
+ */
+
+import { distanceToSegment } from './geometry.js';
+import { ConnectivityManager } from './ConnectivityManager.js';
+
+const TOLERANCE = 0.01;
+
+// Spatial cell size in world units (mm), as in ConnectivityManager
+const CELL_SIZE = 10;
+
+function samePoint(a, b) {
+    return Math.abs(a.x - b.x) < TOLERANCE && Math.abs(a.y - b.y) < TOLERANCE;
+}
+
+function onSegment(p, a, b) {
+    return distanceToSegment(p, a, b) <= TOLERANCE;
+}
+
+/**
+ * Remove repeated points and straight-through interior points.
+ * Points where the path doubles back are kept: dropping them would
+ * shorten what the wire covers.
+ */
+export function simplifyWirePoints(points) {
+    const result = [];
+    for (const p of points) {
+        if (result.length && samePoint(result[result.length - 1], p)) continue;
+        if (result.length >= 2) {
+            const a = result[result.length - 2];
+            const b = result[result.length - 1];
+            const cross = (b.x - a.x) * (p.y - b.y) - (b.y - a.y) * (p.x - b.x);
+            const forward = (b.x - a.x) * (p.x - b.x) + (b.y - a.y) * (p.y - b.y) > 0;
+            if (Math.abs(cross) < TOLERANCE && forward) {
+                result[result.length - 1] = { x: p.x, y: p.y };
+                continue;
+            }
+        }
+        result.push({ x: p.x, y: p.y });
+    }
+    return result;
+}
+
+/**
+ * Work out the cleanup for a set of shapes
+ * @param {Array<object>} shapes - All shapes on the sheet
+ * @param {Array<object>} components - All components on the sheet
+ * @param {object} [options]
+ * @param {Iterable<string>} [options.wireIds] - Wires just edited: only they and
+ *   the wires sharing their spatial cells are looked at (default: every wire)
+ * @param {ConnectivityManager} [options.connectivity] - Engine holding the
+ *   sheet's netlist, reused for the check so only the nets that differ are relinked
+ * @returns {{changed: Map<string, object>, removed: Array<string>, added: Array<object>}|null}
+ *   Changed wires map id -> { points, connections }; added wires carry
+ *   { sourceId, points, connections }. Null when there is nothing to do.
+ */
+export function planWireCleanup(shapes, components, options = {}) {
+    const wires = selectWires(shapes.filter(s => s.type === 'wire'), options.wireIds);
+    const state = new Map(wires.map(w => [w.id, {
+        wire: w,
+        points: w.points.map(p => ({ x: p.x, y: p.y })),
+        connections: { start: w.connections?.start || null, end: w.connections?.end || null },
+        removed: false,
+        editable: !w.locked
+    }]));
+    const entries = [...state.values()];
+
+    // Zero-length segments and collinear points
+    for (const entry of entries) {
+        if (!entry.editable) continue;
+        entry.points = simplifyWirePoints(entry.points);
+        if (entry.points.length < 2) entry.removed = true;
+    }
+
+    // Wires by the cells their segments cover. Trimming only shortens a
+    // wire, so the cells stay a superset of where it lies.
+    const cells = new Map();
+    for (const entry of entries) {
+        if (entry.removed) continue;
+        for (const seg of segmentsOf(entry.points)) {
+            for (const key of segmentCells(seg)) addToCell(cells, key, entry);
+        }
+    }
+    // Any wire covering a point has a segment in the point's cell
+    const wiresAt = (p) => cells.get(cellKey(p)) || [];
+
+    // Wires that lie completely on another wire; later wires go first
+    for (const entry of [...entries].reverse()) {
+        if (entry.removed || !entry.editable) continue;
+        const covered = segmentsOf(entry.points).every(seg => [...wiresAt(seg.a)].some(other =>
+            other !== entry && !other.removed &&
+            (!entry.wire.net || other.wire.net === entry.wire.net) &&
+            segmentsOf(other.points).some(t => onSegment(seg.a, t.a, t.b) && onSegment(seg.b, t.a, t.b))));
+        if (covered) entry.removed = true;
+    }
+
+    const live = entries.filter(e => !e.removed);
+
+    // Ends that run back over another wire are trimmed to where it stops
+    for (const entry of live) {
+        if (!entry.editable) continue;
+        for (const atStart of [true, false]) {
+            const pts = atStart ? [...entry.points].reverse() : entry.points;
+            const end = pts[pts.length - 1];
+            const inner = pts[pts.length - 2];
+            for (const other of wiresAt(end)) {
+                if (other === entry || other.removed || (entry.wire.net && other.wire.net !== entry.wire.net)) continue;
+                const t = segmentsOf(other.points).find(seg =>
+                    onSegment(end, seg.a, seg.b) && !onSegment(inner, seg.a, seg.b) &&
+                    [seg.a, seg.b].some(q => onSegment(q, inner, end) && !samePoint(q, end)));
+                if (!t) continue;
+                const stop = [t.a, t.b].find(q => onSegment(q, inner, end) && !samePoint(q, end));
+                pts[pts.length - 1] = { x: stop.x, y: stop.y };
+                entry.points = atStart ? pts.reverse() : pts;
+                entry.connections[atStart ? 'start' : 'end'] = null;
+                break;
+            }
+        }
+    }
+
+    // Split wires where another wire's end lands part-way along them
+    const added = [];
+    const landings = new Map();
+    for (const entry of live) {
+        for (const p of [entry.points[0], entry.points[entry.points.length - 1]]) {
+            addToCell(landings, cellKey(p), p);
+        }
+    }
+    for (const entry of live) {
+        if (!entry.editable) continue;
+        const parts = splitAt(entry.points, landings);
+        if (parts.length < 2) continue;
+        entry.points = parts[0];
+        const endConnection = entry.connections.end;
+        entry.connections.end = null;
+        parts.slice(1).forEach((points, i) => {
+            added.push({
+                sourceId: entry.wire.id,
+                points,
+                connections: { start: null, end: i === parts.length - 2 ? endConnection : null }
+            });
+        });
+    }
+
+    const changed = new Map();
+    for (const entry of live) {
+        const before = entry.wire.points;
+        const samePath = before.length === entry.points.length && before.every((p, i) => samePoint(p, entry.points[i]));
+        const beforeConnections = entry.wire.connections || {};
+        const sameConnections = (beforeConnections.start || null) === entry.connections.start &&
+            (beforeConnections.end || null) === entry.connections.end;
+        if (!samePath || !sameConnections) {
+            changed.set(entry.wire.id, { points: entry.points, connections: entry.connections });
+        }
+    }
+    const removed = entries.filter(e => e.removed).map(e => e.wire.id);
+
+    if (changed.size === 0 && removed.length === 0 && added.length === 0) return null;
+
+    // Only accept the cleanup if every net it touches keeps exactly the same members
+    const addedWires = added.map((a, i) => ({ id: `cleanup_${i}`, type: 'wire', net: state.get(a.sourceId).wire.net, points: a.points }));
+    const trialWires = new Map(live.map(e => [e.wire.id, { id: e.wire.id, type: 'wire', net: e.wire.net, points: e.points }]));
+    const after = [
+        ...shapes.filter(s => !state.has(s.id)),
+        ...trialWires.values(),
+        ...addedWires
+    ];
+    const connectivity = options.connectivity || new ConnectivityManager();
+    const wireIds = [...state.keys(), ...addedWires.map(w => w.id)];
+    const before = connectivity.withItems(shapes, components, () => netSignature(connectivity, wireIds));
+    if (before !== connectivity.withItems(after, components, () => netSignature(connectivity, wireIds))) return null;
+
+    return { changed, removed, added };
+}
+
+/**
+ * The edited wires plus every wire sharing a spatial cell with them
+ */
+function selectWires(wires, wireIds) {
+    if (!wireIds) return wires;
+    const focus = new Set(wireIds);
+    const cells = new Set();
+    for (const wire of wires) {
+        if (!focus.has(wire.id)) continue;
+        for (const seg of segmentsOf(wire.points)) {
+            for (const key of segmentCells(seg)) cells.add(key);
+        }
+    }
+    if (cells.size === 0) return [];
+    return wires.filter(wire => focus.has(wire.id) ||
+        segmentsOf(wire.points).some(seg => segmentCells(seg).some(key => cells.has(key))));
+}
+
+function segmentsOf(points) {
+    return points.slice(1).map((b, i) => ({ a: points[i], b }));
+}
+
+function cellKey(p) {
+    return `${Math.floor(p.x / CELL_SIZE)},${Math.floor(p.y / CELL_SIZE)}`;
+}
+
+/**
+ * Keys of the cells a segment's bounds cover, tolerance included
+ */
+function segmentCells(seg) {
+    const keys = [];
+    const minCx = Math.floor((Math.min(seg.a.x, seg.b.x) - TOLERANCE) / CELL_SIZE);
+    const maxCx = Math.floor((Math.max(seg.a.x, seg.b.x) + TOLERANCE) / CELL_SIZE);
+    const minCy = Math.floor((Math.min(seg.a.y, seg.b.y) - TOLERANCE) / CELL_SIZE);
+    const maxCy = Math.floor((Math.max(seg.a.y, seg.b.y) + TOLERANCE) / CELL_SIZE);
+    for (let cx = minCx; cx <= maxCx; cx++) {
+        for (let cy = minCy; cy <= maxCy; cy++) {
+            keys.push(`${cx},${cy}`);
+        }
+    }
+    return keys;
+}
+
+function addToCell(cells, key, value) {
+    if (!cells.has(key)) cells.set(key, new Set());
+    cells.get(key).add(value);
+}
+
+/**
+ * Cut a path at every landing point strictly inside it
+ * @param {Map<string, Set<{x, y}>>} landings - Wire ends by cell
+ */
+function splitAt(points, landings) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const isCut = (p) => !samePoint(p, first) && !samePoint(p, last);
+    const landingsNear = (seg) => segmentCells(seg).flatMap(key => [...(landings.get(key) || [])]);
+
+    const parts = [];
+    let current = [points[0]];
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const cuts = landingsNear({ a, b })
+            .filter(p => isCut(p) && !samePoint(p, a) && !samePoint(p, b) && onSegment(p, a, b))
+            .sort((p, q) => Math.hypot(p.x - a.x, p.y - a.y) - Math.hypot(q.x - a.x, q.y - a.y));
+        for (const p of cuts) {
+            if (samePoint(current[current.length - 1], p)) continue;
+            current.push({ x: p.x, y: p.y });
+            parts.push(current);
+            current = [{ x: p.x, y: p.y }];
+        }
+        current.push(b);
+        if (i < points.length - 2 && [...(landings.get(cellKey(b)) || [])].some(p => samePoint(p, b))) {
+            parts.push(current);
+            current = [b];
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Everything that identifies the nets carrying the given wires, apart
+ * from the wires themselves. Any net the cleanup could change carries
+ * one of them before or after.
+ */
+function netSignature(connectivity, wireIds) {
+    const nets = new Set(wireIds.map(id => connectivity.getNetForWire(id)).filter(Boolean));
+    return [...nets]
+        .map(net => [
+            net.named ? net.name : '',
+            ...net.pins.map(p => `p:${p.componentId}.${p.pinNumber}`),
+            ...net.labelIds.map(id => `l:${id}`),
+            ...net.powerIds.map(id => `g:${id}`),
+            ...net.entryIds.map(id => `e:${id}`),
+            ...net.sheetPins.map(p => `s:${p.sheetId}.${p.pinName}`),
+            ...net.noConnects.map(nc => `x:${nc.id}`)
+        ].sort().join(','))
+        .filter(sig => sig !== '')
+        .sort()
+        .join('\n');
+}
@@ -0,0 +1,264 @@
+/**
+ * wireRouter - Grid-aligned Manhattan routing between two points
+ *
+ * A* search over the grid lines around the two ends (plus the ends' own
+ * coordinates, so off-grid pins still route). The path:
+ * - never enters an obstacle box (symbol bodies)
+ * - never touches a blocked point (other pins, wire ends, labels...), which
+ *   would connect to it
+ * - never runs along an existing wire; crossing one is allowed but costs extra
+ * - prefers few bends
+ * Obstacles and wires are bucketed up front so each step only looks at its
+ * neighbours, and a search gives up after a fixed number of steps.
+ */
+
+const EPSILON = 1e-6;
+
+// Search states expanded before a search gives up
+const MAX_EXPANDED = 20000;
+
+// Obstacle buckets are this many grid steps on a side
+const BUCKET_STEPS = 8;
+
+/**
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end
+ * @param {object} options
+ * @param {number} options.gridSize - Grid pitch in world units
+ * @param {Array<{minX, minY, maxX, maxY}>} [options.obstacles] - Boxes the path must stay out of (edges are allowed)
+ * @param {Array<{x, y}>} [options.blockedPoints] - Points the path must not touch
+ * @param {Array<{a: {x, y}, b: {x, y}}>} [options.wires] - Segments the path must not run along
+ * @param {number} [options.margin] - Search area around the ends, in grid steps
+ * @param {number} [options.maxExpanded] - Search states to try per search area before giving up
+ * @returns {Array<{x: number, y: number}>|null} Path including both ends, or null if there is none
+ */
+export function routeOrthogonal(start, end, options = {}) {
+    const grid = options.gridSize > 0 ? options.gridSize : 1.27;
+    const margins = options.margin ? [options.margin] : [10, 40];
+    for (const margin of margins) {
+        const path = search(start, end, grid, margin, options);
+        if (path) return path;
+    }
+    return null;
+}
+
+function search(start, end, grid, margin, options) {
+    const obstacles = options.obstacles || [];
+    const wires = options.wires || [];
+
+    const minX = Math.min(start.x, end.x) - margin * grid;
+    const maxX = Math.max(start.x, end.x) + margin * grid;
+    const minY = Math.min(start.y, end.y) - margin * grid;
+    const maxY = Math.max(start.y, end.y) + margin * grid;
+
+    const blocked = (options.blockedPoints || []).filter(p =>
+        p.x >= minX - EPSILON && p.x <= maxX + EPSILON && p.y >= minY - EPSILON && p.y <= maxY + EPSILON);
+
+    // Blocked points become lattice nodes too, so no edge can skip over one
+    const xs = latticeAxis(minX, maxX, grid, [start.x, end.x, ...blocked.map(p => p.x)]);
+    const ys = latticeAxis(minY, maxY, grid, [start.y, end.y, ...blocked.map(p => p.y)]);
+    const nx = xs.length;
+    const ny = ys.length;
+
+    const indexOf = (values, v) => values.findIndex(w => Math.abs(w - v) < EPSILON);
+    const startNode = indexOf(ys, start.y) * nx + indexOf(xs, start.x);
+    const endNode = indexOf(ys, end.y) * nx + indexOf(xs, end.x);
+
+    const blockedNodes = new Set();
+    for (const p of blocked) {
+        const node = indexOf(ys, p.y) * nx + indexOf(xs, p.x);
+        if (node !== startNode && node !== endNode) blockedNodes.add(node);
+    }
+
+    // Obstacles bucketed by area, clipped to the search area
+    const bucketSize = grid * BUCKET_STEPS;
+    const bucketOf = (v) => Math.floor(v / bucketSize);
+    const obstacleBuckets = new Map();
+    for (const b of obstacles) {
+        if (b.maxX < minX || b.minX > maxX || b.maxY < minY || b.minY > maxY) continue;
+        for (let bx = bucketOf(Math.max(b.minX, minX)); bx <= bucketOf(Math.min(b.maxX, maxX)); bx++) {
+            for (let by = bucketOf(Math.max(b.minY, minY)); by <= bucketOf(Math.min(b.maxY, maxY)); by++) {
+                const key = `${bx},${by}`;
+                if (!obstacleBuckets.has(key)) obstacleBuckets.set(key, []);
+                obstacleBuckets.get(key).push(b);
+            }
+        }
+    }
+
+    const insideObstacle = (x, y) => (obstacleBuckets.get(`${bucketOf(x)},${bucketOf(y)}`) || []).some(b =>
+        x > b.minX + EPSILON && x < b.maxX - EPSILON && y > b.minY + EPSILON && y < b.maxY - EPSILON);
+
+    // Wires split into lines, keyed by the coordinate they run along
+    const lineKey = (v) => Math.round(v * 1e6);
+    const horizontalWires = new Map();
+    const verticalWires = new Map();
+    const addLine = (lines, at, line) => {
+        const key = lineKey(at);
+        if (!lines.has(key)) lines.set(key, []);
+        lines.get(key).push(line);
+    };
+    for (const w of wires) {
+        if (Math.abs(w.a.y - w.b.y) < EPSILON) {
+            addLine(horizontalWires, w.a.y, { x1: Math.min(w.a.x, w.b.x), x2: Math.max(w.a.x, w.b.x) });
+        } else if (Math.abs(w.a.x - w.b.x) < EPSILON) {
+            addLine(verticalWires, w.a.x, { y1: Math.min(w.a.y, w.b.y), y2: Math.max(w.a.y, w.b.y) });
+        }
+    }
+    const horizontalAt = (y) => horizontalWires.get(lineKey(y)) || [];
+    const verticalAt = (x) => verticalWires.get(lineKey(x)) || [];
+
+    const edgeAllowed = (ax, ay, bx, by) => {
+        if (insideObstacle((ax + bx) / 2, (ay + by) / 2)) return false;
+        if (ay === by) {
+            const lo = Math.min(ax, bx);
+            const hi = Math.max(ax, bx);
+            return !horizontalAt(ay).some(w => w.x1 < hi - EPSILON && w.x2 > lo + EPSILON);
+        }
+        const lo = Math.min(ay, by);
+        const hi = Math.max(ay, by);
+        return !verticalAt(ax).some(w => w.y1 < hi - EPSILON && w.y2 > lo + EPSILON);
+    };
+
+    const crossesWire = (x, y) =>
+        horizontalAt(y).some(w => x > w.x1 + EPSILON && x < w.x2 - EPSILON) ||
+        verticalAt(x).some(w => y > w.y1 + EPSILON && y < w.y2 - EPSILON);
+
+    const bendCost = grid * 2;
+    const crossCost = grid * 3;
+    const DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    const heuristic = (node) => Math.abs(xs[node % nx] - end.x) + Math.abs(ys[Math.floor(node / nx)] - end.y);
+
+    // State = node * 4 + direction of arrival
+    const cost = new Map();
+    const parent = new Map();
+    const heap = new MinHeap();
+    for (let d = 0; d < 4; d++) {
+        const state = startNode * 4 + d;
+        cost.set(state, 0);
+        heap.push(heuristic(startNode), state);
+    }
+
+    let found = -1;
+    let budget = options.maxExpanded || MAX_EXPANDED;
+    while (heap.size > 0 && budget-- > 0) {
+        const [, state] = heap.pop();
+        const node = Math.floor(state / 4);
+        if (node === endNode) {
+            found = state;
+            break;
+        }
+        const dir = state % 4;
+        const base = cost.get(state);
+        const ix = node % nx;
+        const iy = Math.floor(node / nx);
+
+        DIRS.forEach(([dx, dy], d) => {
+            const jx = ix + dx;
+            const jy = iy + dy;
+            if (jx < 0 || jy < 0 || jx >= nx || jy >= ny) return;
+            const next = jy * nx + jx;
+            if (blockedNodes.has(next)) return;
+            const x = xs[jx];
+            const y = ys[jy];
+            if (next !== endNode && insideObstacle(x, y)) return;
+            if (!edgeAllowed(xs[ix], ys[iy], x, y)) return;
+
+            let step = Math.abs(x - xs[ix]) + Math.abs(y - ys[iy]);
+            if (node !== startNode && d !== dir) step += bendCost;
+            if (next !== endNode && crossesWire(x, y)) step += crossCost;
+
+            const nextState = next * 4 + d;
+            const total = base + step;
+            if (total < (cost.get(nextState) ?? Infinity)) {
+                cost.set(nextState, total);
+                parent.set(nextState, state);
+                heap.push(total + heuristic(next), nextState);
+            }
+        });
+    }
+
+    if (found < 0) return null;
+
+    const nodes = [];
+    for (let state = found; state !== undefined; state = parent.get(state)) {
+        nodes.push(Math.floor(state / 4));
+    }
+    nodes.reverse();
+
+    // Keep only the corners
+    const points = nodes.map(node => ({ x: xs[node % nx], y: ys[Math.floor(node / nx)] }));
+    const path = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+        const a = path[path.length - 1];
+        const b = points[i];
+        const c = points[i + 1];
+        const straight = (Math.abs(a.x - b.x) < EPSILON && Math.abs(b.x - c.x) < EPSILON) ||
+            (Math.abs(a.y - b.y) < EPSILON && Math.abs(b.y - c.y) < EPSILON);
+        if (!straight) path.push(b);
+    }
+    if (points.length > 1) path.push(points[points.length - 1]);
+    path[0] = { x: start.x, y: start.y };
+    path[path.length - 1] = { x: end.x, y: end.y };
+    return path;
+}
+
+/**
+ * Sorted grid positions from min to max, plus extra positions
+ */
+function latticeAxis(min, max, grid, extra) {
+    const values = [];
+    for (let i = Math.ceil(min / grid); i * grid <= max + EPSILON; i++) {
+        values.push(Math.round(i * grid * 1e6) / 1e6);
+    }
+    for (const v of extra) {
+        if (v >= min - EPSILON && v <= max + EPSILON) values.push(v);
+    }
+    values.sort((a, b) => a - b);
+    return values.filter((v, i) => i === 0 || v - values[i - 1] > EPSILON);
+}
+
+/**
+ * Binary heap of [priority, value] pairs
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(priority, value) {
+        const items = this.items;
+        items.push([priority, value]);
+        let i = items.length - 1;
+        while (i > 0) {
+            const up = (i - 1) >> 1;
+            if (items[up][0] <= items[i][0]) break;
+            [items[up], items[i]] = [items[i], items[up]];
+            i = up;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1;
+                const r = l + 1;
+                let m = i;
+                if (l < items.length && items[l][0] < items[m][0]) m = l;
+                if (r < items.length && items[r][0] < items[m][0]) m = r;
+                if (m === i) break;
+                [items[m], items[i]] = [items[i], items[m]];
+                i = m;
+            }
+        }
+        return top;
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * zipReader - Read single entries out of a .zip without loading all of it
+ *
+ * A zip of the KiCad 3D models runs to gigabytes, so only the central
+ * directory is read up front. Entries are sliced out of the Blob and
+ * inflated with DecompressionStream when asked for.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// End of central directory record plus the longest comment allowed
+const MAX_TAIL = 22 + 0xffff;
+
+export class ZipArchive {
+    /**
+     * @param {Blob} blob
+     * @param {Map<string, {method: number, compressedSize: number, localOffset: number}>} entries
+     */
+    constructor(blob, entries) {
+        this.blob = blob;
+        this.entries = entries;
+    }
+
+    /**
+     * @param {Blob} blob - The .zip file
+     * @returns {Promise<ZipArchive>}
+     */
+    static async open(blob) {
+        const tailSize = Math.min(blob.size, MAX_TAIL);
+        const tail = await readBytes(blob, blob.size - tailSize, tailSize);
+        const view = new DataView(tail.buffer);
+
+        let eocd = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('Not a zip file');
+
+        let count = view.getUint16(eocd + 10, true);
+        let size = view.getUint32(eocd + 12, true);
+        let offset = view.getUint32(eocd + 16, true);
+
+        // Archives over 4 GB or 65535 files keep the real values in a zip64 record
+        if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+            const locator = eocd - 20;
+            if (locator < 0 || view.getUint32(locator, true) !== ZIP64_LOCATOR_SIGNATURE) {
+                throw new Error('Damaged zip64 archive');
+            }
+            const recordOffset = Number(view.getBigUint64(locator + 8, true));
+            const record = new DataView((await readBytes(blob, recordOffset, 56)).buffer);
+            if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+                throw new Error('Damaged zip64 archive');
+            }
+            count = Number(record.getBigUint64(32, true));
+            size = Number(record.getBigUint64(40, true));
+            offset = Number(record.getBigUint64(48, true));
+        }
+
+        const directory = await readBytes(blob, offset, size);
+        const dir = new DataView(directory.buffer);
+        const decoder = new TextDecoder();
+        const entries = new Map();
+
+        let pos = 0;
+        for (let i = 0; i < count && pos + 46 <= directory.length; i++) {
+            if (dir.getUint32(pos, true) !== CENTRAL_SIGNATURE) break;
+            const method = dir.getUint16(pos + 10, true);
+            let compressedSize = dir.getUint32(pos + 20, true);
+            let uncompressedSize = dir.getUint32(pos + 24, true);
+            const nameLength = dir.getUint16(pos + 28, true);
+            const extraLength = dir.getUint16(pos + 30, true);
+            const commentLength = dir.getUint16(pos + 32, true);
+            let localOffset = dir.getUint32(pos + 42, true);
+            const name = decoder.decode(directory.subarray(pos + 46, pos + 46 + nameLength));
+
+            // The zip64 extra field holds only the values that overflowed, in this order
+            let extra = pos + 46 + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const id = dir.getUint16(extra, true);
+                const length = dir.getUint16(extra + 2, true);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    if (uncompressedSize === 0xffffffff) {
+                        uncompressedSize = Number(dir.getBigUint64(field, true));
+                        field += 8;
+                    }
+                    if (compressedSize === 0xffffffff) {
+                        compressedSize = Number(dir.getBigUint64(field, true));
+                        field += 8;
+                    }
+                    if (localOffset === 0xffffffff) {
+                        localOffset = Number(dir.getBigUint64(field, true));
+                    }
+                }
+                extra += 4 + length;
+            }
+
+            if (!name.endsWith('/')) {
+                entries.set(name, { method, compressedSize, localOffset });
+            }
+            pos = extraEnd + commentLength;
+        }
+
+        return new ZipArchive(blob, entries);
+    }
+
+    /**
+     * Paths of the files in the archive ('/'-separated, folders left out)
+     * @returns {Iterable<string>}
+     */
+    names() {
+        return this.entries.keys();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<Blob|null>} The entry's contents, or null if there is no such entry
+     */
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) return null;
+
+        const header = new DataView((await readBytes(this.blob, entry.localOffset, 30)).buffer);
+        if (header.getUint32(0, true) !== LOCAL_SIGNATURE) {
+            throw new Error(`Damaged zip entry ${name}`);
+        }
+        // The local header's name and extra field can differ from the central directory's
+        const start = entry.localOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = this.blob.slice(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) throw new Error(`Unsupported compression in ${name}`);
+        return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+    }
+}
+
+async function readBytes(blob, start, length) {
+    return new Uint8Array(await blob.slice(start, start + length).arrayBuffer());
+}
@@ -0,0 +1,33 @@
+/**
+ * Bus - Multi-segment bus carrying a set of nets
+ *
+ * A bus is drawn like a wire but never connects electrically on its own.
+ * Its members come from the bus labels on it (e.g. "D[0..7]" or "{SDA SCL}");
+ * bus entries tap individual members off to ordinary wires.
+ */
+
+import { Wire } from './wire.js';
+
+export class Bus extends Wire {
+    constructor(options = {}) {
+        super({
+            ...options,
+            color: options.color || 'var(--sch-bus, #0088cc)',
+            lineWidth: options.lineWidth || 0.6
+        });
+        this.type = 'bus';
+        this.connections = { start: null, end: null };
+    }
+
+    clone() {
+        return new Bus({
+            ...this.toJSON(),
+            points: this.points.map(p => ({ ...p }))
+        });
+    }
+
+    toJSON() {
+        const { connections, ...data } = super.toJSON();
+        return { ...data, type: 'bus' };
+    }
+}
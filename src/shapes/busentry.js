@@ -0,0 +1,116 @@
+/**
+ * BusEntry - Diagonal stub tapping a bus member off to a wire
+ *
+ * (x, y) sits on the bus; the other end (x + dx, y + dy) is where the
+ * member's wire connects. Only the wire end is electrically connected.
+ */
+
+import { Shape } from './shape.js';
+import { ShapeValidator } from '../core/ShapeValidator.js';
+
+// Bus entry size in mm
+export const BUS_ENTRY_SIZE = 2.54;
+
+export class BusEntry extends Shape {
+    constructor(options = {}) {
+        super({ ...options, color: options.color || 'var(--sch-bus-entry, #0088cc)' });
+        this.type = 'busEntry';
+
+        this.x = ShapeValidator.validateCoordinate(options.x || 0, { name: 'x' });
+        this.y = ShapeValidator.validateCoordinate(options.y || 0, { name: 'y' });
+        this.dx = Number.isFinite(options.dx) ? options.dx : BUS_ENTRY_SIZE;
+        this.dy = Number.isFinite(options.dy) ? options.dy : -BUS_ENTRY_SIZE;
+    }
+
+    /**
+     * Bus end and wire end, in that order
+     */
+    get points() {
+        return [
+            { x: this.x, y: this.y },
+            { x: this.x + this.dx, y: this.y + this.dy }
+        ];
+    }
+
+    getWireEnd() {
+        return { x: this.x + this.dx, y: this.y + this.dy };
+    }
+
+    _calculateBounds() {
+        const hw = this.lineWidth / 2;
+        return {
+            minX: Math.min(this.x, this.x + this.dx) - hw,
+            minY: Math.min(this.y, this.y + this.dy) - hw,
+            maxX: Math.max(this.x, this.x + this.dx) + hw,
+            maxY: Math.max(this.y, this.y + this.dy) + hw
+        };
+    }
+
+    hitTest(point, tolerance = 0.5) {
+        return this.distanceTo(point) <= tolerance + this.lineWidth / 2;
+    }
+
+    distanceTo(point) {
+        const lengthSq = this.dx * this.dx + this.dy * this.dy;
+        if (lengthSq === 0) return Math.hypot(point.x - this.x, point.y - this.y);
+        let t = ((point.x - this.x) * this.dx + (point.y - this.y) * this.dy) / lengthSq;
+        t = Math.max(0, Math.min(1, t));
+        return Math.hypot(point.x - (this.x + t * this.dx), point.y - (this.y + t * this.dy));
+    }
+
+    getAnchors() {
+        return [
+            { id: 'pos', x: this.x, y: this.y, cursor: 'move' }
+        ];
+    }
+
+    moveAnchor(anchorId, x, y) {
+        if (anchorId === 'pos') {
+            this.x = x;
+            this.y = y;
+            this.invalidate();
+        }
+    }
+
+    /**
+     * Mirror the entry across the bus so it leaves from the other side
+     */
+    flip() {
+        this.dx = -this.dx;
+        this.invalidate();
+    }
+
+    _createElement() {
+        return document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    }
+
+    _updateElement(el, strokeColor, fillColor, scale) {
+        el.setAttribute('x1', this.x);
+        el.setAttribute('y1', this.y);
+        el.setAttribute('x2', this.x + this.dx);
+        el.setAttribute('y2', this.y + this.dy);
+        el.setAttribute('stroke', strokeColor);
+        el.setAttribute('stroke-width', this._getEffectiveStrokeWidth(scale));
+        el.setAttribute('stroke-linecap', 'round');
+    }
+
+    move(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.invalidate();
+    }
+
+    clone() {
+        return new BusEntry({ ...this.toJSON(), id: undefined });
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            x: this.x,
+            y: this.y,
+            dx: this.dx,
+            dy: this.dy
+        };
+    }
+}
@@ -5,6 +5,9 @@
 export { Shape, updateIdCounter, resetIdCounter } from './shape.js';
 export { Line } from './line.js';
 export { Wire } from './wire.js';
+export { Bus } from './bus.js';
+export { BusEntry, BUS_ENTRY_SIZE } from './busentry.js';
+export { NoConnect, NO_CONNECT_SIZE } from './noconnect.js';
 export { Circle } from './circle.js';
 export { Rect } from './rect.js';
 export { Arc } from './arc.js';
@@ -12,9 +15,15 @@ export { Pad } from './pad.js';
 export { Via } from './via.js';
 export { Polygon } from './polygon.js';
 export { Text } from './text.js';
+export { Junction } from './junction.js';
+export { NetLabel } from './netlabel.js';
+export { Sheet } from './sheet.js';
 
 import { Line } from './line.js';
 import { Wire } from './wire.js';
+import { Bus } from './bus.js';
+import { BusEntry } from './busentry.js';
+import { NoConnect } from './noconnect.js';
 import { Circle } from './circle.js';
 import { Rect } from './rect.js';
 import { Arc } from './arc.js';
@@ -22,17 +31,26 @@ import { Pad } from './pad.js';
 import { Via } from './via.js';
 import { Polygon } from './polygon.js';
 import { Text } from './text.js';
+import { Junction } from './junction.js';
+import { NetLabel } from './netlabel.js';
+import { Sheet } from './sheet.js';
 
 const shapeRegistry = {
     line: Line,
     wire: Wire,
+    bus: Bus,
+    busEntry: BusEntry,
+    noConnect: NoConnect,
     circle: Circle,
     rect: Rect,
     arc: Arc,
     pad: Pad,
     via: Via,
     polygon: Polygon,
-    text: Text
+    text: Text,
+    junction: Junction,
+    netLabel: NetLabel,
+    sheet: Sheet
 };
 
 /**
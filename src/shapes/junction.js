@@ -0,0 +1,66 @@
+/**
+ * Junction - Connection dot where wires meet
+ *
+ * Junctions are derived from wire geometry by the connectivity engine,
+ * so they are not selectable and are never edited directly.
+ */
+
+import { Shape } from './shape.js';
+import { ShapeValidator } from '../core/ShapeValidator.js';
+
+export class Junction extends Shape {
+    constructor(options = {}) {
+        super({ ...options, color: options.color || 'var(--sch-junction, #00cc66)' });
+        this.type = 'junction';
+
+        this.x = ShapeValidator.validateCoordinate(options.x || 0, { name: 'x' });
+        this.y = ShapeValidator.validateCoordinate(options.y || 0, { name: 'y' });
+        this.radius = ShapeValidator.validateRadius(options.radius || 0.5);
+        this.fill = true;
+    }
+
+    _calculateBounds() {
+        return {
+            minX: this.x - this.radius,
+            minY: this.y - this.radius,
+            maxX: this.x + this.radius,
+            maxY: this.y + this.radius
+        };
+    }
+
+    hitTest(point, tolerance = 0.5) {
+        return Math.hypot(point.x - this.x, point.y - this.y) <= this.radius + tolerance;
+    }
+
+    distanceTo(point) {
+        return Math.max(0, Math.hypot(point.x - this.x, point.y - this.y) - this.radius);
+    }
+
+    _createElement() {
+        const el = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        el.setAttribute('class', 'junction');
+        return el;
+    }
+
+    _updateElement(el, strokeColor, fillColor) {
+        el.setAttribute('cx', this.x);
+        el.setAttribute('cy', this.y);
+        el.setAttribute('r', this.radius);
+        el.setAttribute('fill', fillColor);
+        el.setAttribute('stroke', 'none');
+    }
+
+    move(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.invalidate();
+    }
+
+    clone() {
+        return new Junction({ ...this.toJSON(), id: undefined });
+    }
+
+    toJSON() {
+        return { id: this.id, type: this.type, x: this.x, y: this.y, radius: this.radius };
+    }
+}
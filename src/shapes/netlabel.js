@@ -0,0 +1,167 @@
+/**
+ * NetLabel - Names the net at its connection point
+ *
+ * The label connects at (x, y), which should sit on a wire or pin.
+ * Labels with the same text join into one net without a drawn wire.
+ * Hierarchical labels also connect to the matching pin of the parent sheet.
+ */
+
+import { Shape } from './shape.js';
+import { ShapeValidator } from '../core/ShapeValidator.js';
+
+// Gap between the connection point and the text, in mm
+const TEXT_OFFSET = 0.3;
+
+// Hierarchical label flag length, in mm
+const FLAG_SIZE = 1.27;
+
+export class NetLabel extends Shape {
+    constructor(options = {}) {
+        // 'local' names the net on this sheet; 'hierarchical' also exports it to the parent sheet
+        const labelType = options.labelType === 'hierarchical' ? 'hierarchical' : 'local';
+        const defaultColor = labelType === 'hierarchical' ? 'var(--sch-net-flag, #ffcc00)' : 'var(--sch-net-label, #00cccc)';
+        super({ ...options, color: options.color || defaultColor });
+        this.type = 'netLabel';
+        this.labelType = labelType;
+
+        this.x = ShapeValidator.validateCoordinate(options.x || 0, { name: 'x' });
+        this.y = ShapeValidator.validateCoordinate(options.y || 0, { name: 'y' });
+        this.text = typeof options.text === 'string' ? options.text : '';
+        this.fontSize = ShapeValidator.validateNumber(options.fontSize || 1.27, {
+            min: 0.5,
+            max: 50,
+            default: 1.27,
+            name: 'fontSize'
+        });
+        // Rotation in degrees (0, 90, 180, 270), applied around the connection point
+        this.rotation = ((Math.round((options.rotation || 0) / 90) * 90) % 360 + 360) % 360;
+    }
+
+    _calculateBounds() {
+        const width = Math.max(1, this.text.length) * this.fontSize * 0.6 + this._textStart();
+        const height = this.fontSize + TEXT_OFFSET;
+        // Local box: text runs along +x and sits above the connection point
+        // (hierarchical labels are centred on it instead)
+        const top = this.labelType === 'hierarchical' ? -height / 2 : -height;
+        const bottom = this.labelType === 'hierarchical' ? height / 2 : 0;
+        const corners = [
+            { x: 0, y: bottom },
+            { x: width, y: bottom },
+            { x: width, y: top },
+            { x: 0, y: top }
+        ].map(p => this._toWorld(p));
+        return {
+            minX: Math.min(...corners.map(p => p.x)),
+            minY: Math.min(...corners.map(p => p.y)),
+            maxX: Math.max(...corners.map(p => p.x)),
+            maxY: Math.max(...corners.map(p => p.y))
+        };
+    }
+
+    _textStart() {
+        return this.labelType === 'hierarchical' ? FLAG_SIZE + TEXT_OFFSET : TEXT_OFFSET;
+    }
+
+    _toWorld(p) {
+        const rad = this.rotation * Math.PI / 180;
+        return {
+            x: this.x + p.x * Math.cos(rad) - p.y * Math.sin(rad),
+            y: this.y + p.x * Math.sin(rad) + p.y * Math.cos(rad)
+        };
+    }
+
+    hitTest(point, tolerance = 0.5) {
+        const bounds = this.getBounds();
+        return (
+            point.x >= bounds.minX - tolerance &&
+            point.x <= bounds.maxX + tolerance &&
+            point.y >= bounds.minY - tolerance &&
+            point.y <= bounds.maxY + tolerance
+        );
+    }
+
+    distanceTo(point) {
+        const b = this.getBounds();
+        const dx = Math.max(b.minX - point.x, 0, point.x - b.maxX);
+        const dy = Math.max(b.minY - point.y, 0, point.y - b.maxY);
+        return Math.hypot(dx, dy);
+    }
+
+    getAnchors() {
+        return [
+            { id: 'pos', x: this.x, y: this.y, cursor: 'move' }
+        ];
+    }
+
+    moveAnchor(anchorId, x, y) {
+        if (anchorId === 'pos') {
+            this.x = x;
+            this.y = y;
+            this.invalidate();
+        }
+    }
+
+    _createElement() {
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.setAttribute('class', 'net-label');
+        g.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'text'));
+        g.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'polygon'));
+        return g;
+    }
+
+    _updateElement(el, strokeColor, fillColor) {
+        el.setAttribute('transform', this.rotation ? `rotate(${this.rotation} ${this.x} ${this.y})` : '');
+
+        const hierarchical = this.labelType === 'hierarchical';
+        const text = el.firstChild;
+        text.setAttribute('x', this.x + this._textStart());
+        text.setAttribute('y', hierarchical ? this.y : this.y - TEXT_OFFSET);
+        text.setAttribute('fill', fillColor);
+        text.setAttribute('font-size', this.fontSize);
+        text.setAttribute('font-family', 'Arial');
+        text.setAttribute('text-anchor', 'start');
+        text.setAttribute('dominant-baseline', hierarchical ? 'middle' : 'alphabetic');
+        text.textContent = this.text;
+
+        // Flag outline for hierarchical labels
+        const flag = el.lastChild;
+        if (hierarchical) {
+            const h = this.fontSize * 0.8 / 2;
+            flag.setAttribute('points', [
+                [this.x, this.y],
+                [this.x + h, this.y - h],
+                [this.x + FLAG_SIZE, this.y - h],
+                [this.x + FLAG_SIZE, this.y + h],
+                [this.x + h, this.y + h]
+            ].map(p => p.join(',')).join(' '));
+            flag.setAttribute('fill', 'none');
+            flag.setAttribute('stroke', strokeColor);
+            flag.setAttribute('stroke-width', 0.15);
+            flag.style.display = '';
+        } else {
+            flag.style.display = 'none';
+        }
+    }
+
+    move(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.invalidate();
+    }
+
+    clone() {
+        return new NetLabel({ ...this.toJSON(), id: undefined });
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            x: this.x,
+            y: this.y,
+            text: this.text,
+            fontSize: this.fontSize,
+            rotation: this.rotation,
+            labelType: this.labelType
+        };
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * NoConnect - X flag marking a component pin as intentionally left open
+ */
+
+import { Shape } from './shape.js';
+import { ShapeValidator } from '../core/ShapeValidator.js';
+
+// Half the width of the X, in mm
+export const NO_CONNECT_SIZE = 0.635;
+
+export class NoConnect extends Shape {
+    constructor(options = {}) {
+        super({ ...options, color: options.color || 'var(--sch-no-connect, #cc0000)' });
+        this.type = 'noConnect';
+
+        this.x = ShapeValidator.validateCoordinate(options.x || 0, { name: 'x' });
+        this.y = ShapeValidator.validateCoordinate(options.y || 0, { name: 'y' });
+        this.size = Number.isFinite(options.size) && options.size > 0 ? options.size : NO_CONNECT_SIZE;
+    }
+
+    _calculateBounds() {
+        const s = this.size + this.lineWidth / 2;
+        return {
+            minX: this.x - s,
+            minY: this.y - s,
+            maxX: this.x + s,
+            maxY: this.y + s
+        };
+    }
+
+    hitTest(point, tolerance = 0.5) {
+        return Math.abs(point.x - this.x) <= this.size + tolerance &&
+            Math.abs(point.y - this.y) <= this.size + tolerance;
+    }
+
+    distanceTo(point) {
+        const dx = Math.max(0, Math.abs(point.x - this.x) - this.size);
+        const dy = Math.max(0, Math.abs(point.y - this.y) - this.size);
+        return Math.hypot(dx, dy);
+    }
+
+    getAnchors() {
+        return [
+            { id: 'pos', x: this.x, y: this.y, cursor: 'move' }
+        ];
+    }
+
+    moveAnchor(anchorId, x, y) {
+        if (anchorId === 'pos') {
+            this.x = x;
+            this.y = y;
+            this.invalidate();
+        }
+    }
+
+    _createElement() {
+        return document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    }
+
+    _updateElement(el, strokeColor, fillColor, scale) {
+        const { x, y, size: s } = this;
+        el.setAttribute('d', `M ${x - s} ${y - s} L ${x + s} ${y + s} M ${x - s} ${y + s} L ${x + s} ${y - s}`);
+        el.setAttribute('fill', 'none');
+        el.setAttribute('stroke', strokeColor);
+        el.setAttribute('stroke-width', this._getEffectiveStrokeWidth(scale));
+        el.setAttribute('stroke-linecap', 'round');
+    }
+
+    move(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.invalidate();
+    }
+
+    clone() {
+        return new NoConnect({ ...this.toJSON(), id: undefined });
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            x: this.x,
+            y: this.y,
+            size: this.size
+        };
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * Sheet - Hierarchical sheet symbol
+ *
+ * A box that stands for a child schematic (fileName). Each sheet pin sits
+ * on an edge and connects to the hierarchical label of the same name
+ * inside the child. Several sheets may reference the same child.
+ */
+
+import { Shape } from './shape.js';
+import { ShapeValidator } from '../core/ShapeValidator.js';
+
+// Sheet pin spacing and marker size in mm
+export const SHEET_PIN_PITCH = 2.54;
+const PIN_SIZE = 0.8;
+
+export class Sheet extends Shape {
+    constructor(options = {}) {
+        super({ ...options, color: options.color || 'var(--sch-sheet, #aa00aa)' });
+        this.type = 'sheet';
+
+        this.x = ShapeValidator.validateCoordinate(options.x || 0, { name: 'x' });
+        this.y = ShapeValidator.validateCoordinate(options.y || 0, { name: 'y' });
+        this.width = ShapeValidator.validateNumber(options.width || 20.32, { min: 2.54, name: 'width' });
+        this.height = ShapeValidator.validateNumber(options.height || 15.24, { min: 2.54, name: 'height' });
+        this.sheetName = typeof options.sheetName === 'string' ? options.sheetName : 'Sheet';
+        this.fileName = typeof options.fileName === 'string' ? options.fileName : `${this.sheetName}.sch`;
+        // Sheet pins: { name, side: 'left'|'right', offset (mm from top), type }
+        this.pins = Array.isArray(options.pins) ? options.pins.map(p => ({ ...p })) : [];
+        this.fontSize = 1.27;
+    }
+
+    /**
+     * World position of a sheet pin's connection point
+     */
+    getPinPosition(name) {
+        const pin = this.pins.find(p => p.name === name);
+        if (!pin) return null;
+        const offset = Math.min(Math.max(pin.offset, 0), this.height);
+        return {
+            x: pin.side === 'right' ? this.x + this.width : this.x,
+            y: this.y + offset
+        };
+    }
+
+    /**
+     * Next free pin offset on a side, on the sheet pin pitch
+     */
+    nextPinOffset(side = 'left') {
+        const used = new Set(this.pins.filter(p => p.side === side).map(p => Math.round(p.offset / SHEET_PIN_PITCH)));
+        let slot = 1;
+        while (used.has(slot)) slot++;
+        return slot * SHEET_PIN_PITCH;
+    }
+
+    _calculateBounds() {
+        const hw = this.lineWidth / 2;
+        return {
+            minX: this.x - hw,
+            minY: this.y - this.fontSize * 1.5,
+            maxX: this.x + this.width + hw,
+            maxY: this.y + this.height + this.fontSize * 1.5
+        };
+    }
+
+    hitTest(point, tolerance = 0.5) {
+        return (
+            point.x >= this.x - tolerance &&
+            point.x <= this.x + this.width + tolerance &&
+            point.y >= this.y - tolerance &&
+            point.y <= this.y + this.height + tolerance
+        );
+    }
+
+    distanceTo(point) {
+        const dx = Math.max(this.x - point.x, 0, point.x - (this.x + this.width));
+        const dy = Math.max(this.y - point.y, 0, point.y - (this.y + this.height));
+        return Math.hypot(dx, dy);
+    }
+
+    getAnchors() {
+        return [
+            { id: 'tl', x: this.x, y: this.y, cursor: 'move', hidden: true },
+            { id: 'br', x: this.x + this.width, y: this.y + this.height, cursor: 'nwse-resize' }
+        ];
+    }
+
+    moveAnchor(anchorId, x, y) {
+        if (anchorId === 'tl') {
+            this.x = x;
+            this.y = y;
+        } else if (anchorId === 'br') {
+            // Keep every pin on the sheet edge
+            const minHeight = Math.max(SHEET_PIN_PITCH, ...this.pins.map(p => p.offset + SHEET_PIN_PITCH));
+            this.width = Math.max(SHEET_PIN_PITCH * 2, x - this.x);
+            this.height = Math.max(minHeight, y - this.y);
+        }
+        this.invalidate();
+    }
+
+    _createElement() {
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.setAttribute('class', 'sheet');
+        return g;
+    }
+
+    _updateElement(el, strokeColor, fillColor, scale) {
+        const ns = 'http://www.w3.org/2000/svg';
+        while (el.firstChild) el.removeChild(el.firstChild);
+
+        const box = document.createElementNS(ns, 'rect');
+        box.setAttribute('x', this.x);
+        box.setAttribute('y', this.y);
+        box.setAttribute('width', this.width);
+        box.setAttribute('height', this.height);
+        box.setAttribute('stroke', strokeColor);
+        box.setAttribute('stroke-width', this._getEffectiveStrokeWidth(scale));
+        box.setAttribute('fill', 'var(--sch-sheet-fill, rgba(170, 0, 170, 0.1))');
+        el.appendChild(box);
+
+        const name = document.createElementNS(ns, 'text');
+        name.setAttribute('x', this.x);
+        name.setAttribute('y', this.y - this.fontSize * 0.4);
+        name.setAttribute('font-size', this.fontSize);
+        name.setAttribute('font-family', 'Arial');
+        name.setAttribute('fill', strokeColor);
+        name.textContent = this.sheetName;
+        el.appendChild(name);
+
+        const file = document.createElementNS(ns, 'text');
+        file.setAttribute('x', this.x);
+        file.setAttribute('y', this.y + this.height + this.fontSize * 1.1);
+        file.setAttribute('font-size', this.fontSize * 0.8);
+        file.setAttribute('font-family', 'Arial');
+        file.setAttribute('fill', strokeColor);
+        file.textContent = `File: ${this.fileName}`;
+        el.appendChild(file);
+
+        for (const pin of this.pins) {
+            const pos = this.getPinPosition(pin.name);
+            const dir = pin.side === 'right' ? -1 : 1;  // Points into the sheet
+
+            const marker = document.createElementNS(ns, 'polygon');
+            const s = PIN_SIZE;
+            marker.setAttribute('points', [
+                [pos.x, pos.y - s / 2],
+                [pos.x + dir * s * 0.6, pos.y - s / 2],
+                [pos.x + dir * s, pos.y],
+                [pos.x + dir * s * 0.6, pos.y + s / 2],
+                [pos.x, pos.y + s / 2]
+            ].map(p => p.join(',')).join(' '));
+            marker.setAttribute('fill', 'none');
+            marker.setAttribute('stroke', strokeColor);
+            marker.setAttribute('stroke-width', this._getEffectiveStrokeWidth(scale));
+            el.appendChild(marker);
+
+            const label = document.createElementNS(ns, 'text');
+            label.setAttribute('x', pos.x + dir * (s + 0.4));
+            label.setAttribute('y', pos.y);
+            label.setAttribute('font-size', this.fontSize);
+            label.setAttribute('font-family', 'Arial');
+            label.setAttribute('text-anchor', dir > 0 ? 'start' : 'end');
+            label.setAttribute('dominant-baseline', 'middle');
+            label.setAttribute('fill', strokeColor);
+            label.textContent = pin.name;
+            el.appendChild(label);
+        }
+    }
+
+    move(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.invalidate();
+    }
+
+    clone() {
+        return new Sheet({ ...this.toJSON(), id: undefined });
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            x: this.x,
+            y: this.y,
+            width: this.width,
+            height: this.height,
+            sheetName: this.sheetName,
+            fileName: this.fileName,
+            pins: this.pins.map(p => ({ ...p }))
+        };
+    }
+}
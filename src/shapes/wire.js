@@ -111,21 +111,41 @@ export class Wire extends Shape {
     }
 
     /**
-     * Get anchor points for editing
+     * Get anchor points for editing: every waypoint, plus the middle of each
+     * horizontal or vertical segment for dragging the segment sideways
      */
     getAnchors() {
-        return this.points.map((p, i) => ({
+        const anchors = this.points.map((p, i) => ({
             id: `point${i}`,
             x: p.x,
             y: p.y,
             cursor: 'move'
         }));
+
+        for (let i = 0; i < this.points.length - 1; i++) {
+            const a = this.points[i];
+            const b = this.points[i + 1];
+            const horizontal = a.y === b.y && a.x !== b.x;
+            const vertical = a.x === b.x && a.y !== b.y;
+            if (!horizontal && !vertical) continue;
+            anchors.push({
+                id: `segment${i}`,
+                x: (a.x + b.x) / 2,
+                y: (a.y + b.y) / 2,
+                cursor: horizontal ? 'ns-resize' : 'ew-resize'
+            });
+        }
+        return anchors;
     }
 
     /**
-     * Move an anchor (waypoint)
+     * Move an anchor (waypoint or segment)
      */
     moveAnchor(anchorId, x, y) {
+        const segment = anchorId.match(/^segment(\d+)$/);
+        if (segment) {
+            return this._moveSegment(parseInt(segment[1]), x, y);
+        }
         const match = anchorId.match(/point(\d+)/);
         if (match) {
             const idx = parseInt(match[1]);
@@ -136,6 +156,38 @@ export class Wire extends Shape {
         }
     }
 
+    /**
+     * Slide an orthogonal segment across its own direction. The segments
+     * either side stretch; where the segment ends the wire, or continues
+     * straight on, a bend is inserted so the wire stays orthogonal.
+     * @returns {string|undefined} New anchor id when bends shifted the indices
+     */
+    _moveSegment(index, x, y) {
+        const pts = this.points;
+        if (index < 0 || index >= pts.length - 1) return;
+        const horizontal = pts[index].y === pts[index + 1].y;
+        const axis = horizontal ? 'y' : 'x';
+        const value = horizontal ? y : x;
+        if (pts[index][axis] === value) return;
+
+        // Each neighbour must run across the segment (or have no length yet) to stretch with it
+        const across = horizontal ? 'x' : 'y';
+        const crosses = (a, b) => a[across] === b[across];
+        let i = index;
+        if (i === 0 || !crosses(pts[i - 1], pts[i])) {
+            pts.splice(i, 0, { ...pts[i] });
+            i++;
+        }
+        if (i + 1 === pts.length - 1 || !crosses(pts[i + 1], pts[i + 2])) {
+            pts.splice(i + 2, 0, { ...pts[i + 1] });
+        }
+
+        pts[i] = { ...pts[i], [axis]: value };
+        pts[i + 1] = { ...pts[i + 1], [axis]: value };
+        this.invalidate();
+        return i !== index ? `segment${i}` : undefined;
+    }
+
     /**
      * Add a waypoint at the specified position
      */
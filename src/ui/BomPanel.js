@@ -0,0 +1,139 @@
+/**
+ * BomPanel - Floating panel with the grouped bill of materials and its exports
+ */
+
+import { ModalManager } from '../core/ModalManager.js';
+import { formatPrice, plural } from '../core/bom.js';
+
+export class BomPanel {
+    constructor(options = {}) {
+        this.onQuantityChanged = options.onQuantityChanged || (() => {});
+        this.onExport = options.onExport || (() => {});
+        this.onClose = options.onClose || (() => {});
+
+        this.bom = null;
+        this.isOpen = false;
+
+        this._createDOM();
+    }
+
+    _createDOM() {
+        this.element = document.createElement('div');
+        this.element.className = 'bom-panel collapsed';
+        this.element.innerHTML = `
+            <div class="bom-panel-header">
+                <span class="bom-panel-title">Bill of Materials</span>
+                <button class="bom-panel-close" title="Close (Esc)">✕</button>
+            </div>
+            <div class="bom-panel-toolbar">
+                <label>Boards <input type="number" class="bom-panel-quantity" min="1" step="1" value="1"></label>
+                <span class="bom-panel-spacer"></span>
+                <button data-format="csv" title="Comma separated values">CSV</button>
+                <button data-format="excel" title="CSV that opens cleanly in Excel">Excel</button>
+                <button data-format="html" title="Standalone HTML report">HTML</button>
+            </div>
+            <div class="bom-panel-summary"></div>
+            <div class="bom-panel-list"></div>
+        `;
+
+        this.summaryEl = this.element.querySelector('.bom-panel-summary');
+        this.listEl = this.element.querySelector('.bom-panel-list');
+        this.quantityEl = this.element.querySelector('.bom-panel-quantity');
+
+        this.element.querySelector('.bom-panel-close').addEventListener('click', () => this.close());
+        this.quantityEl.addEventListener('change', () => {
+            const quantity = Math.max(1, Math.floor(Number(this.quantityEl.value) || 1));
+            this.quantityEl.value = quantity;
+            this.onQuantityChanged(quantity);
+        });
+        this.element.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => this.onExport(button.dataset.format));
+        });
+
+        // Keep canvas shortcuts from firing while using the panel
+        this.element.addEventListener('mousedown', (e) => e.stopPropagation());
+    }
+
+    appendTo(parent) {
+        parent.appendChild(this.element);
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.element.classList.remove('collapsed');
+        ModalManager.push('bomPanel', () => this.close());
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.element.classList.add('collapsed');
+        ModalManager.pop('bomPanel');
+        this.onClose();
+    }
+
+    /**
+     * Show a freshly built BOM, keeping the scroll position
+     */
+    setBom(bom) {
+        this.bom = bom;
+        this.quantityEl.value = bom.quantity;
+        const scrollTop = this.listEl.scrollTop;
+        this._render();
+        this.listEl.scrollTop = scrollTop;
+    }
+
+    _render() {
+        const { bom } = this;
+        const boards = plural(bom.quantity, 'board');
+        const unpriced = bom.unpricedRows ? `, ${bom.unpricedRows} without pricing` : '';
+        this.summaryEl.textContent = `${plural(bom.partCount, 'part')} in ${plural(bom.rows.length, 'line')} · ` +
+            `$${formatPrice(bom.totalCost, 2)} for ${boards}${unpriced}`;
+
+        this.listEl.innerHTML = '';
+        if (bom.rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'bom-panel-empty';
+            empty.textContent = 'No parts in the design';
+            this.listEl.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'bom-panel-table';
+        const head = table.createTHead().insertRow();
+        for (const title of ['Designators', 'Qty', 'Value', 'Footprint', 'LCSC', 'Stock', 'Unit', 'Total']) {
+            const th = document.createElement('th');
+            th.textContent = title;
+            head.appendChild(th);
+        }
+
+        const body = table.createTBody();
+        for (const row of bom.rows) {
+            const tr = body.insertRow();
+            const cells = [
+                row.designators,
+                row.quantity,
+                row.value,
+                row.footprint,
+                row.lcsc,
+                row.stock ?? '',
+                formatPrice(row.unitPrice, 4),
+                formatPrice(row.extendedPrice, 2)
+            ];
+            cells.forEach((text, i) => {
+                const td = tr.insertCell();
+                td.textContent = text;
+                if (i === 1 || i >= 5) td.className = 'num';
+            });
+            if (row.stock !== null && row.stock < row.orderQuantity) {
+                tr.cells[5].classList.add('short');
+                tr.cells[5].title = `Need ${row.orderQuantity}`;
+            }
+            if (row.mpn) tr.cells[2].title = row.manufacturer ? `${row.manufacturer} ${row.mpn}` : row.mpn;
+        }
+
+        this.listEl.appendChild(table);
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * ErcPanel - Floating panel listing ERC violations and the pin matrix
+ */
+
+import { ModalManager } from '../core/ModalManager.js';
+import { PIN_TYPES, PIN_TYPE_LABELS, ERC_OK, ERC_WARNING, ERC_ERROR, getMatrixLevel } from '../core/ErcEngine.js';
+
+// Short column headings for the pin matrix
+const PIN_TYPE_ABBREVIATIONS = {
+    input: 'In',
+    output: 'Out',
+    bidirectional: 'Bi',
+    tri_state: '3S',
+    passive: 'Pas',
+    free: 'Free',
+    unspecified: 'Uns',
+    power_in: 'PwrI',
+    power_out: 'PwrO',
+    open_collector: 'OC',
+    open_emitter: 'OE',
+    no_connect: 'NC'
+};
+
+const LEVEL_CYCLE = [ERC_OK, ERC_WARNING, ERC_ERROR];
+const LEVEL_SYMBOLS = { [ERC_OK]: '✓', [ERC_WARNING]: 'W', [ERC_ERROR]: 'E' };
+
+export class ErcPanel {
+    constructor(options = {}) {
+        this.onRun = options.onRun || (() => {});
+        this.onSelect = options.onSelect || (() => {});
+        this.onToggleExclusion = options.onToggleExclusion || (() => {});
+        this.onMatrixChanged = options.onMatrixChanged || (() => {});
+        this.onMatrixReset = options.onMatrixReset || (() => {});
+        this.onClose = options.onClose || (() => {});
+
+        this.violations = [];
+        this.matrix = {};
+        this.selectedId = null;
+        this.showExcluded = false;
+        this.isOpen = false;
+
+        this._createDOM();
+    }
+
+    _createDOM() {
+        this.element = document.createElement('div');
+        this.element.className = 'erc-panel collapsed';
+        this.element.innerHTML = `
+            <div class="erc-header">
+                <span class="erc-title">Electrical Rules Check</span>
+                <button class="erc-close" title="Close (Esc)">✕</button>
+            </div>
+            <div class="erc-toolbar">
+                <button class="erc-run-btn">Run ERC</button>
+                <label class="erc-checkbox"><input type="checkbox" class="erc-show-excluded"> Show excluded</label>
+                <button class="erc-matrix-btn" title="Pin conflict matrix">Pin Matrix</button>
+            </div>
+            <div class="erc-summary">Not run yet</div>
+            <div class="erc-list"></div>
+            <div class="erc-matrix" style="display:none;"></div>
+        `;
+
+        this.summaryEl = this.element.querySelector('.erc-summary');
+        this.listEl = this.element.querySelector('.erc-list');
+        this.matrixEl = this.element.querySelector('.erc-matrix');
+
+        this.element.querySelector('.erc-close').addEventListener('click', () => this.close());
+        this.element.querySelector('.erc-run-btn').addEventListener('click', () => this.onRun());
+        this.element.querySelector('.erc-show-excluded').addEventListener('change', (e) => {
+            this.showExcluded = e.target.checked;
+            this._renderList();
+        });
+        this.element.querySelector('.erc-matrix-btn').addEventListener('click', () => {
+            const visible = this.matrixEl.style.display !== 'none';
+            this.matrixEl.style.display = visible ? 'none' : '';
+            if (!visible) this._renderMatrix();
+        });
+
+        // Keep canvas shortcuts from firing while using the panel
+        this.element.addEventListener('mousedown', (e) => e.stopPropagation());
+    }
+
+    appendTo(parent) {
+        parent.appendChild(this.element);
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.element.classList.remove('collapsed');
+        ModalManager.push('ercPanel', () => this.close());
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.element.classList.add('collapsed');
+        ModalManager.pop('ercPanel');
+        this.onClose();
+    }
+
+    /**
+     * Show the result of a check
+     */
+    setViolations(violations) {
+        this.violations = violations;
+        if (!violations.some(v => v.id === this.selectedId)) {
+            this.selectedId = null;
+        }
+        this._renderList();
+    }
+
+    setMatrix(matrix) {
+        this.matrix = matrix;
+        if (this.matrixEl.style.display !== 'none') {
+            this._renderMatrix();
+        }
+    }
+
+    _renderList() {
+        const active = this.violations.filter(v => !v.excluded);
+        const errors = active.filter(v => v.severity === ERC_ERROR).length;
+        const warnings = active.filter(v => v.severity === ERC_WARNING).length;
+        const excluded = this.violations.length - active.length;
+        this.summaryEl.textContent = `${errors} error${errors === 1 ? '' : 's'}, ` +
+            `${warnings} warning${warnings === 1 ? '' : 's'}` +
+            (excluded ? `, ${excluded} excluded` : '');
+
+        this.listEl.innerHTML = '';
+        const shown = this.showExcluded ? this.violations : active;
+        if (shown.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'erc-empty';
+            empty.textContent = this.violations.length ? 'All violations are excluded' : 'No violations';
+            this.listEl.appendChild(empty);
+            return;
+        }
+
+        for (const violation of shown) {
+            const item = document.createElement('div');
+            item.className = `erc-item erc-${violation.severity}`;
+            if (violation.excluded) item.classList.add('excluded');
+            if (violation.id === this.selectedId) item.classList.add('selected');
+
+            const icon = document.createElement('span');
+            icon.className = 'erc-item-icon';
+            icon.textContent = violation.severity === ERC_ERROR ? '⛔' : '⚠';
+
+            const text = document.createElement('span');
+            text.className = 'erc-item-text';
+            text.textContent = violation.message;
+
+            const exclude = document.createElement('button');
+            exclude.className = 'erc-item-exclude';
+            exclude.textContent = violation.excluded ? 'Include' : 'Exclude';
+            exclude.title = violation.excluded ? 'Report this violation again' : 'Ignore this violation';
+            exclude.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.onToggleExclusion(violation);
+            });
+
+            item.addEventListener('click', () => {
+                this.selectedId = violation.id;
+                this.listEl.querySelectorAll('.erc-item.selected').forEach(el => el.classList.remove('selected'));
+                item.classList.add('selected');
+                this.onSelect(violation);
+            });
+
+            item.append(icon, text, exclude);
+            this.listEl.appendChild(item);
+        }
+    }
+
+    _renderMatrix() {
+        const table = document.createElement('table');
+        table.className = 'erc-matrix-table';
+
+        const header = document.createElement('tr');
+        header.appendChild(document.createElement('th'));
+        for (const type of PIN_TYPES) {
+            const th = document.createElement('th');
+            th.textContent = PIN_TYPE_ABBREVIATIONS[type];
+            th.title = PIN_TYPE_LABELS[type];
+            header.appendChild(th);
+        }
+        table.appendChild(header);
+
+        // Lower triangle only: the matrix is symmetric
+        PIN_TYPES.forEach((rowType, i) => {
+            const row = document.createElement('tr');
+            const th = document.createElement('th');
+            th.textContent = PIN_TYPE_LABELS[rowType];
+            row.appendChild(th);
+            PIN_TYPES.forEach((colType, j) => {
+                const td = document.createElement('td');
+                if (j <= i) {
+                    const level = getMatrixLevel(this.matrix, rowType, colType);
+                    td.className = `erc-cell erc-cell-${level}`;
+                    td.textContent = LEVEL_SYMBOLS[level];
+                    td.title = `${PIN_TYPE_LABELS[rowType]} to ${PIN_TYPE_LABELS[colType]}: ${level}`;
+                    td.addEventListener('click', () => {
+                        const next = LEVEL_CYCLE[(LEVEL_CYCLE.indexOf(level) + 1) % LEVEL_CYCLE.length];
+                        this.onMatrixChanged(rowType, colType, next);
+                    });
+                }
+                row.appendChild(td);
+            });
+            table.appendChild(row);
+        });
+
+        const reset = document.createElement('button');
+        reset.className = 'erc-matrix-reset';
+        reset.textContent = 'Reset to defaults';
+        reset.addEventListener('click', () => this.onMatrixReset());
+
+        this.matrixEl.innerHTML = '';
+        this.matrixEl.append(table, reset);
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * NetPanel - Floating panel listing every net and the pins on it
+ */
+
+import { ModalManager } from '../core/ModalManager.js';
+
+export class NetPanel {
+    constructor(options = {}) {
+        this.onSelectNet = options.onSelectNet || (() => {});
+        this.onSelectPin = options.onSelectPin || (() => {});
+        this.onRename = options.onRename || (() => {});
+        this.onClose = options.onClose || (() => {});
+
+        this.nets = [];
+        this.filter = '';
+        this.selectedNet = null;
+        this.isOpen = false;
+
+        this._createDOM();
+    }
+
+    _createDOM() {
+        this.element = document.createElement('div');
+        this.element.className = 'net-panel collapsed';
+        this.element.innerHTML = `
+            <div class="net-panel-header">
+                <span class="net-panel-title">Nets</span>
+                <button class="net-panel-close" title="Close (Esc)">✕</button>
+            </div>
+            <div class="net-panel-toolbar">
+                <input type="text" class="net-panel-filter" placeholder="Filter nets or pins (e.g. U1.3)">
+            </div>
+            <div class="net-panel-summary"></div>
+            <div class="net-panel-list"></div>
+        `;
+
+        this.summaryEl = this.element.querySelector('.net-panel-summary');
+        this.listEl = this.element.querySelector('.net-panel-list');
+        this.filterEl = this.element.querySelector('.net-panel-filter');
+
+        this.element.querySelector('.net-panel-close').addEventListener('click', () => this.close());
+        this.filterEl.addEventListener('input', (e) => {
+            this.filter = e.target.value;
+            this._renderList();
+        });
+
+        // Keep canvas shortcuts from firing while using the panel
+        this.element.addEventListener('mousedown', (e) => e.stopPropagation());
+    }
+
+    appendTo(parent) {
+        parent.appendChild(this.element);
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.element.classList.remove('collapsed');
+        ModalManager.push('netPanel', () => this.close());
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.element.classList.add('collapsed');
+        ModalManager.pop('netPanel');
+        this.onClose();
+    }
+
+    /**
+     * Show a fresh netlist, keeping the filter and scroll position
+     */
+    setNets(nets) {
+        this.nets = nets;
+        if (!nets.some(net => net.name === this.selectedNet)) {
+            this.selectedNet = null;
+        }
+        const scrollTop = this.listEl.scrollTop;
+        this._renderList();
+        this.listEl.scrollTop = scrollTop;
+    }
+
+    setSelectedNet(name) {
+        this.selectedNet = name;
+        this.listEl.querySelectorAll('.net-panel-item').forEach(el => {
+            el.classList.toggle('selected', el.dataset.net === name);
+        });
+    }
+
+    _renderList() {
+        const query = this.filter.trim().toLowerCase();
+        const shown = query
+            ? this.nets.filter(net => net.name.toLowerCase().includes(query) ||
+                net.pins.some(pin => formatPin(pin).toLowerCase().includes(query)))
+            : this.nets;
+
+        this.summaryEl.textContent = query
+            ? `${shown.length} of ${this.nets.length} nets`
+            : `${this.nets.length} net${this.nets.length === 1 ? '' : 's'}`;
+
+        this.listEl.innerHTML = '';
+        if (shown.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'net-panel-empty';
+            empty.textContent = this.nets.length ? 'No matching nets' : 'No nets on this sheet';
+            this.listEl.appendChild(empty);
+            return;
+        }
+
+        for (const net of shown) {
+            const item = document.createElement('div');
+            item.className = 'net-panel-item';
+            item.dataset.net = net.name;
+            if (net.name === this.selectedNet) item.classList.add('selected');
+
+            const header = document.createElement('div');
+            header.className = 'net-panel-net';
+            header.title = 'Highlight this net';
+
+            const name = document.createElement('span');
+            name.className = 'net-panel-name';
+            if (!net.named) name.classList.add('auto');
+            name.textContent = net.name;
+
+            const count = document.createElement('span');
+            count.className = 'net-panel-count';
+            count.textContent = `${net.pins.length} pin${net.pins.length === 1 ? '' : 's'}`;
+
+            const rename = document.createElement('button');
+            rename.className = 'net-panel-rename';
+            rename.textContent = 'Rename';
+            rename.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.onRename(net);
+            });
+
+            header.append(name, count, rename);
+            header.addEventListener('click', () => {
+                this.setSelectedNet(net.name);
+                this.onSelectNet(net);
+            });
+
+            const pins = document.createElement('div');
+            pins.className = 'net-panel-pins';
+            for (const pin of net.pins) {
+                const chip = document.createElement('button');
+                chip.className = 'net-panel-pin';
+                chip.textContent = formatPin(pin);
+                chip.title = pin.pinName ? `${formatPin(pin)} (${pin.pinName})` : formatPin(pin);
+                chip.addEventListener('click', () => {
+                    this.setSelectedNet(net.name);
+                    this.onSelectPin(pin, net);
+                });
+                pins.appendChild(chip);
+            }
+
+            item.append(header, pins);
+            this.listEl.appendChild(item);
+        }
+    }
+}
+
+/**
+ * Pins read as reference.number, e.g. U1.3
+ */
+function formatPin(pin) {
+    return `${pin.reference}.${pin.pinNumber}`;
+}
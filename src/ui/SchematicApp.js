@@ -4,9 +4,13 @@ import { Viewport } from '../core/Viewport.js';
 import { EventBus, Events, globalEventBus } from '../core/EventBus.js';
 import { CommandHistory } from '../core/CommandHistory.js';
 import { SelectionManager } from '../core/SelectionManager.js';
+import { ConnectivityManager } from '../core/ConnectivityManager.js';
 import { FileManager } from '../core/FileManager.js';
 import { ComponentPicker } from '../components/ComponentPicker.js';
-import { Line, Wire, Circle, Rect, Arc, Polygon, Text } from '../shapes/index.js';
+import { ErcPanel } from './ErcPanel.js';
+import { NetPanel } from './NetPanel.js';
+import { BomPanel } from './BomPanel.js';
+import { Line, Wire, Bus, BusEntry, NoConnect, Circle, Rect, Arc, Polygon, Text, NetLabel, Sheet } from '../shapes/index.js';
 import { Component, getComponentLibrary } from '../components/index.js';
 import { bindMouseEvents } from './modules/mouse.js';
 import { bindKeyboardShortcuts } from './modules/keyboard.js';
@@ -23,6 +27,22 @@ import * as DrawingTools from './modules/drawing.js';
 import * as ComponentTools from './modules/components.js';
 import * as FileTools from './modules/files.js';
 import * as ExportTools from './modules/export.js';
+import * as NetlistExport from './modules/netlist-export.js';
+import * as KicadSchematic from './modules/kicad-schematic.js';
+import * as KicadLibrary from './modules/kicad-library.js';
+import * as EagleImport from './modules/eagle-import.js';
+import * as LtspiceImport from './modules/ltspice-import.js';
+import { updateJunctions, scheduleJunctionUpdate } from './modules/junctions.js';
+import { placeNetLabel, renameNetLabel } from './modules/netlabels.js';
+import { placeBusEntry } from './modules/buses.js';
+import { placeNoConnect } from './modules/noconnects.js';
+import { executeWithWireCleanup } from './modules/wire-cleanup.js';
+import * as RoutingTools from './modules/routing.js';
+import { enterSheet, exitSheet, flattenDesign } from './modules/hierarchy.js';
+import * as ErcTools from './modules/erc.js';
+import * as NetTools from './modules/nets.js';
+import * as BomTools from './modules/bom.js';
+import { highlightNetAt, clearNetHighlight } from './modules/highlight.js';
 import { handleEscape } from './modules/input.js';
 import { setupEventBusListeners } from './modules/event-bus.js';
 import { onToolSelected, onComponentPickerClosed, onOptionsChanged, loadToolOptions } from './modules/tool.js';
@@ -46,7 +66,7 @@ import {
 } from './modules/shape-management.js';
 
 // Shape class registry for deserialization
-const ShapeClasses = { Line, Wire, Circle, Rect, Arc, Polygon, Text };
+const ShapeClasses = { Line, Wire, Bus, BusEntry, NoConnect, Circle, Rect, Arc, Polygon, Text, NetLabel, Sheet };
 
 class SchematicApp {
 
@@ -144,6 +164,9 @@ class SchematicApp {
         this.history = new CommandHistory({
             onChanged: () => {
                 this._updateUndoRedoButtons();
+                // Any undoable edit may move wires or pins
+                this.connectivity?.invalidate();
+                this.eventBus.emit(Events.HISTORY_CHANGED);
             }
         });
         // fileManager already created above
@@ -153,6 +176,20 @@ class SchematicApp {
         // Shape/selection state
         this.shapes = [];
         this.components = [];
+        this.junctions = [];
+        this._junctionFrame = null;
+        this.connectivity = new ConnectivityManager({
+            onChanged: () => this.eventBus.emit(Events.NETLIST_CHANGED)
+        });
+        // Sheet hierarchy: child documents by file name, the path of sheets
+        // entered from the root, and per-instance references
+        this.sheetDocs = {};
+        this.sheetStack = [];
+        this.sheetInstances = {};
+        // ERC: per-document settings and the result of the last check
+        this.ercSettings = ErcTools.createErcSettings();
+        this.ercViolations = [];
+        this.ercMarkers = [];
         this.selection = new SelectionManager({
             onSelectionChanged: (shapes) => this._onSelectionChanged(shapes)
         });
@@ -172,6 +209,14 @@ class SchematicApp {
         this.wireActiveAxis = null;
         this.wireLastAdjustedPoint = null;
         this.lastSnappedData = null;
+        this.routeStart = null;        // Start pin picked in wire routing mode
+        this.routeTarget = null;
+        this.routePreviewTimer = null; // Pending route preview while the cursor settles
+        this.lastNetLabelName = '';
+        this.lastPowerRailName = '';
+        this.busEntryFlip = false;
+        this.highlightedNet = null;
+        this.netHighlightElement = null;
 
         // Crosshair
         this.crosshair = {
@@ -199,6 +244,7 @@ class SchematicApp {
         this.dragTotalDx = 0;
         this.dragTotalDy = 0;
         this.dragShapesBefore = null;  // State before drag for anchor modifications
+        this.dragRubberBand = null;    // Wires stretching with moved components
 
         // Tool options
         const savedOptions = loadToolOptions();
@@ -265,6 +311,30 @@ class SchematicApp {
         });
         this.componentPicker.appendTo(this.container);
 
+        this.ercPanel = new ErcPanel({
+            onRun: () => this._runErc(),
+            onSelect: (violation) => ErcTools.zoomToViolation(this, violation),
+            onToggleExclusion: (violation) => ErcTools.toggleViolationExclusion(this, violation),
+            onMatrixChanged: (typeA, typeB, level) => ErcTools.setErcMatrixLevel(this, typeA, typeB, level),
+            onMatrixReset: () => ErcTools.resetErcMatrix(this),
+            onClose: () => ErcTools.clearErcMarkers(this)
+        });
+        this.ercPanel.appendTo(this.container);
+
+        this.netPanel = new NetPanel({
+            onSelectNet: (net) => this.eventBus.emit(Events.NET_HIGHLIGHTED, net.name),
+            onSelectPin: (pin, net) => NetTools.panToPin(this, pin, net),
+            onRename: (net) => NetTools.renameNet(this, net)
+        });
+        this.netPanel.appendTo(this.container);
+
+        this.bomQuantity = 1;
+        this.bomPanel = new BomPanel({
+            onQuantityChanged: (quantity) => BomTools.setBomQuantity(this, quantity),
+            onExport: (format) => BomTools.exportBom(this, format)
+        });
+        this.bomPanel.appendTo(this.container);
+
         // Component placement state
         this.placingComponent = null;  // Definition being placed
         this.componentPreview = null;  // Preview SVG element
@@ -366,6 +436,11 @@ class SchematicApp {
         return addShape(this, shape);
     }
     
+    // Execute a wire edit together with the wire cleanup it calls for (one undo step)
+    _executeWithWireCleanup(command) {
+        executeWithWireCleanup(this, command);
+    }
+
     // Internal add - used by commands, no history entry
     _addShapeInternal(shape) {
         return addShapeInternal(this, shape);
@@ -493,6 +568,11 @@ class SchematicApp {
         return WireTools.checkAutoCornerTriggers(this, rawDx, rawDy, primaryDir, gridSize, lastWorldPos, worldPos);
     }
     
+    // Whether the current tool draws wire-style paths (wires and buses)
+    _isWireTool() {
+        return WireTools.isWireTool(this.currentTool);
+    }
+
     // Start drawing a wire - click to place first point or snap to pin
     _startWireDrawing(snappedData) {
         WireTools.startWireDrawing(this, snappedData);
@@ -538,6 +618,116 @@ class SchematicApp {
         WireTools.unhighlightPin(this);
     }
 
+    // Whether the wire tool is in auto-routing mode
+    _isWireRouting() {
+        return RoutingTools.isWireRouting(this);
+    }
+
+    // Pick the start pin, or route a wire from it to the clicked pin
+    _handleRouteClick(worldPos) {
+        RoutingTools.handleRouteClick(this, worldPos);
+    }
+
+    // Preview the route to the pin under the cursor
+    _updateRoutePreview(worldPos) {
+        RoutingTools.updateRoutePreview(this, worldPos);
+    }
+
+    // Drop the picked start pin
+    _cancelWireRoute() {
+        RoutingTools.cancelWireRoute(this);
+    }
+
+    // Sync junction dots with the netlist immediately
+    _updateJunctions() {
+        updateJunctions(this);
+    }
+
+    // Sync junction dots on the next animation frame
+    _scheduleJunctionUpdate() {
+        scheduleJunctionUpdate(this);
+    }
+
+    // ==================== Net Labels ====================
+
+    // Place a net label at (or attached near) the given position
+    _placeNetLabel(worldPos, labelType = 'local') {
+        return placeNetLabel(this, worldPos, labelType);
+    }
+
+    // Prompt for a new net label name (undoable)
+    _renameNetLabel(label) {
+        renameNetLabel(this, label);
+    }
+
+    // ==================== Buses ====================
+
+    // Place a bus entry on (or near) a bus
+    _placeBusEntry(worldPos) {
+        return placeBusEntry(this, worldPos);
+    }
+
+    // ==================== Net Highlight ====================
+
+    // Highlight every wire, pin and label on the net under worldPos
+    _highlightNetAt(worldPos) {
+        return highlightNetAt(this, worldPos);
+    }
+
+    // Returns true if there was a highlight to clear
+    _clearNetHighlight() {
+        return clearNetHighlight(this);
+    }
+
+    // ==================== No-Connect Flags ====================
+
+    // Flag the pin nearest worldPos as intentionally open
+    _placeNoConnect(worldPos) {
+        return placeNoConnect(this, worldPos);
+    }
+
+    // ==================== Electrical Rules Check ====================
+
+    // Show the ERC panel and check the current sheet
+    _openErcPanel() {
+        ErcTools.openErcPanel(this);
+    }
+
+    _runErc() {
+        return ErcTools.runErc(this);
+    }
+
+    // ==================== Net Navigator ====================
+
+    // Show the list of nets on the current sheet
+    _openNetPanel() {
+        NetTools.openNetPanel(this);
+    }
+
+    // ==================== Bill of Materials ====================
+
+    // Show the grouped parts list for the whole design
+    _openBomPanel() {
+        BomTools.openBomPanel(this);
+    }
+
+    // ==================== Hierarchical Sheets ====================
+
+    // Open a sheet symbol's child schematic
+    _enterSheet(sheet) {
+        enterSheet(this, sheet);
+    }
+
+    // Return to the parent sheet
+    _exitSheet() {
+        exitSheet(this);
+    }
+
+    // Netlist of the whole hierarchy with per-instance references
+    _flattenDesign() {
+        return flattenDesign(this);
+    }
+
     // ==================== Component Handling ====================
     
     // Called when a component definition is selected in the picker
@@ -570,6 +760,11 @@ class SchematicApp {
         return generateReference(this, definition);
     }
     
+    // Rename the rail of a placed power port
+    _renamePowerPort(component) {
+        ComponentTools.renamePowerPort(this, component);
+    }
+    
     // Rotate component during placement (or selected components)
     _rotateComponent() {
         ComponentTools.rotateComponent(this);
@@ -936,17 +1131,67 @@ class SchematicApp {
         await ExportTools.savePdf(this);
     }
 
+    // Save the sheet or the selection as SVG
+    async saveSvg(options) {
+        await ExportTools.saveSvg(this, options);
+    }
+
+    // Save the sheet or the selection as PNG or JPEG
+    async saveRaster(options) {
+        await ExportTools.saveRaster(this, options);
+    }
+
     // Print current view with preview
     async print() {
         await ExportTools.printSchematic(this);
     }
 
+    // Save the design as a KiCad netlist (.net) for pcbnew
+    async exportKicadNetlist() {
+        await NetlistExport.exportKicadNetlist(this);
+    }
+
+    // Save the design as a SPICE deck (.cir) for simulation
+    async exportSpiceNetlist() {
+        await NetlistExport.exportSpiceNetlist(this);
+    }
+
+    // Open KiCad schematics (.kicad_sch) as a new document
+    async importKicadSchematic() {
+        await KicadSchematic.importKicadSchematic(this);
+    }
+
+    // Open an Eagle schematic (.sch) as a new document, or browse an Eagle library (.lbr)
+    async importEagle() {
+        await EagleImport.importEagle(this);
+    }
+
+    // Open an LTspice schematic (.asc) as a new document
+    async importLtspice() {
+        await LtspiceImport.importLtspice(this);
+    }
+
+    // Read KiCad parts from a local folder instead of GitLab
+    async chooseKicadLibraryFolder() {
+        await KicadLibrary.chooseKicadLibraryFolder(this);
+    }
+
+    // Read KiCad parts from local .zip downloads instead of GitLab
+    async chooseKicadLibraryZip() {
+        await KicadLibrary.chooseKicadLibraryZip(this);
+    }
+
+    // Save the design as KiCad schematics (.kicad_sch), one file per sheet
+    async exportKicadSchematic() {
+        await KicadSchematic.exportKicadSchematic(this);
+    }
+
     _loadVectorPdfLibs() {
         return ExportTools.loadVectorPdfLibs(this);
     }
 
-    _cloneViewportSvgForExport() {
-        return ExportTools.cloneViewportSvgForExport(this);
+    _cloneViewportSvgForExport(options) {
+        return ExportTools.cloneViewportSvgForExport(this, options);
     }
 
     _forceMonochromeSvg(svgRoot) {
@@ -957,8 +1202,8 @@ class SchematicApp {
         ExportTools.inlineSvgComputedStyles(originalSvg, clonedSvg);
     }
 
-    async _saveBlobAsFile(blob, suggestedName, mimeType, extensions) {
-        await ExportTools.saveBlobAsFile(blob, suggestedName, mimeType, extensions);
+    async _saveBlobAsFile(blob, suggestedName, mimeType, extensions, description) {
+        await ExportTools.saveBlobAsFile(blob, suggestedName, mimeType, extensions, description);
     }
 
     // Render the current viewport SVG to a canvas
@@ -0,0 +1,87 @@
+import { buildBom, bomToCsv, bomToHtml } from '../../core/bom.js';
+import { getLcscNumber } from '../../core/partFields.js';
+import { saveBlobAsFile } from './export.js';
+import { collectDesignParts } from './hierarchy.js';
+import { exportFileName } from './netlist-export.js';
+
+const BOM_FORMATS = {
+    csv: { extension: '.csv', mime: 'text/csv', description: 'CSV file' },
+    excel: { extension: '.csv', mime: 'text/csv', description: 'CSV for Excel' },
+    html: { extension: '.html', mime: 'text/html', description: 'HTML report' }
+};
+
+export function openBomPanel(app) {
+    app.bomPanel.open();
+    refreshBomPanel(app);
+}
+
+export function refreshBomPanel(app) {
+    if (!app.bomPanel?.isOpen) return;
+    app.bomPanel.setBom(createBom(app));
+}
+
+/**
+ * Rebuild at most once per frame while the design is being edited
+ */
+export function scheduleBomPanelUpdate(app) {
+    if (!app.bomPanel?.isOpen || app._bomPanelFrame) return;
+    app._bomPanelFrame = requestAnimationFrame(() => {
+        app._bomPanelFrame = null;
+        refreshBomPanel(app);
+    });
+}
+
+export function setBomQuantity(app, quantity) {
+    app.bomQuantity = quantity;
+    refreshBomPanel(app);
+}
+
+/**
+ * BOM for the whole design at the current build quantity; it only needs
+ * the parts, so it skips the nets that flattening the design builds
+ */
+export function createBom(app) {
+    return buildBom({ components: collectDesignParts(app) }, {
+        quantity: app.bomQuantity || 1,
+        getSupplierData: (component) => getSupplierData(app, component)
+    });
+}
+
+/**
+ * Stock and price breaks from what is already on hand: the part's own
+ * definition (saved with the document), then the LCSC part in the library
+ * and the fetcher's metadata. Never goes to the network.
+ */
+export function getSupplierData(app, component) {
+    const hasPricing = (data) => data && (data.priceBreaks?.length || Number.isFinite(data.stock));
+    if (hasPricing(component.definition)) return component.definition;
+
+    const lcsc = getLcscNumber(component);
+    if (!lcsc) return null;
+    const library = app.componentLibrary;
+    const sources = [
+        () => library?.getDefinition(`LCSC_${lcsc}`),
+        () => library?.lcscFetcher?.metadataCache.get(lcsc)
+    ];
+    for (const read of sources) {
+        const data = read();
+        if (hasPricing(data)) return data;
+    }
+    return null;
+}
+
+export async function exportBom(app, format) {
+    const spec = BOM_FORMATS[format];
+    if (!spec) return;
+    try {
+        const bom = createBom(app);
+        const title = (app.fileManager?.fileName || 'schematic').replace(/\.[^/.]+$/, '');
+        const text = format === 'html'
+            ? bomToHtml(bom, { title: `${title} - Bill of Materials` })
+            : bomToCsv(bom, { excel: format === 'excel' });
+        const blob = new Blob([text], { type: spec.mime });
+        await saveBlobAsFile(blob, exportFileName(app, `-bom${spec.extension}`), spec.mime, [spec.extension], spec.description);
+    } catch (err) {
+        alert('Failed to export BOM: ' + (err?.message || 'Unknown error'));
+    }
+}
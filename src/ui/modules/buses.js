@@ -0,0 +1,46 @@
+import { BusEntry, BUS_ENTRY_SIZE } from '../../shapes/index.js';
+import { closestPointOnSegment } from '../../core/geometry.js';
+
+/**
+ * Work out where a bus entry clicked near worldPos should sit.
+ * On a bus, the entry's bus end snaps onto it and the stub leans toward
+ * the side that was clicked; app.busEntryFlip mirrors the lean.
+ * @returns {{x: number, y: number, dx: number, dy: number}}
+ */
+export function findBusEntryPlacement(app, worldPos, tolerance = BUS_ENTRY_SIZE) {
+    const size = BUS_ENTRY_SIZE;
+    const along = app.busEntryFlip ? -size : size;
+
+    let best = null;
+    let bestDist = tolerance;
+    for (const shape of app.shapes) {
+        if (shape.type !== 'bus') continue;
+        for (let i = 0; i < shape.points.length - 1; i++) {
+            const a = shape.points[i];
+            const b = shape.points[i + 1];
+            const closest = closestPointOnSegment(worldPos, a, b);
+            const dist = Math.hypot(closest.x - worldPos.x, closest.y - worldPos.y);
+            if (dist > bestDist) continue;
+            bestDist = dist;
+
+            const snapped = app.viewport.getSnappedPosition(closest);
+            if (a.y === b.y) {
+                const x = Math.min(Math.max(snapped.x, Math.min(a.x, b.x)), Math.max(a.x, b.x));
+                best = { x, y: a.y, dx: along, dy: worldPos.y < a.y ? -size : size };
+            } else if (a.x === b.x) {
+                const y = Math.min(Math.max(snapped.y, Math.min(a.y, b.y)), Math.max(a.y, b.y));
+                best = { x: a.x, y, dx: worldPos.x < a.x ? -size : size, dy: -along };
+            } else {
+                best = { x: closest.x, y: closest.y, dx: size, dy: -size };
+            }
+        }
+    }
+
+    return best || { ...app.viewport.getSnappedPosition(worldPos), dx: along, dy: -size };
+}
+
+export function placeBusEntry(app, worldPos) {
+    const entry = new BusEntry(findBusEntryPlacement(app, worldPos));
+    app.addShape(entry);
+    return entry;
+}
@@ -6,7 +6,7 @@ export function setupCallbacks(app) {
 
     app.viewport.onMouseMove = (world, snapped) => {
         if (app.isDrawing) {
-            if (app.currentTool === 'wire') {
+            if (app._isWireTool()) {
                 const wireSnapped = app._getWireSnappedPosition(world);
                 app._updateDrawing(wireSnapped);
                 app._updateCrosshair(wireSnapped);
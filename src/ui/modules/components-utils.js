@@ -1,16 +1,20 @@
+import { collectUsedReferences } from './hierarchy.js';
+
 export function updateSelectableItems(app) {
     const items = [...app.shapes, ...app.components];
     app.selection.setShapes(items);
+    app.connectivity?.setItems(app.shapes, app.components);
 }
 
 export function generateReference(app, definition) {
     let prefix = definition.defaultReference || 'U?';
     prefix = prefix.replace(/[0-9?]+$/, '');
 
+    // References are unique across every sheet of the hierarchy
     let maxNum = 0;
-    for (const comp of app.components) {
-        if (comp.reference.startsWith(prefix)) {
-            const num = parseInt(comp.reference.slice(prefix.length)) || 0;
+    for (const reference of collectUsedReferences(app)) {
+        if (reference.startsWith(prefix)) {
+            const num = parseInt(reference.slice(prefix.length)) || 0;
             maxNum = Math.max(maxNum, num);
         }
     }
@@ -19,7 +23,7 @@ export function generateReference(app, definition) {
 }
 
 export function getSelectedComponents(app) {
-    return [];
+    return app.selection.getSelection().filter(item => app.components.includes(item));
 }
 
 
@@ -1,4 +1,6 @@
 import { Component } from '../../components/index.js';
+import { ModifyComponentsCommand, CompositeCommand } from '../../core/CommandHistory.js';
+import { beginRubberBand, updateRubberBand, finishRubberBand } from './rubberband.js';
 
 export function onComponentDefinitionSelected(app, definition) {
     app._cancelDrawing();
@@ -59,12 +61,22 @@ export function placeComponent(app, worldPos) {
 
     const ref = app._generateReference(app.placingComponent);
 
+    // Custom power ports take their rail name from the user
+    let value;
+    if (app.placingComponent.promptValue) {
+        value = prompt('Power rail name:', app.lastPowerRailName || app.placingComponent.defaultValue || '');
+        if (!value || !value.trim()) return;
+        value = value.trim();
+        app.lastPowerRailName = value;
+    }
+
     const component = new Component(app.placingComponent, {
         x: worldPos.x,
         y: worldPos.y,
         rotation: app.componentRotation,
         mirror: app.componentMirror,
-        reference: ref
+        reference: ref,
+        value
     });
 
     app.components.push(component);
@@ -79,6 +91,21 @@ export function placeComponent(app, worldPos) {
     console.log('Placed component:', component.reference, 'at', worldPos.x, worldPos.y);
 }
 
+/**
+ * Rename the rail of a placed power port; every port with the same
+ * value joins the same global net
+ */
+export function renamePowerPort(app, component) {
+    if (!component?.isPower) return;
+
+    const value = prompt('Power rail name:', component.value);
+    if (!value || !value.trim() || value.trim() === component.value) return;
+
+    app.history.execute(new ModifyComponentsCommand(app, [component],
+        [{ value: component.value }], [{ value: value.trim() }], `Rename ${component.value} to ${value.trim()}`));
+    app.fileManager.setDirty(true);
+}
+
 export function rotateComponent(app) {
     if (app.placingComponent) {
         app.componentRotation = (app.componentRotation + 90) % 360;
@@ -87,13 +114,7 @@ export function rotateComponent(app) {
             updateComponentPreview(app, app.lastCrosshairWorld);
         }
     } else {
-        const selected = app._getSelectedComponents();
-        for (const comp of selected) {
-            comp.rotate(90);
-        }
-        if (selected.length > 0) {
-            app.fileManager.setDirty(true);
-        }
+        transformSelectedComponents(app, comp => comp.rotate(90), 'Rotate');
     }
 }
 
@@ -105,14 +126,33 @@ export function mirrorComponent(app) {
             updateComponentPreview(app, app.lastCrosshairWorld);
         }
     } else {
-        const selected = app._getSelectedComponents();
-        for (const comp of selected) {
-            comp.toggleMirror();
-        }
-        if (selected.length > 0) {
-            app.fileManager.setDirty(true);
-        }
+        transformSelectedComponents(app, comp => comp.toggleMirror(), 'Mirror');
+    }
+}
+
+/**
+ * Rotate or mirror the selected components in place, stretching attached
+ * wires, as a single undo step
+ */
+function transformSelectedComponents(app, transform, verb) {
+    const selected = app._getSelectedComponents().filter(c => !c.locked);
+    if (selected.length === 0) return;
+
+    const before = selected.map(c => ({ rotation: c.rotation, mirror: c.mirror }));
+    const rubberBand = beginRubberBand(app, selected);
+    for (const comp of selected) {
+        transform(comp);
     }
+    updateRubberBand(app, rubberBand);
+
+    const after = selected.map(c => ({ rotation: c.rotation, mirror: c.mirror }));
+    const wireCommands = finishRubberBand(app, rubberBand);
+    selected.forEach((comp, i) => comp.setOrientation(before[i].rotation, before[i].mirror));
+
+    const description = selected.length === 1 ? `${verb} ${selected[0].reference}` : `${verb} ${selected.length} components`;
+    const command = new ModifyComponentsCommand(app, selected, before, after, description);
+    app._executeWithWireCleanup(wireCommands.length > 0 ? new CompositeCommand(description, [command, ...wireCommands]) : command);
+    app.fileManager.setDirty(true);
 }
 
 export function cancelComponentPlacement(app) {
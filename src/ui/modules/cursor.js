@@ -22,6 +22,12 @@ export function getToolIconPath(tool) {
             return 'M 0 8 L 8 0';
         case 'wire':
             return 'M 0 4 L 8 4';
+        case 'bus':
+            return 'M 0 4 L 8 4 M 0 3 L 8 3 M 0 5 L 8 5';
+        case 'busEntry':
+            return 'M 0 0 V 8 M 0 6 L 4 2 H 8';
+        case 'noconnect':
+            return 'M 1 1 L 7 7 M 1 7 L 7 1';
         case 'rect':
             return 'M 1 1 H 7 V 7 H 1 Z';
         case 'circle':
@@ -32,6 +38,12 @@ export function getToolIconPath(tool) {
             return 'M 4 0 L 8 3 L 6 8 L 2 8 L 0 3 Z';
         case 'text':
             return 'M 1 1 H 7 M 4 1 V 7';
+        case 'label':
+            return 'M 0 7 H 8 M 1 5 V 1 H 6 L 7 3 L 6 5 Z';
+        case 'hlabel':
+            return 'M 0 4 L 2 2 H 8 V 6 H 2 Z';
+        case 'sheet':
+            return 'M 1 1 H 7 V 7 H 1 Z M 1 3 H 2 M 1 5 H 2';
         case 'component':
             return 'M 1 1 H 7 V 7 H 1 Z M 4 2 V 6 M 2 4 H 6';
         default:
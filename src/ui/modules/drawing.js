@@ -1,4 +1,5 @@
 import { Line, Circle, Rect, Arc, Polygon, Text } from '../../shapes/index.js';
+import { allocateInstanceReferences, createSheetFromBox } from './hierarchy.js';
 
 function clampBulgePoint(p1, p2, b) {
     const mx = (p1.x + p2.x) / 2;
@@ -60,6 +61,8 @@ export function finishDrawing(app, worldPos) {
         app.addShape(shape);
         if (shape.type === 'text') {
             app._startTextEdit?.(shape);
+        } else if (shape.type === 'sheet') {
+            allocateInstanceReferences(app);
         }
     }
 
@@ -146,6 +149,17 @@ export function updatePreview(app) {
             break;
         }
 
+        case 'sheet': {
+            const x = Math.min(start.x, end.x);
+            const y = Math.min(start.y, end.y);
+            const w = Math.abs(end.x - start.x);
+            const h = Math.abs(end.y - start.y);
+            svg = `<rect x="${x}" y="${y}" width="${w}" height="${h}" 
+                    stroke="var(--sch-sheet, #aa00aa)" stroke-width="${strokeWidth}" 
+                    fill="none" stroke-dasharray="0.5 0.5"/>`;
+            break;
+        }
+
         case 'circle': {
             const radius = Math.hypot(end.x - start.x, end.y - start.y);
             svg = `<circle cx="${start.x}" cy="${start.y}" r="${radius}" 
@@ -266,6 +280,13 @@ export function createShapeFromDrawing(app) {
             });
         }
 
+        case 'sheet': {
+            const w = Math.abs(end.x - start.x);
+            const h = Math.abs(end.y - start.y);
+            if (w < minSize || h < minSize) return null;
+            return createSheetFromBox(app, Math.min(start.x, end.x), Math.min(start.y, end.y), w, h);
+        }
+
         case 'circle': {
             const radius = Math.hypot(end.x - start.x, end.y - start.y);
             if (radius < minSize) return null;
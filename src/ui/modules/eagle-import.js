@@ -0,0 +1,51 @@
+import { parseEagleSchematic } from '../../core/eagleImport.js';
+import { ImportReport } from '../../core/importReport.js';
+import { loadImportedDocument, pickFiles } from './files.js';
+import { setPaper } from './paper.js';
+
+/**
+ * Open an Eagle XML schematic (.sch) as a new document, or list the
+ * devices of an Eagle library (.lbr) to add to the user library
+ */
+export async function importEagle(app) {
+    const [file] = await pickFiles('.sch,.lbr');
+    if (!file) return;
+
+    // Libraries open in the component picker to choose which symbols to add
+    if (/\.lbr$/i.test(file.name)) {
+        app._onToolSelected('component');
+        await app.componentPicker.showSymbolLibraries([file]);
+        return;
+    }
+
+    if (app.fileManager.isDirty) {
+        if (!confirm('You have unsaved changes. Import an Eagle schematic anyway?')) {
+            return;
+        }
+    }
+
+    try {
+        const report = new ImportReport();
+        const { shapes, components, definitions, gridSize } = parseEagleSchematic(await file.text(), { report });
+        for (const definition of definitions) {
+            app.componentLibrary.addDefinition(definition, 'Eagle');
+        }
+
+        // Eagle's frame is a drawing, not a paper size
+        setPaper(app, null);
+        loadImportedDocument(app, {
+            version: '1.1',
+            type: 'clearpcb-schematic',
+            shapes,
+            components,
+            ...(gridSize ? { settings: { gridSize } } : {})
+        }, file.name);
+
+        if (!report.isEmpty) {
+            alert(`Imported ${file.name}. Some things could not be carried over:\n\n` +
+                report.lines().map(line => `• ${line}`).join('\n'));
+        }
+    } catch (err) {
+        alert('Failed to import Eagle schematic: ' + (err?.message || 'Unknown error'));
+    }
+}
@@ -0,0 +1,129 @@
+import { ErcEngine, createDefaultPinMatrix, setMatrixLevel } from '../../core/ErcEngine.js';
+
+// Marker size in mm
+const MARKER_SIZE = 1.5;
+
+/**
+ * Fresh per-document ERC settings: pin matrix overrides and excluded violation ids
+ */
+export function createErcSettings(data = null) {
+    return {
+        matrix: { ...(data?.matrix || {}) },
+        exclusions: Array.isArray(data?.exclusions) ? [...data.exclusions] : []
+    };
+}
+
+/**
+ * Pin matrix in effect: defaults plus the document's overrides
+ */
+export function getErcMatrix(app) {
+    return { ...createDefaultPinMatrix(), ...app.ercSettings.matrix };
+}
+
+export function openErcPanel(app) {
+    app.ercPanel.setMatrix(getErcMatrix(app));
+    app.ercPanel.open();
+    runErc(app);
+}
+
+/**
+ * Check the sheet on the canvas and show the result
+ */
+export function runErc(app) {
+    const engine = new ErcEngine({ matrix: app.ercSettings.matrix });
+    app.ercViolations = engine.run(app.connectivity.getNets(), {
+        exclusions: app.ercSettings.exclusions
+    });
+    app.ercPanel.setViolations(app.ercViolations);
+    renderErcMarkers(app);
+    return app.ercViolations;
+}
+
+export function toggleViolationExclusion(app, violation) {
+    const exclusions = new Set(app.ercSettings.exclusions);
+    if (exclusions.has(violation.id)) {
+        exclusions.delete(violation.id);
+    } else {
+        exclusions.add(violation.id);
+    }
+    app.ercSettings.exclusions = [...exclusions];
+    app.fileManager.setDirty(true);
+
+    for (const v of app.ercViolations) {
+        v.excluded = exclusions.has(v.id);
+    }
+    app.ercPanel.setViolations(app.ercViolations);
+    renderErcMarkers(app);
+}
+
+export function setErcMatrixLevel(app, typeA, typeB, level) {
+    const matrix = getErcMatrix(app);
+    setMatrixLevel(matrix, typeA, typeB, level);
+
+    // Only store entries that differ from the defaults
+    const defaults = createDefaultPinMatrix();
+    app.ercSettings.matrix = Object.fromEntries(Object.entries(matrix).filter(([key, value]) => defaults[key] !== value));
+    app.fileManager.setDirty(true);
+    app.ercPanel.setMatrix(getErcMatrix(app));
+    runErc(app);
+}
+
+export function resetErcMatrix(app) {
+    app.ercSettings.matrix = {};
+    app.fileManager.setDirty(true);
+    app.ercPanel.setMatrix(getErcMatrix(app));
+    runErc(app);
+}
+
+/**
+ * Draw a marker at every active violation
+ */
+export function renderErcMarkers(app) {
+    clearErcMarkers(app);
+    const ns = 'http://www.w3.org/2000/svg';
+    for (const violation of app.ercViolations) {
+        if (violation.excluded) continue;
+        const s = MARKER_SIZE;
+        const marker = document.createElementNS(ns, 'polygon');
+        // Arrow pointing down-left at the offending pin
+        marker.setAttribute('points', [
+            [violation.x, violation.y],
+            [violation.x + s * 0.3, violation.y - s],
+            [violation.x + s, violation.y - s * 0.3]
+        ].map(p => p.join(',')).join(' '));
+        marker.setAttribute('class', `erc-marker erc-${violation.severity}`);
+        marker.setAttribute('fill', violation.severity === 'error'
+            ? 'var(--sch-erc-error, #ff3333)'
+            : 'var(--sch-erc-warning, #ffaa00)');
+        marker.dataset.violationId = violation.id;
+        app.viewport.addContent(marker);
+        app.ercMarkers.push(marker);
+    }
+}
+
+export function clearErcMarkers(app) {
+    for (const marker of app.ercMarkers) {
+        app.viewport.removeContent(marker);
+    }
+    app.ercMarkers = [];
+}
+
+/**
+ * Centre the view on a violation and flag its marker
+ */
+export function zoomToViolation(app, violation) {
+    const margin = 10;
+    app.viewport.fitToBounds(violation.x - margin, violation.y - margin, violation.x + margin, violation.y + margin, 0);
+    for (const marker of app.ercMarkers) {
+        marker.classList.toggle('active', marker.dataset.violationId === violation.id);
+    }
+}
+
+/**
+ * Forget the last check (new document, sheet change)
+ */
+export function resetErcResults(app) {
+    app.ercViolations = [];
+    clearErcMarkers(app);
+    app.ercPanel?.setViolations([]);
+}
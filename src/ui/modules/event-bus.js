@@ -1,5 +1,45 @@
+import { Events } from '../../core/EventBus.js';
+import { resetErcResults } from './erc.js';
+import { renderNetHighlight, scheduleNetHighlightUpdate } from './highlight.js';
+import { refreshNetPanel, scheduleNetPanelUpdate } from './nets.js';
+import { scheduleBomPanelUpdate } from './bom.js';
+
 export function setupEventBusListeners(app) {
     app.eventBus.on('component:selected', (def) => {
         app._onComponentDefinitionSelected(def);
     });
+
+    app.eventBus.on(Events.NETLIST_CHANGED, () => {
+        app._scheduleJunctionUpdate();
+        scheduleNetHighlightUpdate(app);
+        scheduleNetPanelUpdate(app);
+    });
+
+    app.eventBus.on(Events.HISTORY_CHANGED, () => {
+        scheduleBomPanelUpdate(app);
+    });
+
+    app.eventBus.on(Events.NET_HIGHLIGHTED, (netName) => {
+        renderNetHighlight(app, netName);
+        app.netPanel?.setSelectedNet(app.highlightedNet);
+    });
+
+    // Keep the highlight on a net when it is renamed
+    app.eventBus.on(Events.NET_RENAMED, ({ oldName, newName }) => {
+        if (app.highlightedNet === oldName) {
+            renderNetHighlight(app, newName);
+            app.netPanel?.setSelectedNet(app.highlightedNet);
+        }
+    });
+
+    app.eventBus.on(Events.SHEET_CHANGED, () => {
+        const upButton = document.getElementById('ribbonSheetUp');
+        if (upButton) {
+            upButton.disabled = app.sheetStack.length === 0;
+        }
+        // Markers belong to the sheet that was checked
+        resetErcResults(app);
+        renderNetHighlight(app, null);
+        refreshNetPanel(app);
+    });
 }
@@ -1,3 +1,15 @@
+import { encodePng } from '../../core/pngEncoder.js';
+
+const MM_PER_INCH = 25.4;
+
+// Raster exports are drawn in tiles no bigger than this
+const TILE_WIDTH = 4096;
+const STRIP_HEIGHT = 1024;
+
+// JPEG has to fit on one canvas; stay inside what browsers allow
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_PIXELS = 64 * 1024 * 1024;
+
 export async function savePdf(app) {
     try {
         const pdfFileName = (app.fileManager?.fileName || 'schematic')
@@ -203,7 +215,18 @@ export function loadVectorPdfLibs(app) {
     return app._pdfVectorLoader;
 }
 
-export function cloneViewportSvgForExport(app) {
+/**
+ * Copy of the canvas SVG ready to save or print
+ * @param {object} [options]
+ * @param {{x, y, width, height}} [options.bounds] - World area to export instead of the paper or view
+ * @param {boolean} [options.monochrome=true]
+ * @param {boolean} [options.inlineStyles=true] - Copy computed styles onto the elements
+ * @param {string|null} [options.background='#ffffff'] - null for a transparent background
+ * @param {boolean} [options.showPaper] - Keep the paper outline; defaults to on unless bounds are given
+ */
+export function cloneViewportSvgForExport(app, options = {}) {
+    const { bounds = null, monochrome = true, inlineStyles = true, background = '#ffffff' } = options;
+    const showPaper = options.showPaper ?? !bounds;
     const originalSvg = app.viewport.svg;
     const svgNode = originalSvg.cloneNode(true);
     const vb = app.viewport.viewBox;
@@ -216,7 +239,11 @@ export function cloneViewportSvgForExport(app) {
     let exportWidth = width;
     let exportHeight = height;
     
-    if (paperSize) {
+    if (bounds) {
+        exportViewBox = bounds;
+        exportWidth = bounds.width;
+        exportHeight = bounds.height;
+    } else if (paperSize) {
         // Paper is positioned at (0, -height) in world coords
         // Set viewBox to match paper bounds
         exportViewBox = {
@@ -233,17 +260,23 @@ export function cloneViewportSvgForExport(app) {
     svgNode.setAttribute('width', String(exportWidth));
     svgNode.setAttribute('height', String(exportHeight));
     svgNode.setAttribute('viewBox', `${exportViewBox.x} ${exportViewBox.y} ${exportViewBox.width} ${exportViewBox.height}`);
-    svgNode.setAttribute('style', 'background:#ffffff');
+    svgNode.setAttribute('style', background ? `background:${background}` : '');
 
-    inlineSvgComputedStyles(originalSvg, svgNode);
+    if (inlineStyles) {
+        inlineSvgComputedStyles(originalSvg, svgNode);
+    }
 
-    forceMonochromeSvg(svgNode);
+    if (monochrome) {
+        forceMonochromeSvg(svgNode);
+    }
 
     const gridLayer = svgNode.querySelector('#gridLayer');
     if (gridLayer) {
         gridLayer.remove();
     }
 
+    svgNode.querySelectorAll('.net-highlight').forEach(el => el.remove());
+
     const axesLayer = svgNode.querySelector('#axesLayer');
     if (axesLayer) {
         axesLayer.remove();
@@ -251,23 +284,254 @@ export function cloneViewportSvgForExport(app) {
     
     // Keep paper outline if paper size is set
     const paperOutlineLayer = svgNode.querySelector('#paperOutlineLayer');
-    if (paperOutlineLayer && !paperSize) {
-        // Only remove if no paper size is set
+    if (paperOutlineLayer && (!paperSize || !showPaper)) {
+        // Only remove if no paper size is set or only part of it is exported
         paperOutlineLayer.remove();
     }
 
+    if (!background) {
+        return { svgNode, paperSize };
+    }
+
     const bgRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
     bgRect.setAttribute('x', String(exportViewBox.x));
     bgRect.setAttribute('y', String(exportViewBox.y));
     bgRect.setAttribute('width', String(exportViewBox.width));
     bgRect.setAttribute('height', String(exportViewBox.height));
-    bgRect.setAttribute('fill', '#ffffff');
+    bgRect.setAttribute('fill', background);
     bgRect.setAttribute('stroke', 'none');
     svgNode.insertBefore(bgRect, svgNode.firstChild);
 
     return { svgNode, paperSize };
 }
 
+/**
+ * World area to export, with a margin around items
+ * @param {'paper'|'content'|'selection'} area - Paper falls back to the content when no paper is set
+ * @returns {{x, y, width, height}|null} null when there is nothing in the area
+ */
+export function getExportBounds(app, area, margin = 2) {
+    const paperSize = app.viewport.paperSize;
+    if (area === 'paper' && paperSize) {
+        return { x: 0, y: -paperSize.height, width: paperSize.width, height: paperSize.height };
+    }
+
+    const items = area === 'selection'
+        ? app.selection.getSelection()
+        : [...app.shapes, ...app.components];
+
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+    for (const item of items) {
+        const b = item.getBounds?.();
+        if (!b) continue;
+        minX = Math.min(minX, b.minX);
+        minY = Math.min(minY, b.minY);
+        maxX = Math.max(maxX, b.maxX);
+        maxY = Math.max(maxY, b.maxY);
+    }
+    if (!Number.isFinite(minX)) return null;
+
+    return {
+        x: minX - margin,
+        y: minY - margin,
+        width: maxX - minX + margin * 2,
+        height: maxY - minY + margin * 2
+    };
+}
+
+/**
+ * Save the schematic as a standalone SVG
+ * @param {object} [options]
+ * @param {'paper'|'content'|'selection'} [options.area='paper']
+ * @param {boolean} [options.monochrome=false]
+ * @param {boolean} [options.inlineStyles=true] - Off leaves class names for the page's own CSS to style
+ */
+export async function saveSvg(app, options = {}) {
+    const { area = 'paper', monochrome = false, inlineStyles = true } = options;
+    const bounds = getExportBounds(app, area);
+    if (!bounds) {
+        alert(emptyAreaMessage(area));
+        return;
+    }
+
+    await withoutSelection(app, async () => {
+        try {
+            // Colour keeps the theme's canvas colour so light strokes stay visible
+            const background = monochrome ? '#ffffff' : getThemeBackground();
+            const { svgNode } = cloneViewportSvgForExport(app, {
+                bounds, monochrome, inlineStyles, background, showPaper: area === 'paper'
+            });
+
+            // World units are millimetres; give the file its real size
+            svgNode.setAttribute('width', `${bounds.width}mm`);
+            svgNode.setAttribute('height', `${bounds.height}mm`);
+
+            const svgText = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svgNode);
+            const blob = new Blob([svgText], { type: 'image/svg+xml' });
+            await saveBlobAsFile(blob, exportName(app, '.svg'), 'image/svg+xml', ['.svg'], 'SVG image');
+        } catch (err) {
+            alert('Failed to save SVG: ' + (err?.message || 'Unknown error'));
+        }
+    });
+}
+
+/**
+ * Save the schematic as a PNG or JPEG
+ * @param {object} [options]
+ * @param {'png'|'jpeg'} [options.format='png']
+ * @param {number} [options.dpi=300]
+ * @param {'paper'|'content'|'selection'} [options.area='paper']
+ * @param {'opaque'|'transparent'} [options.background='opaque'] - Opaque is white, or the dark canvas
+ *   colour with the dark theme; JPEG is always opaque
+ * @param {boolean} [options.darkTheme=false] - Dark theme colours on the dark canvas colour
+ */
+export async function saveRaster(app, options = {}) {
+    const { format = 'png', dpi = 300, area = 'paper', background = 'opaque', darkTheme = false } = options;
+    const bounds = getExportBounds(app, area);
+    if (!bounds) {
+        alert(emptyAreaMessage(area));
+        return;
+    }
+
+    const scale = dpi / MM_PER_INCH;
+    const width = Math.max(1, Math.round(bounds.width * scale));
+    const height = Math.max(1, Math.round(bounds.height * scale));
+    const jpeg = format === 'jpeg';
+    if (jpeg && (width > MAX_CANVAS_SIDE || height > MAX_CANVAS_SIDE || width * height > MAX_CANVAS_PIXELS)) {
+        alert(`${width} × ${height} pixels is too large for JPEG. Use PNG or a lower DPI.`);
+        return;
+    }
+
+    await withoutSelection(app, async () => {
+        try {
+            const svgNode = withTheme(darkTheme ? 'dark' : 'light', () => {
+                const fill = background === 'transparent' && !jpeg
+                    ? null
+                    : (darkTheme ? getThemeBackground() : '#ffffff');
+                return cloneViewportSvgForExport(app, {
+                    bounds, monochrome: false, inlineStyles: true, background: fill, showPaper: area === 'paper'
+                }).svgNode;
+            });
+
+            let blob;
+            if (jpeg) {
+                const canvas = await drawSvgToCanvas(svgNode, bounds, width, height);
+                blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+                if (!blob) throw new Error('The browser could not encode the image');
+            } else {
+                blob = await encodePng(width, height,
+                    (y, rows) => renderStrip(svgNode, bounds, scale, width, y, rows),
+                    { stripHeight: STRIP_HEIGHT, dpi });
+            }
+
+            const extension = jpeg ? '.jpg' : '.png';
+            const mimeType = jpeg ? 'image/jpeg' : 'image/png';
+            await saveBlobAsFile(blob, exportName(app, extension), mimeType, [extension], jpeg ? 'JPEG image' : 'PNG image');
+        } catch (err) {
+            alert(`Failed to save ${jpeg ? 'JPEG' : 'PNG'}: ` + (err?.message || 'Unknown error'));
+        }
+    });
+}
+
+/**
+ * Render rows [y, y + rows) of the export at full width, a tile at a time
+ */
+async function renderStrip(svgNode, bounds, scale, width, y, rows) {
+    const strip = new Uint8ClampedArray(width * rows * 4);
+    for (let x = 0; x < width; x += TILE_WIDTH) {
+        const tileWidth = Math.min(TILE_WIDTH, width - x);
+        const tileBox = {
+            x: bounds.x + x / scale,
+            y: bounds.y + y / scale,
+            width: tileWidth / scale,
+            height: rows / scale
+        };
+        const canvas = await drawSvgToCanvas(svgNode, tileBox, tileWidth, rows);
+        const pixels = canvas.getContext('2d').getImageData(0, 0, tileWidth, rows).data;
+        for (let r = 0; r < rows; r++) {
+            strip.set(pixels.subarray(r * tileWidth * 4, (r + 1) * tileWidth * 4), (r * width + x) * 4);
+        }
+    }
+    return strip;
+}
+
+/**
+ * Draw one world area of an SVG onto a new canvas of the given pixel size
+ */
+function drawSvgToCanvas(svgNode, viewBox, width, height) {
+    svgNode.setAttribute('width', String(width));
+    svgNode.setAttribute('height', String(height));
+    svgNode.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`);
+    const svgData = new XMLSerializer().serializeToString(svgNode);
+    const url = URL.createObjectURL(new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' }));
+
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            resolve(canvas);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Failed to render SVG'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Run an export with the selection cleared so handles aren't drawn, then restore it
+ */
+async function withoutSelection(app, run) {
+    const previousSelection = app.selection.getSelection();
+    app.selection.clearSelection();
+    app.renderShapes(true);
+    try {
+        await run();
+    } finally {
+        app.selection.clearSelection();
+        for (const shape of previousSelection) {
+            app.selection.select(shape, true);
+        }
+        app.renderShapes(true);
+    }
+}
+
+/**
+ * Run with the page switched to a theme so computed styles use its colours.
+ * Nothing is painted in between, so the switch isn't visible.
+ */
+function withTheme(theme, run) {
+    const html = document.documentElement;
+    const previous = html.getAttribute('data-theme');
+    html.setAttribute('data-theme', theme);
+    try {
+        return run();
+    } finally {
+        if (previous === null) html.removeAttribute('data-theme');
+        else html.setAttribute('data-theme', previous);
+    }
+}
+
+function getThemeBackground() {
+    return getComputedStyle(document.documentElement).getPropertyValue('--sch-background').trim() || '#ffffff';
+}
+
+function exportName(app, extension) {
+    return (app.fileManager?.fileName || 'schematic').replace(/\.[^/.]+$/, '') + extension;
+}
+
+function emptyAreaMessage(area) {
+    return area === 'selection'
+        ? 'Select the part of the schematic to export first.'
+        : 'There is nothing on the sheet to export.';
+}
+
 export function forceMonochromeSvg(svgRoot) {
     const nodes = svgRoot.querySelectorAll('*');
     nodes.forEach((el) => {
@@ -343,12 +607,12 @@ export function inlineSvgComputedStyles(originalSvg, clonedSvg) {
     }
 }
 
-export async function saveBlobAsFile(blob, suggestedName, mimeType, extensions) {
+export async function saveBlobAsFile(blob, suggestedName, mimeType, extensions, description = 'PDF') {
     if ('showSaveFilePicker' in window) {
         try {
             const handle = await window.showSaveFilePicker({
                 suggestedName,
-                types: [{ description: 'PDF', accept: { [mimeType]: extensions } }]
+                types: [{ description, accept: { [mimeType]: extensions } }]
             });
             const writable = await handle.createWritable();
             await writable.write(blob);
@@ -371,48 +635,25 @@ export async function saveBlobAsFile(blob, suggestedName, mimeType, extensions)
 }
 
 export function renderViewportToCanvas(app, scale = 2) {
-    return new Promise((resolve, reject) => {
-        try {
-            const svgNode = app.viewport.svg.cloneNode(true);
-            const vb = app.viewport.viewBox;
-
-            const width = Math.max(1, Math.round(app.viewport.width * scale));
-            const height = Math.max(1, Math.round(app.viewport.height * scale));
-
-            svgNode.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-            svgNode.setAttribute('width', String(width));
-            svgNode.setAttribute('height', String(height));
-            svgNode.setAttribute('viewBox', `${vb.x} ${vb.y} ${vb.width} ${vb.height}`);
-
-            const bgRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            bgRect.setAttribute('x', String(vb.x));
-            bgRect.setAttribute('y', String(vb.y));
-            bgRect.setAttribute('width', String(vb.width));
-            bgRect.setAttribute('height', String(vb.height));
-            bgRect.setAttribute('fill', '#ffffff');
-            svgNode.insertBefore(bgRect, svgNode.firstChild);
-
-            const svgData = new XMLSerializer().serializeToString(svgNode);
-            const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-            const url = URL.createObjectURL(svgBlob);
-
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                canvas.width = width;
-                canvas.height = height;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
-                URL.revokeObjectURL(url);
-                resolve(canvas);
-            };
-            img.onerror = () => {
-                URL.revokeObjectURL(url);
-                reject(new Error('Failed to render SVG'));
-            };
-            img.src = url;
-        } catch (err) {
-            reject(err);
-        }
-    });
+    try {
+        const svgNode = app.viewport.svg.cloneNode(true);
+        const vb = app.viewport.viewBox;
+
+        const width = Math.max(1, Math.round(app.viewport.width * scale));
+        const height = Math.max(1, Math.round(app.viewport.height * scale));
+
+        svgNode.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+
+        const bgRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        bgRect.setAttribute('x', String(vb.x));
+        bgRect.setAttribute('y', String(vb.y));
+        bgRect.setAttribute('width', String(vb.width));
+        bgRect.setAttribute('height', String(vb.height));
+        bgRect.setAttribute('fill', '#ffffff');
+        svgNode.insertBefore(bgRect, svgNode.firstChild);
+
+        return drawSvgToCanvas(svgNode, vb, width, height);
+    } catch (err) {
+        return Promise.reject(err);
+    }
 }
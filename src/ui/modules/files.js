@@ -1,7 +1,16 @@
-import { updateIdCounter } from '../../shapes/index.js';
+import { updateIdCounter, Junction } from '../../shapes/index.js';
 import { Component } from '../../components/index.js';
+import { ConnectivityManager } from '../../core/ConnectivityManager.js';
+import { serializeHierarchy, resetHierarchy, getSheetPath, allocateInstanceReferences } from './hierarchy.js';
+import { createErcSettings } from './erc.js';
 
 export function serializeDocument(app) {
+    app._updateJunctions();
+
+    // Always save from the root sheet, whichever sheet is open
+    const { root, sheets, sheetInstances } = serializeHierarchy(app);
+    const junctions = app.sheetStack.length ? rootJunctions(app, root) : app.junctions.map(j => j.toJSON());
+
     return {
         version: '1.1',
         type: 'clearpcb-schematic',
@@ -10,12 +19,54 @@ export function serializeDocument(app) {
             gridSize: app.viewport.gridSize,
             units: app.viewport.units
         },
-        shapes: app.shapes.map(s => s.toJSON()),
-        components: app.components.map(c => c.toJSON())
+        shapes: root.shapes,
+        components: root.components,
+        junctions,
+        sheets,
+        sheetInstances,
+        erc: app.ercSettings
     };
 }
 
+/**
+ * The root sheet's junctions while a child sheet is open, worked out
+ * from its saved content. Load derives them again from the wires.
+ */
+function rootJunctions(app, root) {
+    const shapes = root.shapes.map(d => app._createShapeFromData(d)).filter(Boolean);
+    const components = root.components.map(d => app._createComponentFromData(d)).filter(Boolean);
+    const connectivity = new ConnectivityManager();
+    connectivity.setItems(shapes, components);
+    return connectivity.getJunctionPoints().map(p => new Junction({ x: p.x, y: p.y }).toJSON());
+}
+
 export function loadDocument(app, data) {
+    resetHierarchy(app);
+    if (data.sheets && typeof data.sheets === 'object') {
+        app.sheetDocs = { ...data.sheets };
+    }
+    if (data.sheetInstances && typeof data.sheetInstances === 'object') {
+        app.sheetInstances = { ...data.sheetInstances };
+    }
+    app.ercSettings = createErcSettings(data.erc);
+
+    loadContent(app, data);
+    allocateInstanceReferences(app);
+
+    if (data.settings) {
+        if (data.settings.gridSize) {
+            app.viewport.setGridSize(data.settings.gridSize);
+            if (app.ui.gridSize) {
+                app.ui.gridSize.value = data.settings.gridSize;
+            }
+        }
+    }
+}
+
+/**
+ * Replace the canvas contents with one sheet's shapes and components
+ */
+export function loadContent(app, data) {
     app._clearAllShapes();
     app._clearAllComponents();
 
@@ -45,16 +96,9 @@ export function loadDocument(app, data) {
         }
     }
 
-    if (data.settings) {
-        if (data.settings.gridSize) {
-            app.viewport.setGridSize(data.settings.gridSize);
-            if (app.ui.gridSize) {
-                app.ui.gridSize.value = data.settings.gridSize;
-            }
-        }
-    }
-
     app._updateSelectableItems();
+    // Junctions are derived from the loaded wires rather than read back
+    app._updateJunctions();
     app.renderShapes(true);
 }
 
@@ -103,14 +147,47 @@ export function createComponentFromData(app, data) {
     });
 }
 
+/**
+ * Show a document converted from another program. It has no file of
+ * its own yet, so it opens unsaved under the source file's name.
+ */
+export function loadImportedDocument(app, data, sourceName) {
+    app._loadDocument(data);
+    app.fileManager.fileHandle = null;
+    app.fileManager.setFileName(sourceName.replace(/\.[^/.]+$/, '') + '.json');
+    app.fileManager.setFilePath(null);
+    app.fileManager.setDirty(true);
+    app._updateTitle();
+    app._fitToContent();
+}
+
+/**
+ * Let the user choose local files
+ * @param {string} accept - File input accept list, e.g. '.kicad_sch'
+ * @returns {Promise<Array<File>>} Empty when cancelled
+ */
+export function pickFiles(accept, { multiple = false } = {}) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.multiple = multiple;
+        input.onchange = () => resolve([...(input.files || [])]);
+        input.oncancel = () => resolve([]);
+        input.click();
+    });
+}
+
 export function updateTitle(app) {
     const dirty = app.fileManager.isDirty ? '•' : '';
     // Format: ClearPCB (•mike.json) or ClearPCB (mike.json)
-    const title = `ClearPCB (${dirty}${app.fileManager.fileName})`;
+    // Inside a child sheet the path follows the file name: mike.json/Motor1/
+    const sheetPath = app.sheetStack?.length ? getSheetPath(app) : '';
+    const title = `ClearPCB (${dirty}${app.fileManager.fileName}${sheetPath})`;
     document.title = title;
 
     if (app.ui.docTitle) {
-        app.ui.docTitle.textContent = `${dirty}${app.fileManager.fileName}`;
+        app.ui.docTitle.textContent = `${dirty}${app.fileManager.fileName}${sheetPath}`;
         app.ui.docTitle.title = app.fileManager.filePath || app.fileManager.fileName;
     }
 }
@@ -176,6 +253,8 @@ export async function newFile(app) {
 
     app._clearAllShapes();
     app._clearAllComponents();
+    resetHierarchy(app);
+    app.ercSettings = createErcSettings();
     app.fileManager.newDocument();
     app.viewport.resetView();
     app._updateTitle();
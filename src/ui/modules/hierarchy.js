@@ -0,0 +1,467 @@
+import { ConnectivityManager, makeAutoNamesUnique, naturalCompare } from '../../core/ConnectivityManager.js';
+import { expandBusName } from '../../core/busNames.js';
+import { Events } from '../../core/EventBus.js';
+import { Sheet } from '../../shapes/index.js';
+import { loadContent } from './files.js';
+
+/**
+ * Hierarchical sheets
+ *
+ * The document is a root sheet plus child schematics stored by file name
+ * in app.sheetDocs. app.sheetStack records the sheets entered from the root
+ * down to the one on the canvas. Components in a child get one reference
+ * per sheet instance, kept in app.sheetInstances keyed by instance path
+ * (e.g. "/shape_12/shape_40/").
+ */
+
+export function resetHierarchy(app) {
+    app.sheetDocs = {};
+    app.sheetStack = [];
+    app.sheetInstances = {};
+    app.eventBus.emit(Events.SHEET_CHANGED, getSheetPath(app));
+}
+
+/**
+ * Instance path of the sheet on the canvas ("/" for the root)
+ */
+export function getInstancePath(app) {
+    return '/' + app.sheetStack.map(entry => `${entry.sheetId}/`).join('');
+}
+
+/**
+ * Human-readable path of the sheet on the canvas, e.g. "/Motor1/"
+ */
+export function getSheetPath(app) {
+    return '/' + app.sheetStack.map(entry => `${entry.sheetName}/`).join('');
+}
+
+export function captureSheetContent(app) {
+    return {
+        shapes: app.shapes.map(s => s.toJSON()),
+        components: app.components.map(c => c.toJSON())
+    };
+}
+
+/**
+ * Serialize the whole hierarchy, whichever sheet is on the canvas
+ * @returns {{root: object, sheets: object, sheetInstances: object}}
+ */
+export function serializeHierarchy(app) {
+    const current = captureSheetContent(app);
+    const sheets = { ...app.sheetDocs };
+    const stack = app.sheetStack;
+
+    if (stack.length === 0) {
+        return { root: current, sheets, sheetInstances: { ...app.sheetInstances } };
+    }
+
+    // Each stack entry holds its parent's content as it was when entered
+    for (let i = 1; i < stack.length; i++) {
+        sheets[stack[i - 1].fileName] = stack[i].parentContent;
+    }
+    sheets[stack[stack.length - 1].fileName] = current;
+
+    const sheetInstances = { ...app.sheetInstances };
+    sheetInstances[getInstancePath(app)] = collectInstanceReferences(app);
+
+    return { root: stack[0].parentContent, sheets, sheetInstances };
+}
+
+function collectInstanceReferences(app) {
+    const refs = {};
+    for (const comp of app.components) {
+        refs[comp.id] = comp.reference;
+    }
+    return refs;
+}
+
+/**
+ * Every reference used anywhere in the design
+ */
+export function collectUsedReferences(app) {
+    const used = new Set();
+    const root = app.sheetStack.length ? app.sheetStack[0].parentContent : null;
+    for (const comp of root ? root.components : app.components) {
+        used.add(comp.reference);
+    }
+    for (const refs of Object.values(app.sheetInstances)) {
+        for (const ref of Object.values(refs)) used.add(ref);
+    }
+    for (const comp of app.components) {
+        used.add(comp.reference);
+    }
+    return used;
+}
+
+/**
+ * Fill in refs (component id → reference) for components that have none,
+ * keeping a component's own reference while nothing else uses it
+ */
+function allocateReferences(components, refs, used) {
+    for (const ref of Object.values(refs)) used.add(ref);
+    for (const comp of components) {
+        if (refs[comp.id]) continue;
+        if (comp.reference && !comp.reference.endsWith('?') && !used.has(comp.reference)) {
+            refs[comp.id] = comp.reference;
+            used.add(comp.reference);
+            continue;
+        }
+        const prefix = (comp.reference || 'U?').replace(/[0-9?]+$/, '');
+        let num = 1;
+        while (used.has(`${prefix}${num}`)) num++;
+        refs[comp.id] = `${prefix}${num}`;
+        used.add(refs[comp.id]);
+    }
+}
+
+/**
+ * Give every component in every sheet instance a reference, including
+ * instances never opened and parts added after another instance was visited
+ */
+export function allocateInstanceReferences(app) {
+    const { root, sheets, sheetInstances } = serializeHierarchy(app);
+    const used = new Set(root.components.map(c => c.reference));
+    for (const refs of Object.values(sheetInstances)) {
+        for (const ref of Object.values(refs)) used.add(ref);
+    }
+
+    const walk = (content, path, ancestors) => {
+        for (const data of content.shapes || []) {
+            if (data.type !== 'sheet') continue;
+            const child = sheets[data.fileName];
+            if (!child || ancestors.includes(data.fileName)) continue;
+            const childPath = `${path}${data.id}/`;
+            const refs = { ...sheetInstances[childPath] };
+            allocateReferences(child.components || [], refs, used);
+            app.sheetInstances[childPath] = refs;
+            walk(child, childPath, [...ancestors, data.fileName]);
+        }
+    };
+    walk(root, '/', []);
+
+    if (app.sheetStack.length) {
+        applyInstanceReferences(app);
+    }
+}
+
+/**
+ * Give every component on the canvas the reference for the current
+ * sheet instance, allocating any that are missing
+ */
+function applyInstanceReferences(app) {
+    const path = getInstancePath(app);
+    const refs = app.sheetInstances[path] || {};
+    const used = new Set();
+    for (const [instancePath, map] of Object.entries(app.sheetInstances)) {
+        if (instancePath === path) continue;
+        for (const ref of Object.values(map)) used.add(ref);
+    }
+    const root = app.sheetStack[0]?.parentContent;
+    for (const comp of root?.components || []) used.add(comp.reference);
+
+    allocateReferences(app.components, refs, used);
+    for (const comp of app.components) {
+        comp.reference = refs[comp.id];
+    }
+
+    app.sheetInstances[path] = refs;
+    app._updateComponentColors();
+}
+
+/**
+ * Open a sheet symbol's child schematic on the canvas
+ */
+export function enterSheet(app, sheet) {
+    if (!sheet || sheet.type !== 'sheet') return;
+    if (app.sheetStack.some(entry => entry.fileName === sheet.fileName)) {
+        alert(`Sheet "${sheet.fileName}" cannot contain itself.`);
+        return;
+    }
+
+    app.selection.clearSelection();
+    allocateInstanceReferences(app);
+    const parentContent = captureSheetContent(app);
+    app.sheetStack.push({
+        sheetId: sheet.id,
+        sheetName: sheet.sheetName,
+        fileName: sheet.fileName,
+        parentContent
+    });
+
+    loadContent(app, app.sheetDocs[sheet.fileName] || { shapes: [], components: [] });
+    applyInstanceReferences(app);
+    onSheetChanged(app);
+}
+
+/**
+ * Return to the parent sheet, updating the parent's sheet pins from
+ * the child's hierarchical labels
+ */
+export function exitSheet(app) {
+    if (app.sheetStack.length === 0) return;
+
+    app.selection.clearSelection();
+    const entry = app.sheetStack[app.sheetStack.length - 1];
+    app.sheetInstances[getInstancePath(app)] = collectInstanceReferences(app);
+    const childContent = captureSheetContent(app);
+    app.sheetDocs[entry.fileName] = childContent;
+    app.sheetStack.pop();
+
+    loadContent(app, entry.parentContent);
+
+    for (const shape of app.shapes) {
+        if (shape.type === 'sheet' && shape.fileName === entry.fileName) {
+            syncSheetPins(app, shape, childContent);
+        }
+    }
+    onSheetChanged(app);
+}
+
+function onSheetChanged(app) {
+    app.fileManager.setDirty(true);
+    app._updateTitle();
+    if (app.shapes.length || app.components.length) {
+        app._fitToContent();
+    } else {
+        app.viewport.resetView();
+    }
+    app.eventBus.emit(Events.SHEET_CHANGED, getSheetPath(app));
+}
+
+/**
+ * Names of the hierarchical labels in a sheet's content
+ */
+function getHierarchicalLabelNames(content) {
+    const names = new Set();
+    for (const data of content?.shapes || []) {
+        if (data.type === 'netLabel' && data.labelType === 'hierarchical' && data.text) {
+            names.add(data.text);
+        }
+    }
+    return [...names].sort(naturalCompare);
+}
+
+/**
+ * Match a sheet's pins to the child's hierarchical labels: keep existing
+ * pins where they are, add new ones on the left edge, drop stale ones
+ */
+export function syncSheetPins(app, sheet, content) {
+    const names = getHierarchicalLabelNames(content);
+    const before = sheet.pins.map(p => p.name).join('\n');
+
+    sheet.pins = sheet.pins.filter(p => names.includes(p.name));
+    for (const name of names) {
+        if (sheet.pins.some(p => p.name === name)) continue;
+        const offset = sheet.nextPinOffset('left');
+        sheet.pins.push({ name, side: 'left', offset, type: 'passive' });
+        sheet.height = Math.max(sheet.height, offset + 2.54);
+    }
+
+    if (sheet.pins.map(p => p.name).join('\n') !== before) {
+        sheet.invalidate();
+        app.connectivity.invalidate(sheet);
+        app.renderShapes(true);
+    }
+}
+
+/**
+ * Create a sheet symbol from a drawn box, asking for its name and child file
+ */
+export function createSheetFromBox(app, x, y, width, height) {
+    const count = app.shapes.filter(s => s.type === 'sheet').length + 1;
+    const sheetName = prompt('Sheet name:', `Sheet${count}`);
+    if (!sheetName || !sheetName.trim()) return null;
+
+    const existing = Object.keys(app.sheetDocs);
+    const hint = existing.length ? ` (existing: ${existing.join(', ')})` : '';
+    const fileName = prompt(`Child schematic${hint}:`, `${sheetName.trim()}.sch`);
+    if (!fileName || !fileName.trim()) return null;
+
+    const sheet = new Sheet({
+        x,
+        y,
+        width,
+        height,
+        sheetName: sheetName.trim(),
+        fileName: fileName.trim()
+    });
+    const content = app.sheetDocs[sheet.fileName];
+    if (content) {
+        syncSheetPins(app, sheet, content);
+    }
+    return sheet;
+}
+
+/**
+ * Every placed part with its per-instance reference, read from the saved
+ * sheets without working out connectivity
+ * @returns {Array<{component: object, reference: string, sheetPath: string}>}
+ */
+export function collectDesignParts(app) {
+    allocateInstanceReferences(app);
+    const { root, sheets, sheetInstances } = serializeHierarchy(app);
+    const parts = [];
+
+    const walk = (content, path, sheetPath, ancestors) => {
+        const refs = sheetInstances[path] || {};
+        for (const data of content.components || []) {
+            const definition = app.componentLibrary.getDefinition(data.definitionName) || data.definition || { name: data.definitionName };
+            parts.push({
+                component: { definition, value: data.value, properties: data.properties || {}, isPower: !!definition.power },
+                reference: path === '/' ? data.reference : (refs[data.id] || data.reference),
+                sheetPath
+            });
+        }
+        for (const data of content.shapes || []) {
+            if (data.type !== 'sheet') continue;
+            const child = sheets[data.fileName];
+            if (!child || ancestors.includes(data.fileName)) continue;
+            walk(child, `${path}${data.id}/`, `${sheetPath}${data.sheetName}/`, [...ancestors, data.fileName]);
+        }
+    };
+    walk(root, '/', '/', []);
+
+    parts.sort((a, b) => naturalCompare(a.reference, b.reference));
+    return parts;
+}
+
+// ==================== Design Flattening ====================
+
+/**
+ * Flatten the hierarchy into one netlist with per-instance references.
+ * Local net names get the sheet path as a prefix; power nets stay global.
+ * @returns {{components: Array<object>, nets: Array<object>}}
+ */
+export function flattenDesign(app) {
+    allocateInstanceReferences(app);
+    const { root, sheets, sheetInstances } = serializeHierarchy(app);
+    const cache = new Map();
+    const parent = new Map();
+    const find = (n) => {
+        if (!parent.has(n)) parent.set(n, n);
+        while (parent.get(n) !== n) {
+            parent.set(n, parent.get(parent.get(n)));
+            n = parent.get(n);
+        }
+        return n;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+
+    const components = [];
+    const instanceNets = [];
+
+    const build = (content, key) => {
+        if (!cache.has(key)) {
+            const shapes = (content.shapes || []).map(d => app._createShapeFromData(d)).filter(Boolean);
+            const comps = (content.components || []).map(d => app._createComponentFromData(d)).filter(Boolean);
+            const cm = new ConnectivityManager();
+            cm.setItems(shapes, comps);
+            cache.set(key, { shapes, comps, nets: cm.getNets(), buses: cm.getBuses() });
+        }
+        return cache.get(key);
+    };
+
+    const walk = (content, key, path, sheetPath, ancestors) => {
+        const { shapes, comps, nets, buses } = build(content, key);
+        const refs = sheetInstances[path] || {};
+
+        for (const comp of comps) {
+            components.push({
+                component: comp,
+                reference: path === '/' ? comp.reference : (refs[comp.id] || comp.reference),
+                sheetPath
+            });
+        }
+
+        for (const net of nets) {
+            const node = `${path}#${net.code}`;
+            find(node);
+            instanceNets.push({ node, net, path, sheetPath, refs });
+            if (net.global) union(node, `g:${net.name}`);
+            for (const label of net.hierarchicalLabels) {
+                union(node, `h:${path}:${label}`);
+            }
+            for (const pin of net.sheetPins) {
+                union(node, `h:${path}${pin.sheetId}/:${pin.pinName}`);
+            }
+            for (const alias of net.aliases) {
+                union(node, `${path}|${alias}`);
+            }
+        }
+
+        // Bus ports cross the sheet boundary member by member, matched by position
+        for (const bus of buses) {
+            const ports = [
+                ...bus.hierarchicalLabels.map(name => ({ name, key: `h:${path}:${name}` })),
+                ...bus.sheetPins.map(pin => ({ name: pin.pinName, key: `h:${path}${pin.sheetId}/:${pin.pinName}` }))
+            ];
+            for (const port of ports) {
+                (expandBusName(port.name) || []).forEach((member, i) => {
+                    union(`${port.key}#${i}`, `${path}|${member}`);
+                });
+            }
+        }
+
+        for (const sheet of shapes) {
+            if (sheet.type !== 'sheet') continue;
+            const child = sheets[sheet.fileName];
+            if (!child || ancestors.includes(sheet.fileName)) continue;
+            walk(child, sheet.fileName, `${path}${sheet.id}/`, `${sheetPath}${sheet.sheetName}/`, [...ancestors, sheet.fileName]);
+        }
+    };
+
+    walk(root, '/', '/', '/', []);
+
+    // Merge instance nets that the hierarchy joined
+    const groups = new Map();
+    for (const item of instanceNets) {
+        const rootNode = find(item.node);
+        if (!groups.has(rootNode)) groups.set(rootNode, []);
+        groups.get(rootNode).push(item);
+    }
+
+    const nets = [];
+    const autoNets = new Set();
+    for (const items of groups.values()) {
+        const pins = [];
+        let global = null;
+        let named = null;
+        for (const item of items) {
+            for (const pin of item.net.pins) {
+                pins.push({
+                    ...pin,
+                    reference: item.path === '/' ? pin.reference : (item.refs[pin.componentId] || pin.reference),
+                    sheetPath: item.sheetPath
+                });
+            }
+            if (item.net.global) global = global || item.net.name;
+            // Prefer the name given closest to the root
+            if (item.net.named && (!named || item.path.length < named.path.length)) {
+                named = item;
+            }
+        }
+        pins.sort((a, b) => naturalCompare(a.reference, b.reference) || naturalCompare(String(a.pinNumber), String(b.pinNumber)));
+
+        let name;
+        if (global) {
+            name = global;
+        } else if (named) {
+            name = named.path === '/' ? named.net.name : `${named.sheetPath}${named.net.name}`;
+        } else if (pins.length) {
+            const prefix = pins.length === 1 ? 'unconnected' : 'Net';
+            name = `${prefix}-(${pins[0].reference}-Pad${pins[0].pinNumber})`;
+        } else {
+            continue;
+        }
+        const net = { name, global: !!global, pins };
+        if (!global && !named) autoNets.add(net);
+        nets.push(net);
+    }
+    makeAutoNamesUnique(nets, autoNets);
+
+    nets.sort((a, b) => naturalCompare(a.name, b.name));
+    nets.forEach((net, i) => { net.code = i + 1; });
+
+    components.sort((a, b) => naturalCompare(a.reference, b.reference));
+    return { components, nets };
+}
@@ -0,0 +1,111 @@
+import { Events } from '../../core/EventBus.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Find the net under worldPos: a label names its net, otherwise the
+ * nearest pin or wire segment wins
+ */
+export function findNetAt(app, worldPos, tolerance = 1.0) {
+    const hit = app.selection.hitTest(worldPos);
+    if (hit?.type === 'netLabel') {
+        const net = app.connectivity.getNetForLabel(hit.id);
+        if (net) return net;
+    }
+    return app.connectivity.getNetAt(worldPos, tolerance);
+}
+
+/**
+ * Highlight the net under worldPos; clicking empty space clears the highlight
+ */
+export function highlightNetAt(app, worldPos) {
+    const net = findNetAt(app, worldPos);
+    app.eventBus.emit(Events.NET_HIGHLIGHTED, net ? net.name : null);
+    return net;
+}
+
+export function clearNetHighlight(app) {
+    if (app.highlightedNet === null) return false;
+    app.eventBus.emit(Events.NET_HIGHLIGHTED, null);
+    return true;
+}
+
+/**
+ * Draw the highlight for a net name (null clears it)
+ */
+export function renderNetHighlight(app, netName) {
+    if (app.netHighlightElement) {
+        app.viewport.removeContent(app.netHighlightElement);
+        app.netHighlightElement = null;
+    }
+
+    const net = netName ? app.connectivity.getNetByName(netName) : null;
+    app.highlightedNet = net ? net.name : null;
+    if (!net) return;
+
+    const g = document.createElementNS(SVG_NS, 'g');
+    g.setAttribute('class', 'net-highlight');
+    g.setAttribute('pointer-events', 'none');
+
+    const shapesById = new Map(app.shapes.map(s => [s.id, s]));
+
+    for (const id of [...net.wireIds, ...net.entryIds]) {
+        const shape = shapesById.get(id);
+        if (!shape) continue;
+        const line = document.createElementNS(SVG_NS, 'polyline');
+        line.setAttribute('points', shape.points.map(p => `${p.x},${p.y}`).join(' '));
+        line.setAttribute('class', 'net-highlight-wire');
+        g.appendChild(line);
+    }
+
+    for (const id of net.labelIds) {
+        const shape = shapesById.get(id);
+        if (shape) g.appendChild(createBoundsRect(shape.getBounds()));
+    }
+
+    // Power ports stand in for the net name, so outline them like labels
+    for (const id of net.powerIds) {
+        const component = app.components.find(c => c.id === id);
+        if (component) g.appendChild(createBoundsRect(component.getBounds()));
+    }
+
+    const pinPositions = net.pins.map(p => ({ x: p.x, y: p.y }));
+    for (const sheetPin of net.sheetPins) {
+        const sheet = shapesById.get(sheetPin.sheetId);
+        const pos = sheet?.getPinPosition(sheetPin.pinName);
+        if (pos) pinPositions.push(pos);
+    }
+    for (const pos of pinPositions) {
+        const dot = document.createElementNS(SVG_NS, 'circle');
+        dot.setAttribute('cx', pos.x);
+        dot.setAttribute('cy', pos.y);
+        dot.setAttribute('r', 0.6);
+        dot.setAttribute('class', 'net-highlight-pin');
+        g.appendChild(dot);
+    }
+
+    app.viewport.addContent(g);
+    app.netHighlightElement = g;
+}
+
+/**
+ * Redraw the highlight once per frame while the netlist changes
+ */
+export function scheduleNetHighlightUpdate(app) {
+    if (app.highlightedNet === null || app._netHighlightFrame) return;
+    app._netHighlightFrame = requestAnimationFrame(() => {
+        app._netHighlightFrame = null;
+        renderNetHighlight(app, app.highlightedNet);
+    });
+}
+
+function createBoundsRect(bounds) {
+    const pad = 0.3;
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('x', bounds.minX - pad);
+    rect.setAttribute('y', bounds.minY - pad);
+    rect.setAttribute('width', bounds.maxX - bounds.minX + pad * 2);
+    rect.setAttribute('height', bounds.maxY - bounds.minY + pad * 2);
+    rect.setAttribute('class', 'net-highlight-item');
+    return rect;
+}
@@ -7,8 +7,12 @@ export function handleEscape(app) {
         app._endTextEdit(false);
         return;
     }
+    if (app.routeStart) {
+        app._cancelWireRoute();
+        return;
+    }
     if (app.isDrawing) {
-        if (app.currentTool === 'wire') {
+        if (app._isWireTool()) {
             app._cancelWireDrawing();
         } else {
             app._cancelDrawing();
@@ -30,6 +34,9 @@ export function handleEscape(app) {
         app.boxSelectStart = null;
         return;
     }
+    if (app._clearNetHighlight()) {
+        return;
+    }
     if (app.currentTool !== 'select') {
         app._onToolSelected('select');
     } else {
@@ -0,0 +1,52 @@
+import { Junction } from '../../shapes/index.js';
+
+function junctionKey(p) {
+    return `${Math.round(p.x * 1000)},${Math.round(p.y * 1000)}`;
+}
+
+/**
+ * Bring junction dots in line with the connectivity engine.
+ * Existing dots that are still needed are kept; stale ones are removed.
+ */
+export function updateJunctions(app) {
+    if (app._junctionFrame) {
+        cancelAnimationFrame(app._junctionFrame);
+        app._junctionFrame = null;
+    }
+
+    const wanted = new Map();
+    for (const p of app.connectivity.getJunctionPoints()) {
+        wanted.set(junctionKey(p), p);
+    }
+
+    const kept = [];
+    for (const junction of app.junctions) {
+        const key = junctionKey(junction);
+        if (wanted.has(key)) {
+            wanted.delete(key);
+            kept.push(junction);
+        } else {
+            junction.destroy();
+        }
+    }
+
+    for (const p of wanted.values()) {
+        const junction = new Junction({ x: p.x, y: p.y });
+        junction.render(app.viewport.scale);
+        app.viewport.addContent(junction.element);
+        kept.push(junction);
+    }
+
+    app.junctions = kept;
+}
+
+/**
+ * Coalesce netlist changes into one junction update per frame
+ */
+export function scheduleJunctionUpdate(app) {
+    if (app._junctionFrame) return;
+    app._junctionFrame = requestAnimationFrame(() => {
+        app._junctionFrame = null;
+        updateJunctions(app);
+    });
+}
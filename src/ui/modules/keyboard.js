@@ -74,13 +74,18 @@ export function bindKeyboardShortcuts(app) {
                     app._handleEscape();
                     break;
                 case 'Enter':
-                    if (app.currentTool === 'wire' && app.isDrawing && app.wirePoints.length >= 2) {
+                    if (app._isWireTool() && app.isDrawing && app.wirePoints.length >= 2) {
                         app._finishWireDrawing(app.drawCurrent);
                         e.preventDefault();
                     }
                     break;
                 case 'Delete':
                 case 'Backspace':
+                    if (e.altKey) {
+                        app._exitSheet();
+                        e.preventDefault();
+                        break;
+                    }
                     app._deleteSelected();
                     break;
                 case 'v':
@@ -111,6 +116,30 @@ export function bindKeyboardShortcuts(app) {
                 case 'T':
                     app._onToolSelected('text');
                     break;
+                case 'n':
+                case 'N':
+                    app._onToolSelected('label');
+                    break;
+                case 'b':
+                case 'B':
+                    app._onToolSelected('bus');
+                    break;
+                case 'e':
+                case 'E':
+                    app._onToolSelected('busEntry');
+                    break;
+                case 'q':
+                case 'Q':
+                    app._onToolSelected('noconnect');
+                    break;
+                case 'h':
+                case 'H':
+                    app._onToolSelected('hlabel');
+                    break;
+                case 's':
+                case 'S':
+                    app._onToolSelected('sheet');
+                    break;
                 case 'i':
                 case 'I':
                     app._onToolSelected('component');
@@ -129,6 +158,9 @@ export function bindKeyboardShortcuts(app) {
                     if (app.placingComponent) {
                         app._mirrorComponent();
                         e.preventDefault();
+                    } else if (app.currentTool === 'busEntry') {
+                        app.busEntryFlip = !app.busEntryFlip;
+                        e.preventDefault();
                     }
                     break;
             }
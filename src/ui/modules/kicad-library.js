@@ -0,0 +1,89 @@
+import { KiCadLocalLibrary } from '../../components/KiCadLocalLibrary.js';
+import { pickFiles } from './files.js';
+
+/**
+ * Use a folder holding the KiCad library repositories (or any one of them)
+ * for KiCad symbols, footprints and 3D models
+ */
+export async function chooseKicadLibraryFolder(app) {
+    try {
+        const library = getLocalLibrary(app);
+        if ('showDirectoryPicker' in window) {
+            let handle;
+            try {
+                handle = await window.showDirectoryPicker();
+            } catch (err) {
+                if (err?.name === 'AbortError') return;
+                throw err;
+            }
+            await library.addDirectory(handle);
+        } else {
+            const files = await pickFolderFiles();
+            if (!files.length) return;
+            library.addFiles(files);
+        }
+        applyLocalLibrary(app, library);
+    } catch (err) {
+        alert('Failed to read KiCad library folder: ' + (err?.message || 'Unknown error'));
+    }
+}
+
+/**
+ * Use .zip downloads of the KiCad library repositories; pick several to
+ * get symbols, footprints and 3D models together
+ */
+export async function chooseKicadLibraryZip(app) {
+    const files = await pickFiles('.zip', { multiple: true });
+    if (!files.length) return;
+
+    try {
+        const library = getLocalLibrary(app);
+        for (const file of files) {
+            await library.addZip(file);
+        }
+        applyLocalLibrary(app, library);
+    } catch (err) {
+        alert('Failed to read KiCad library zip: ' + (err?.message || 'Unknown error'));
+    }
+}
+
+/**
+ * The local library in use, so a second pick adds to the first
+ */
+function getLocalLibrary(app) {
+    return app.componentLibrary.kicadFetcher.localLibrary || new KiCadLocalLibrary();
+}
+
+function applyLocalLibrary(app, library) {
+    if (library.isEmpty) {
+        alert('No KiCad symbol libraries, footprints or 3D models were found there.');
+        return;
+    }
+    app.componentLibrary.kicadFetcher.useLocalLibrary(library);
+
+    const symbolLibraries = new Set([...library.symbolFiles.keys(), ...library.symbolDirs.keys()]).size;
+    const kinds = [
+        [library.hasSymbols, `${symbolLibraries} symbol libraries`, 'symbols'],
+        [library.hasFootprints, `${library.footprints.size} footprints`, 'footprints'],
+        [library.hasModels, `${library.models.size} 3D models`, '3D models']
+    ];
+    const online = kinds.filter(([loaded]) => !loaded).map(([, , kind]) => kind);
+    alert(`KiCad parts now come from ${library.sources.join(', ')} until the page is reloaded:\n\n` +
+        kinds.filter(([loaded]) => loaded).map(([, count]) => `• ${count}`).join('\n') +
+        (online.length ? `\n\nNo ${online.join(' or ')} were found there, so those still come from GitLab.` : ''));
+}
+
+/**
+ * Every file under a folder, for browsers without showDirectoryPicker
+ * @returns {Promise<Array<File>>} Empty when cancelled
+ */
+function pickFolderFiles() {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.webkitdirectory = true;
+        input.onchange = () => resolve([...(input.files || [])]);
+        input.oncancel = () => resolve([]);
+        input.click();
+    });
+}
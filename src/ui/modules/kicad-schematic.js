@@ -0,0 +1,297 @@
+import { buildKicadSchematic, kicadUuid } from '../../core/kicadSchematic.js';
+import { parseKicadSchematic, toInstancePath } from '../../core/kicadSchematicImport.js';
+import { ImportReport } from '../../core/importReport.js';
+import { ConnectivityManager } from '../../core/ConnectivityManager.js';
+import { serializeHierarchy } from './hierarchy.js';
+import { saveBlobAsFile } from './export.js';
+import { exportFileName } from './netlist-export.js';
+import { loadImportedDocument, pickFiles } from './files.js';
+import { setPaper } from './paper.js';
+
+// Our paper names -> KiCad's (KiCad sizes are landscape unless marked portrait)
+const KICAD_PAPER = {
+    A4: 'A4', A3: 'A3', A2: 'A2', A1: 'A1', A0: 'A0',
+    Letter: 'USLetter', Legal: 'USLegal', Tabloid: 'USLedger'
+};
+
+// KiCad's paper names -> ours, where we have the same size
+const IMPORT_PAPER = {
+    A4: 'A4', A3: 'A3', A2: 'A2', A1: 'A1', A0: 'A0',
+    USLetter: 'Letter', A: 'Letter', USLegal: 'Legal', USLedger: 'Tabloid', B: 'Tabloid'
+};
+
+// Border around the drawing when there is no paper, in mm (on the 2.54 grid)
+const FREE_MARGIN = 25.4;
+
+/**
+ * The design as KiCad schematic files: the root first, then one file per
+ * child schematic, each used sheet listed once however many times it is placed
+ * @returns {Array<{fileName: string, text: string}>}
+ */
+export function buildKicadSchematicFiles(app) {
+    const { root, sheets, sheetInstances } = serializeHierarchy(app);
+    const project = exportFileName(app, '');
+    const fileNames = new Map([['/', `${project}.kicad_sch`]]);
+    const used = new Set(fileNames.values());
+    const files = new Map();
+
+    const fileFor = (key, content) => {
+        if (!files.has(key)) {
+            if (!fileNames.has(key)) {
+                const base = key.replace(/\.[^/.]+$/, '') || 'sheet';
+                let name = `${base}.kicad_sch`;
+                for (let i = 2; used.has(name); i++) name = `${base}_${i}.kicad_sch`;
+                used.add(name);
+                fileNames.set(key, name);
+            }
+            files.set(key, {
+                key,
+                content,
+                uuidFor: (id) => kicadUuid(`${project}:${key}:${id}`),
+                instances: [],
+                sheetInstances: new Map()
+            });
+        }
+        return files.get(key);
+    };
+
+    let page = 1;
+    const walk = (key, content, path, kicadPath, ancestors) => {
+        const file = fileFor(key, content);
+        file.instances.push({ path: kicadPath, refs: path === '/' ? {} : (sheetInstances[path] || {}) });
+
+        for (const sheet of content.shapes || []) {
+            if (sheet.type !== 'sheet') continue;
+            if (ancestors.includes(sheet.fileName)) continue;
+            // A sheet whose schematic was never opened is an empty file
+            const child = sheets[sheet.fileName] || { shapes: [], components: [] };
+            if (!file.sheetInstances.has(sheet.id)) file.sheetInstances.set(sheet.id, []);
+            file.sheetInstances.get(sheet.id).push({ path: kicadPath, page: String(++page) });
+            walk(sheet.fileName, child, `${path}${sheet.id}/`, `${kicadPath}/${file.uuidFor(sheet.id)}`,
+                [...ancestors, sheet.fileName]);
+        }
+    };
+    const rootUuid = kicadUuid(`${project}:/`);
+    walk('/', root, '/', `/${rootUuid}`, []);
+
+    return [...files.values()].map(file => {
+        const shapes = (file.content.shapes || []).map(d => app._createShapeFromData(d)).filter(Boolean);
+        const components = (file.content.components || []).map(d => app._createComponentFromData(d)).filter(Boolean);
+        const connectivity = new ConnectivityManager();
+        connectivity.setItems(shapes, components);
+
+        const text = buildKicadSchematic({ shapes, components, junctions: connectivity.getJunctionPoints() }, {
+            uuid: file.key === '/' ? rootUuid : file.uuidFor('sheet'),
+            uuidFor: file.uuidFor,
+            ...getPaperPlacement(app, shapes, components),
+            project,
+            title: project,
+            instances: file.instances,
+            describeSheet: (sheet) => ({
+                fileName: fileNames.get(sheet.fileName),
+                instances: file.sheetInstances.get(sheet.id) || []
+            }),
+            root: file.key === '/'
+        });
+        return { fileName: fileNames.get(file.key), text };
+    });
+}
+
+/**
+ * KiCad paper and the world point at its top-left corner. Without a paper
+ * the sheet is sized to the drawing with a margin all round.
+ */
+function getPaperPlacement(app, shapes, components) {
+    const paperSize = app.viewport?.paperSize;
+    if (paperSize) {
+        const name = KICAD_PAPER[app.viewport.paperSizeKey];
+        return {
+            paper: name ? { name, portrait: paperSize.height > paperSize.width } : paperSize,
+            origin: { x: 0, y: -paperSize.height }
+        };
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const item of [...shapes, ...components]) {
+        const bounds = item.getBounds();
+        if (!bounds) continue;
+        minX = Math.min(minX, bounds.minX);
+        minY = Math.min(minY, bounds.minY);
+        maxX = Math.max(maxX, bounds.maxX);
+        maxY = Math.max(maxY, bounds.maxY);
+    }
+    if (minX > maxX) return { paper: { name: 'A4' }, origin: { x: 0, y: 0 } };
+
+    // Keep the shift on the grid so parts stay snapped in KiCad
+    const snap = (v) => Math.floor(v / 2.54) * 2.54;
+    const origin = { x: snap(minX - FREE_MARGIN), y: snap(minY - FREE_MARGIN) };
+    return {
+        paper: {
+            width: Math.ceil(maxX - origin.x + FREE_MARGIN),
+            height: Math.ceil(maxY - origin.y + FREE_MARGIN)
+        },
+        origin
+    };
+}
+
+/**
+ * Save the design as KiCad schematics. A hierarchical design is several
+ * files that refer to each other by name, so they go into one folder
+ * where the browser allows it.
+ */
+export async function exportKicadSchematic(app) {
+    try {
+        const files = buildKicadSchematicFiles(app);
+
+        if (files.length > 1 && 'showDirectoryPicker' in window) {
+            let folder;
+            try {
+                folder = await window.showDirectoryPicker({ mode: 'readwrite' });
+            } catch (err) {
+                if (err?.name === 'AbortError') return;
+                throw err;
+            }
+            for (const file of files) {
+                const handle = await folder.getFileHandle(file.fileName, { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(file.text);
+                await writable.close();
+            }
+            return;
+        }
+
+        for (const file of files) {
+            const blob = new Blob([file.text], { type: 'text/plain' });
+            await saveBlobAsFile(blob, file.fileName, 'text/plain', ['.kicad_sch'], 'KiCad schematic');
+        }
+    } catch (err) {
+        alert('Failed to export KiCad schematic: ' + (err?.message || 'Unknown error'));
+    }
+}
+
+/**
+ * Turn KiCad schematic files into one document. The root is the file no
+ * other file uses as a sheet; child files become our sheets, keyed by
+ * file name like any other.
+ * @param {Array<{fileName: string, text: string}>} files
+ * @param {ImportReport} report
+ * @returns {{data: object, rootName: string, paper: object|null}} `data` is in saved-document form
+ */
+export function buildDocumentFromKicad(app, files, report) {
+    const library = app.componentLibrary;
+    const parsed = new Map();
+    for (const file of files) {
+        try {
+            parsed.set(file.fileName, parseKicadSchematic(file.text, {
+                fetcher: library.kicadFetcher,
+                getDefinition: (name) => library.getDefinition(name),
+                report
+            }));
+        } catch (err) {
+            throw new Error(`${file.fileName}: ${err.message}`);
+        }
+    }
+
+    const used = new Set([...parsed.values()].flatMap(p => p.childSheets));
+    const roots = [...parsed.keys()].filter(name => !used.has(name));
+    const rootName = roots[0] || files[0].fileName;
+    for (const name of roots.slice(1)) {
+        report.add(`${name} is not a sheet of ${rootName}, so it was left out`);
+    }
+    const root = parsed.get(rootName);
+
+    for (const sheet of parsed.values()) {
+        for (const def of sheet.definitions) library.addDefinition(def, 'KiCad');
+    }
+
+    // KiCad 6 keeps every sheet's references in the root file
+    const referencesOf = (component) => [
+        ...component.instances,
+        ...(root.symbolInstances.get(component.id.replace(/^component_/, '')) || [])
+    ];
+
+    const sheets = {};
+    const sheetInstances = {};
+    const contentOf = (fileName) => {
+        const sheet = parsed.get(fileName);
+        return {
+            shapes: sheet.shapes,
+            components: sheet.components.map(({ instances, ...component }) => component)
+        };
+    };
+
+    const rootContent = contentOf(rootName);
+    const placed = new Set();
+    const walk = (fileName, path, ancestors) => {
+        const content = fileName === rootName ? rootContent : sheets[fileName];
+        const refs = {};
+        for (const component of parsed.get(fileName)?.components || []) {
+            const instance = referencesOf(component).find(i => toInstancePath(i.path, root.uuid) === path);
+            refs[component.id] = instance?.reference || component.reference;
+        }
+        // The saved reference is the first placement's; every placement's is in sheetInstances
+        if (!placed.has(fileName)) {
+            placed.add(fileName);
+            for (const component of content.components) component.reference = refs[component.id];
+        }
+        if (path !== '/') sheetInstances[path] = refs;
+
+        for (const shape of content.shapes) {
+            if (shape.type !== 'sheet' || ancestors.includes(shape.fileName)) continue;
+            if (!(shape.fileName in sheets)) {
+                if (!parsed.has(shape.fileName)) {
+                    report.add(`${shape.fileName} was not selected, so sheet "${shape.sheetName}" is empty`);
+                }
+                sheets[shape.fileName] = parsed.has(shape.fileName) ? contentOf(shape.fileName) : { shapes: [], components: [] };
+            }
+            walk(shape.fileName, `${path}${shape.id}/`, [...ancestors, shape.fileName]);
+        }
+    };
+    walk(rootName, '/', [rootName]);
+
+    return {
+        data: {
+            version: '1.1',
+            type: 'clearpcb-schematic',
+            shapes: rootContent.shapes,
+            components: rootContent.components,
+            sheets,
+            sheetInstances
+        },
+        rootName,
+        paper: root.paper
+    };
+}
+
+/**
+ * Open KiCad schematic files as a new document. Pick the root file and,
+ * for a hierarchical design, its sheet files with it.
+ */
+export async function importKicadSchematic(app) {
+    if (app.fileManager.isDirty) {
+        if (!confirm('You have unsaved changes. Import a KiCad schematic anyway?')) {
+            return;
+        }
+    }
+
+    const picked = await pickFiles('.kicad_sch', { multiple: true });
+    if (!picked.length) return;
+
+    try {
+        const files = await Promise.all(picked.map(async file => ({ fileName: file.name, text: await file.text() })));
+        const report = new ImportReport();
+        const { data, rootName, paper } = buildDocumentFromKicad(app, files, report);
+
+        const paperKey = IMPORT_PAPER[paper?.key];
+        if (paper && !paperKey) report.add(`KiCad paper size ${paper.key} has no match here, so the sheet has no paper`);
+        setPaper(app, paperKey || null, paper && paper.height > paper.width ? 'portrait' : 'landscape');
+        loadImportedDocument(app, data, rootName);
+
+        if (!report.isEmpty) {
+            alert(`Imported ${rootName}. Some things could not be carried over:\n\n` +
+                report.lines().map(line => `• ${line}`).join('\n'));
+        }
+    } catch (err) {
+        alert('Failed to import KiCad schematic: ' + (err?.message || 'Unknown error'));
+    }
+}
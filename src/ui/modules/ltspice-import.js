@@ -0,0 +1,43 @@
+import { parseLtspiceSchematic, decodeLtspiceFile } from '../../core/ltspiceImport.js';
+import { ImportReport } from '../../core/importReport.js';
+import { loadImportedDocument, pickFiles } from './files.js';
+import { setPaper } from './paper.js';
+
+/**
+ * Open an LTspice schematic (.asc) as a new document
+ */
+export async function importLtspice(app) {
+    if (app.fileManager.isDirty) {
+        if (!confirm('You have unsaved changes. Import an LTspice schematic anyway?')) {
+            return;
+        }
+    }
+
+    const [file] = await pickFiles('.asc');
+    if (!file) return;
+
+    try {
+        const report = new ImportReport();
+        const { shapes, components, gridSize } = parseLtspiceSchematic(decodeLtspiceFile(await file.arrayBuffer()), {
+            getDefinition: (name) => app.componentLibrary.getDefinition(name),
+            report
+        });
+
+        // LTspice has no paper
+        setPaper(app, null);
+        loadImportedDocument(app, {
+            version: '1.1',
+            type: 'clearpcb-schematic',
+            shapes,
+            components,
+            settings: { gridSize }
+        }, file.name);
+
+        if (!report.isEmpty) {
+            alert(`Imported ${file.name}. Some things could not be carried over:\n\n` +
+                report.lines().map(line => `• ${line}`).join('\n'));
+        }
+    } catch (err) {
+        alert('Failed to import LTspice schematic: ' + (err?.message || 'Unknown error'));
+    }
+}
@@ -1,4 +1,5 @@
-import { MoveShapesCommand, ModifyShapeCommand } from '../../core/CommandHistory.js';
+import { MoveShapesCommand, ModifyShapeCommand, CompositeCommand } from '../../core/CommandHistory.js';
+import { beginRubberBand, updateRubberBand, finishRubberBand } from './rubberband.js';
 
 export function bindMouseEvents(app) {
     const svg = app.viewport.svg;
@@ -34,6 +35,14 @@ export function bindMouseEvents(app) {
             return;
         }
 
+        // Alt+Click: highlight the whole net under the cursor
+        if (e.altKey && !app.isDrawing) {
+            app._highlightNetAt(worldPos);
+            app.skipClickSelection = true;
+            e.preventDefault();
+            return;
+        }
+
         if (app.currentTool === 'select') {
             const selectedShapes = app.selection.getSelection();
             for (const shape of selectedShapes) {
@@ -126,6 +135,10 @@ export function bindMouseEvents(app) {
                 } else {
                     app.dragObjectStartPos = { ...snapped };
                 }
+                // Wires on the pins of moving components stretch along with them
+                const movingComponents = app._getSelectedComponents().filter(c => !c.locked);
+                app.dragRubberBand = movingComponents.length > 0 ? beginRubberBand(app, movingComponents) : null;
+
                 // Snap object's current position to current grid in case grid changed
                 const objectSnapped = app.viewport.getSnappedPosition(app.dragObjectStartPos);
                 // If object is off-grid, move it to grid before drag
@@ -140,6 +153,7 @@ export function bindMouseEvents(app) {
                         }
                     }
                     app.dragObjectStartPos = { ...objectSnapped };
+                    if (app.dragRubberBand) updateRubberBand(app, app.dragRubberBand);
                 }
                 // Initialize drag refs from the object's (now-snapped) position
                 app.dragStart = { ...objectSnapped };
@@ -159,7 +173,10 @@ export function bindMouseEvents(app) {
             app._createBoxSelectElement();
             e.preventDefault();
             return;
-        } else if (app.currentTool === 'wire') {
+        } else if (app._isWireRouting()) {
+            app._handleRouteClick(worldPos);
+            e.preventDefault();
+        } else if (app._isWireTool()) {
             if (!app.isDrawing) {
                 const snapPin = app._findNearbyPin(worldPos);
                 const startData = snapPin ?
@@ -196,6 +213,18 @@ export function bindMouseEvents(app) {
                 }
             }
             e.preventDefault();
+        } else if (app.currentTool === 'label') {
+            app._placeNetLabel(worldPos);
+            e.preventDefault();
+        } else if (app.currentTool === 'hlabel') {
+            app._placeNetLabel(worldPos, 'hierarchical');
+            e.preventDefault();
+        } else if (app.currentTool === 'busEntry') {
+            app._placeBusEntry(worldPos);
+            e.preventDefault();
+        } else if (app.currentTool === 'noconnect') {
+            app._placeNoConnect(worldPos);
+            e.preventDefault();
         } else if (app.currentTool === 'polygon') {
             if (!app.isDrawing) {
                 app._startDrawing(snapped);
@@ -217,7 +246,7 @@ export function bindMouseEvents(app) {
                 app._finishDrawing(worldPos);
                 app._setToolCursor(app.currentTool, app.viewport.svg);
             }
-        } else if (app.currentTool === 'line' || app.currentTool === 'rect' || app.currentTool === 'circle') {
+        } else if (['line', 'rect', 'circle', 'sheet'].includes(app.currentTool)) {
              if (!app.isDrawing) {
                  app._startDrawing(snapped);
              } else {
@@ -235,7 +264,7 @@ export function bindMouseEvents(app) {
 
     svg.addEventListener('mousedown', (e) => {
         if (e.button !== 2) return;
-        if (app.currentTool === 'wire' && app.isDrawing && app.wirePoints.length >= 2) {
+        if (app._isWireTool() && app.isDrawing && app.wirePoints.length >= 2) {
             const rect = svg.getBoundingClientRect();
             const screenPos = {
                 x: e.clientX - rect.left,
@@ -317,7 +346,7 @@ export function bindMouseEvents(app) {
             app._updateComponentPreview(snapped);
         }
 
-        if (app.currentTool === 'wire') {
+        if (app._isWireTool()) {
             const snapPin = app._findNearbyPin(worldPos);
             if (snapPin && snapPin !== app.wireSnapPin) {
                 if (app.wireSnapPin) {
@@ -329,7 +358,11 @@ export function bindMouseEvents(app) {
                 app._unhighlightPin();
             }
 
-            if (app.isDrawing) {
+            if (app._isWireRouting()) {
+                app._updateRoutePreview(worldPos);
+                app._showCrosshair();
+                app._updateCrosshair(snapped, screenPos);
+            } else if (app.isDrawing) {
                 app._updateWireDrawing(worldPos);
                 app._showCrosshair();
                 app._updateCrosshair(snapped, screenPos);
@@ -345,7 +378,7 @@ export function bindMouseEvents(app) {
             if (app.currentTool === 'arc') {
                 // For arc: first stage uses snapped, second stage (bulge) uses worldPos
                 app._updateDrawing(app.arcEndpoint ? worldPos : snapped);
-            } else if (['line', 'rect', 'circle', 'polygon'].includes(app.currentTool)) {
+            } else if (['line', 'rect', 'circle', 'polygon', 'sheet'].includes(app.currentTool)) {
                 // For other tools, use snapped position
                 app._updateDrawing(snapped);
             }
@@ -372,7 +405,7 @@ export function bindMouseEvents(app) {
                     app.dragAnchorId = anchorId;
                     app.dragShape = shape;
                     app.dragWireAnchorOriginal = null;
-                    if (shape.type === 'wire') {
+                    if (shape.type === 'wire' || shape.type === 'bus') {
                         const match = anchorId.match(/point(\d+)/);
                         const idx = match ? parseInt(match[1]) : null;
                         if (idx !== null && idx >= 0 && idx < shape.points.length) {
@@ -419,6 +452,7 @@ export function bindMouseEvents(app) {
                         shape.move(dx, dy);
                     }
                 }
+                if (app.dragRubberBand) updateRubberBand(app, app.dragRubberBand);
                 app.dragLastSnapped = { ...snappedTarget };
                 app.renderShapes(true);
                 if (app.textEdit) {
@@ -433,7 +467,7 @@ export function bindMouseEvents(app) {
             
             // For arc mid-anchor, use worldPos (not snapped). For everything else, use snapped.
             let anchorPos;
-            if (app.dragShape.type === 'wire') {
+            if (app.dragShape.type === 'wire' || app.dragShape.type === 'bus') {
                 anchorPos = app._getWireAnchorSnappedPosition(app.dragShape, app.dragAnchorId, worldPos);
             } else if (app.dragShape.type === 'arc' && app.dragAnchorId === 'mid') {
                 anchorPos = worldPos; // No snapping for arc mid-anchor
@@ -487,23 +521,34 @@ export function bindMouseEvents(app) {
 
         // Always ensure proper cleanup, even during mode 2 click-to-end interaction
         if (app.isDragging) {
+            // Moves have no dragShape; record them (with any stretched wires) as one step
+            if (app.didDrag && app.dragMode === 'move') {
+                const selectedShapes = app.selection.getSelection().filter(s => !s.locked);
+                const wireCommands = app.dragRubberBand ? finishRubberBand(app, app.dragRubberBand) : [];
+                if (selectedShapes.length > 0 && (app.dragTotalDx !== 0 || app.dragTotalDy !== 0)) {
+                    for (const shape of selectedShapes) {
+                        shape.move(-app.dragTotalDx, -app.dragTotalDy);
+                    }
+                    const move = new MoveShapesCommand(app, selectedShapes, app.dragTotalDx, app.dragTotalDy);
+                    app._executeWithWireCleanup(wireCommands.length > 0
+                        ? new CompositeCommand(move.description, [move, ...wireCommands])
+                        : move);
+                }
+            }
+            app.dragRubberBand = null;
+
             // Only execute the drag command if this is a regular mouseup (not already handled by click-to-end mousedown)
             // We can tell by checking if dragShape is still set
             if (app.dragShape) {
-                if (app.didDrag && app.dragMode === 'move') {
-                    const selectedShapes = app.selection.getSelection();
-                    if (selectedShapes.length > 0 && (app.dragTotalDx !== 0 || app.dragTotalDy !== 0)) {
-                        for (const shape of selectedShapes) {
-                            shape.move(-app.dragTotalDx, -app.dragTotalDy);
-                        }
-                        const command = new MoveShapesCommand(app, selectedShapes, app.dragTotalDx, app.dragTotalDy);
-                        app.history.execute(command);
-                    }
-                } else if (app.didDrag && app.dragMode === 'anchor' && app.dragShapesBefore) {
+                if (app.didDrag && app.dragMode === 'anchor' && app.dragShapesBefore) {
                     const afterState = app._captureShapeState(app.dragShape);
                     app._applyShapeState(app.dragShape, app.dragShapesBefore);
                     const command = new ModifyShapeCommand(app, app.dragShape, app.dragShapesBefore, afterState);
-                    app.history.execute(command);
+                    if (app.dragShape.type === 'wire') {
+                        app._executeWithWireCleanup(command);
+                    } else {
+                        app.history.execute(command);
+                    }
                     
                     // Clear drag-specific arc state
                     if (app.dragShape._dragMidPoint) {
@@ -563,9 +608,9 @@ export function bindMouseEvents(app) {
 
         if (app.currentTool === 'polygon') {
             // Polygon continues until double-click or Escape
-        } else if (app.currentTool === 'wire') {
+        } else if (app._isWireTool()) {
             // Wire continues until Enter is pressed
-        } else if (['line', 'rect', 'circle', 'arc'].includes(app.currentTool)) {
+        } else if (['line', 'rect', 'circle', 'arc', 'sheet'].includes(app.currentTool)) {
             // These tools now use Click-Move-Click, so do NOT finish on mouseup
         } else if (app.isDrawing) {
             app._finishDrawing(snapped);
@@ -627,6 +672,14 @@ export function bindMouseEvents(app) {
             app.renderShapes(true);
             app._startTextEdit(hit);
             app._setTextEditCaretFromScreen(screenPos);
+        } else if (hit && hit.type === 'netLabel') {
+            app.selection.select(hit, false);
+            app.renderShapes(true);
+            app._renameNetLabel(hit);
+        } else if (hit && hit.type === 'sheet') {
+            app._enterSheet(hit);
+        } else if (hit && hit.isPower) {
+            app._renamePowerPort(hit);
         }
     });
 }
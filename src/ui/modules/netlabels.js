@@ -0,0 +1,81 @@
+import { NetLabel } from '../../shapes/index.js';
+import { ModifyShapeCommand } from '../../core/CommandHistory.js';
+import { closestPointOnSegment } from '../../core/geometry.js';
+
+/**
+ * Find where a label placed near worldPos should connect.
+ * Pins win over wires and buses; labels on vertical segments read bottom-to-top.
+ * @returns {{x: number, y: number, rotation: number}|null}
+ */
+export function findLabelAttachPoint(app, worldPos, tolerance = 1.0) {
+    const snapPin = app._findNearbyPin(worldPos, tolerance);
+    if (snapPin) {
+        return { x: snapPin.worldPos.x, y: snapPin.worldPos.y, rotation: 0 };
+    }
+
+    let best = null;
+    let bestDist = tolerance;
+    for (const shape of app.shapes) {
+        if (shape.type !== 'wire' && shape.type !== 'bus') continue;
+        for (let i = 0; i < shape.points.length - 1; i++) {
+            const a = shape.points[i];
+            const b = shape.points[i + 1];
+            const closest = closestPointOnSegment(worldPos, a, b);
+            const dist = Math.hypot(closest.x - worldPos.x, closest.y - worldPos.y);
+            if (dist > bestDist) continue;
+            bestDist = dist;
+
+            // Slide along orthogonal segments on the grid, staying on the wire
+            const snapped = app.viewport.getSnappedPosition(closest);
+            if (a.y === b.y) {
+                const x = Math.min(Math.max(snapped.x, Math.min(a.x, b.x)), Math.max(a.x, b.x));
+                best = { x, y: a.y, rotation: 0 };
+            } else if (a.x === b.x) {
+                const y = Math.min(Math.max(snapped.y, Math.min(a.y, b.y)), Math.max(a.y, b.y));
+                best = { x: a.x, y, rotation: 270 };
+            } else {
+                best = { x: closest.x, y: closest.y, rotation: 0 };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Suggest the next label name: "D0" becomes "D1", anything else repeats
+ */
+export function nextLabelName(name) {
+    if (!name) return '';
+    const match = name.match(/^(.*?)(\d+)$/);
+    if (!match) return name;
+    return `${match[1]}${parseInt(match[2], 10) + 1}`;
+}
+
+export function placeNetLabel(app, worldPos, labelType = 'local') {
+    const attach = findLabelAttachPoint(app, worldPos) ||
+        { ...app.viewport.getSnappedPosition(worldPos), rotation: 0 };
+
+    const title = labelType === 'hierarchical' ? 'Hierarchical label name:' : 'Net label name:';
+    const name = prompt(title, nextLabelName(app.lastNetLabelName));
+    if (!name || !name.trim()) return null;
+
+    const label = new NetLabel({
+        x: attach.x,
+        y: attach.y,
+        rotation: attach.rotation,
+        text: name.trim(),
+        labelType
+    });
+    app.addShape(label);
+    app.lastNetLabelName = label.text;
+    return label;
+}
+
+export function renameNetLabel(app, label) {
+    const name = prompt('Net label name:', label.text);
+    if (!name || !name.trim() || name.trim() === label.text) return;
+
+    const command = new ModifyShapeCommand(app, label, { text: label.text }, { text: name.trim() });
+    app.history.execute(command);
+    app.lastNetLabelName = label.text;
+}
@@ -0,0 +1,49 @@
+import { buildKicadNetlist } from '../../core/kicadNetlist.js';
+import { buildSpiceNetlist } from '../../core/spiceNetlist.js';
+import { saveBlobAsFile } from './export.js';
+
+/**
+ * File name for an export: the document name with a new extension
+ */
+export function exportFileName(app, extension) {
+    return (app.fileManager?.fileName || 'schematic').replace(/\.[^/.]+$/, '') + extension;
+}
+
+/**
+ * Save the whole design, all sheets, as a KiCad netlist for pcbnew
+ */
+export async function exportKicadNetlist(app) {
+    try {
+        const text = buildKicadNetlist(app._flattenDesign(), {
+            source: app.fileManager?.fileName || 'untitled.json'
+        });
+        const blob = new Blob([text], { type: 'text/plain' });
+        await saveBlobAsFile(blob, exportFileName(app, '.net'), 'text/plain', ['.net'], 'KiCad netlist');
+    } catch (err) {
+        alert('Failed to export netlist: ' + (err?.message || 'Unknown error'));
+    }
+}
+
+/**
+ * Save the design as a SPICE deck. Parts without a model are listed
+ * first so the user can decide whether a partial deck is any use.
+ */
+export async function exportSpiceNetlist(app) {
+    try {
+        const title = (app.fileManager?.fileName || 'schematic').replace(/\.[^/.]+$/, '');
+        const { text, skipped, warnings } = buildSpiceNetlist(app._flattenDesign(), { title });
+
+        const notes = [
+            ...skipped.map(part => `${part.reference}: ${part.reason}`),
+            ...warnings
+        ];
+        if (notes.length && !confirm(`Some of the design can't be simulated:\n\n${notes.join('\n')}\n\nExport anyway?`)) {
+            return;
+        }
+
+        const blob = new Blob([text], { type: 'text/plain' });
+        await saveBlobAsFile(blob, exportFileName(app, '.cir'), 'text/plain', ['.cir'], 'SPICE netlist');
+    } catch (err) {
+        alert('Failed to export SPICE netlist: ' + (err?.message || 'Unknown error'));
+    }
+}
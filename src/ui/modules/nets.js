@@ -0,0 +1,71 @@
+import { Events } from '../../core/EventBus.js';
+import { ModifyShapeCommand, CompositeCommand } from '../../core/CommandHistory.js';
+
+export function openNetPanel(app) {
+    app.netPanel.open();
+    refreshNetPanel(app);
+    app.netPanel.setSelectedNet(app.highlightedNet);
+}
+
+export function refreshNetPanel(app) {
+    if (!app.netPanel?.isOpen) return;
+    app.netPanel.setNets(app.connectivity.getNets());
+}
+
+/**
+ * Refresh the panel once per frame while the netlist changes
+ */
+export function scheduleNetPanelUpdate(app) {
+    if (!app.netPanel?.isOpen || app._netPanelFrame) return;
+    app._netPanelFrame = requestAnimationFrame(() => {
+        app._netPanelFrame = null;
+        refreshNetPanel(app);
+    });
+}
+
+/**
+ * Centre the view on a pin, keeping the zoom, and highlight its net
+ */
+export function panToPin(app, pin, net) {
+    const box = app.viewport.viewBox;
+    app.viewport.pan(pin.x - (box.x + box.width / 2), pin.y - (box.y + box.height / 2));
+    app.eventBus.emit(Events.NET_HIGHLIGHTED, net.name);
+}
+
+/**
+ * Give a net a new name. Every label on the net and every wire carrying a
+ * name is renamed; a net with no name yet gets it on its wires.
+ */
+export function renameNet(app, net) {
+    if (net.global) {
+        alert(`"${net.name}" is named by a power port. Change the power symbol's value to rename it.`);
+        return;
+    }
+
+    const input = prompt('Net name:', net.named ? net.name : '');
+    const name = input?.trim();
+    if (!name || name === net.name) return;
+
+    const existing = app.connectivity.getNetByName(name);
+    if (existing && existing !== net &&
+        !confirm(`A net named "${name}" already exists. Renaming will join the two nets. Continue?`)) {
+        return;
+    }
+
+    const byId = new Map(app.shapes.map(s => [s.id, s]));
+    const labels = net.labelIds.map(id => byId.get(id)).filter(Boolean);
+    const wires = net.wireIds.map(id => byId.get(id)).filter(Boolean);
+    const namedWires = net.named ? wires.filter(w => w.net) : wires;
+
+    if (labels.length === 0 && namedWires.length === 0) {
+        alert('Draw a wire or place a net label on this net to name it.');
+        return;
+    }
+
+    const commands = [
+        ...labels.map(label => new ModifyShapeCommand(app, label, { text: label.text }, { text: name })),
+        ...namedWires.map(wire => new ModifyShapeCommand(app, wire, { net: wire.net }, { net: name }))
+    ];
+    app.history.execute(new CompositeCommand(`Rename net ${net.name}`, commands));
+    app.eventBus.emit(Events.NET_RENAMED, { oldName: net.name, newName: name });
+}
@@ -0,0 +1,18 @@
+import { NoConnect } from '../../shapes/index.js';
+
+/**
+ * Place a no-connect flag, snapping onto a nearby pin the way wires do.
+ * Clicking a pin that already has a flag does nothing.
+ */
+export function placeNoConnect(app, worldPos, tolerance = 1.0) {
+    const snapPin = app._findNearbyPin(worldPos, tolerance);
+    const pos = snapPin ? snapPin.worldPos : app.viewport.getSnappedPosition(worldPos);
+
+    const existing = app.shapes.find(s => s.type === 'noConnect' &&
+        Math.hypot(s.x - pos.x, s.y - pos.y) < 0.01);
+    if (existing) return existing;
+
+    const flag = new NoConnect({ x: pos.x, y: pos.y });
+    app.addShape(flag);
+    return flag;
+}
@@ -87,6 +87,27 @@ function updatePaperDisplay(app, paperSizeKey, orientation) {
     app.viewport.setPaperSize(size, paperSizeKey);
 }
 
+/**
+ * Switch the paper as if picked in the toolbar, e.g. for an imported document
+ * @param {string|null} paperSizeKey - A PAPER_SIZES key, or null for no paper
+ */
+export function setPaper(app, paperSizeKey, orientation = 'landscape') {
+    const paperSelect = document.getElementById('paperSize');
+    const orientationSelect = document.getElementById('paperOrientation');
+
+    if (!paperSizeKey || !PAPER_SIZES[paperSizeKey]) {
+        if (paperSelect) paperSelect.value = '';
+        app.viewport.setPaperSize(null, null);
+        localStorage.removeItem(STORAGE_KEY);
+        return;
+    }
+    if (paperSelect) paperSelect.value = paperSizeKey;
+    if (orientationSelect) orientationSelect.value = orientation;
+    updatePaperDisplay(app, paperSizeKey, orientation);
+    localStorage.setItem(STORAGE_KEY, paperSizeKey);
+    localStorage.setItem(ORIENTATION_KEY, orientation);
+}
+
 export function getPaperSize(key) {
     return PAPER_SIZES[key] || null;
 }
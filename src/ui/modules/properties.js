@@ -115,8 +115,8 @@ export function updatePropertiesPanel(app, selection) {
             app.ui.propLineWidth.placeholder = '—';
         }
         
-        // Disable if any selected item is a wire
-        if (selection.some(item => item.type === 'wire')) {
+        // Disable if any selected item is a wire or bus
+        if (selection.some(item => item.type === 'wire' || item.type === 'bus')) {
             app.ui.propLineWidth.disabled = true;
         }
     }
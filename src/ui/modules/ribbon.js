@@ -71,6 +71,29 @@ export function bindRibbon(app) {
     });
     get('ribbonExportPdf')?.addEventListener('click', () => app.savePdf());
     get('ribbonPrint')?.addEventListener('click', () => app.print());
+    get('ribbonImportKicadSch')?.addEventListener('click', () => app.importKicadSchematic());
+    get('ribbonImportEagle')?.addEventListener('click', () => app.importEagle());
+    get('ribbonImportLtspice')?.addEventListener('click', () => app.importLtspice());
+    get('ribbonKicadLibraryFolder')?.addEventListener('click', () => app.chooseKicadLibraryFolder());
+    get('ribbonKicadLibraryZip')?.addEventListener('click', () => app.chooseKicadLibraryZip());
+    get('ribbonExportKicadSch')?.addEventListener('click', () => app.exportKicadSchematic());
+    get('ribbonExportNetlist')?.addEventListener('click', () => app.exportKicadNetlist());
+    get('ribbonExportSpice')?.addEventListener('click', () => app.exportSpiceNetlist());
+    get('ribbonBom')?.addEventListener('click', () => app._openBomPanel());
+    get('ribbonExportSvg')?.addEventListener('click', () => app.saveSvg({
+        area: get('exportArea')?.value || 'paper',
+        monochrome: get('exportColor')?.value === 'mono',
+        inlineStyles: get('exportInlineStyles')?.checked ?? true
+    }));
+    const saveRaster = (format) => app.saveRaster({
+        format,
+        area: get('exportArea')?.value || 'paper',
+        dpi: Number(get('exportDpi')?.value) || 300,
+        background: get('exportBackground')?.value || 'opaque',
+        darkTheme: !!get('exportDarkTheme')?.checked
+    });
+    get('ribbonExportPng')?.addEventListener('click', () => saveRaster('png'));
+    get('ribbonExportJpeg')?.addEventListener('click', () => saveRaster('jpeg'));
     get('ribbonClearComponentCache')?.addEventListener('click', () => app._clearComponentCaches?.());
     const tooltipToggle = get('ribbonToggleComponentTooltip');
     if (tooltipToggle) {
@@ -86,6 +109,9 @@ export function bindRibbon(app) {
     get('ribbonDelete')?.addEventListener('click', () => app._deleteSelected());
     get('ribbonToggleLock')?.addEventListener('click', () => app._toggleSelectionLock());
     get('ribbonRotate')?.addEventListener('click', () => app._rotateComponent());
+    get('ribbonSheetUp')?.addEventListener('click', () => app._exitSheet());
+    get('ribbonErc')?.addEventListener('click', () => app._openErcPanel());
+    get('ribbonNets')?.addEventListener('click', () => app._openNetPanel());
     
     // ESC key goes to home tab
     document.addEventListener('keydown', (e) => {
@@ -137,7 +163,7 @@ export function updateShapePanelOptions(app, selection, toolIdArg) {
 
     const items = selection || [];
     const hasSelection = items.length > 0;
-    const toolSupportsLineWidth = ['line', 'wire', 'rect', 'circle', 'arc', 'polygon'].includes(toolId);
+    const toolSupportsLineWidth = ['line', 'wire', 'bus', 'rect', 'circle', 'arc', 'polygon'].includes(toolId);
     const toolSupportsFill = ['rect', 'circle', 'polygon'].includes(toolId);
     const supportsLineWidth = hasSelection
         ? items.some(item => typeof item?.lineWidth === 'number')
@@ -198,8 +224,8 @@ export function updateShapePanelOptions(app, selection, toolIdArg) {
                     lineWidthInput.placeholder = '—';
                 }
                 
-                // Disable if any selected item is a wire
-                if (items.some(item => item.type === 'wire')) {
+                // Disable if any selected item is a wire or bus
+                if (items.some(item => item.type === 'wire' || item.type === 'bus')) {
                     lineWidthInput.disabled = true;
                 }
             }
@@ -212,6 +238,9 @@ export function updateShapePanelOptions(app, selection, toolIdArg) {
             if (toolId === 'wire') {
                 lineWidthInput.value = 0.25;
                 lineWidthInput.disabled = true;
+            } else if (toolId === 'bus') {
+                lineWidthInput.value = 0.6;
+                lineWidthInput.disabled = true;
             }
         }
 
@@ -248,6 +277,22 @@ export function updateShapePanelOptions(app, selection, toolIdArg) {
             }
         });
     }
+
+    // Wire tool: click two pins and let the router find the path
+    if (toolId === 'wire' && !hasSelection) {
+        const routeLabel = document.createElement('label');
+        routeLabel.title = 'Click a start pin and an end pin to route a wire between them';
+        routeLabel.innerHTML = '<input type="checkbox" id="ribbonWireRouting"> Auto-route';
+        container.appendChild(routeLabel);
+
+        const routeInput = routeLabel.querySelector('input');
+        routeInput.checked = !!app.toolOptions?.wireRouting;
+        routeInput.addEventListener('change', (e) => {
+            app._cancelWireDrawing();
+            app._cancelWireRoute();
+            app._onOptionsChanged({ wireRouting: e.target.checked });
+        });
+    }
 }
 
 export function updateRibbonState(app, selection) {
@@ -0,0 +1,142 @@
+import { Wire } from '../../shapes/index.js';
+import { AddShapeCommand } from '../../core/CommandHistory.js';
+import { routeOrthogonal } from '../../core/wireRouter.js';
+import { isSamePin } from './wire.js';
+
+const PIN_TOLERANCE = 1.0;
+
+// Routing can take a while, so the preview waits for the cursor to settle
+const PREVIEW_DELAY_MS = 100;
+
+/**
+ * Whether clicks with the wire tool pick pins to auto-route between
+ */
+export function isWireRouting(app) {
+    return app.currentTool === 'wire' && !!app.toolOptions?.wireRouting;
+}
+
+/**
+ * First click picks the start pin, second click routes a wire to the end pin
+ */
+export function handleRouteClick(app, worldPos) {
+    const pin = app._findNearbyPin(worldPos, PIN_TOLERANCE);
+    if (!pin) return;
+
+    if (!app.routeStart) {
+        app.routeStart = pin;
+        app._createPreview();
+        drawRoutePreview(app, null);
+        return;
+    }
+
+    if (isSamePin(pin, app.routeStart)) {
+        cancelWireRoute(app);
+        return;
+    }
+
+    const points = routeBetweenPins(app, app.routeStart, pin);
+    if (!points) {
+        alert('No clear route found between the pins.');
+        return;
+    }
+
+    const wire = new Wire({
+        points,
+        color: '#00cc66',
+        lineWidth: 0.25,
+        connections: {
+            start: { componentId: app.routeStart.component.id, pinNumber: app.routeStart.pin.number },
+            end: { componentId: pin.component.id, pinNumber: pin.pin.number }
+        }
+    });
+    cancelWireRoute(app);
+    app._executeWithWireCleanup(new AddShapeCommand(app, wire));
+}
+
+/**
+ * Show the route to the pin under the cursor while a start pin is picked
+ */
+export function updateRoutePreview(app, worldPos) {
+    if (!app.routeStart || !app.previewElement) return;
+
+    const pin = app._findNearbyPin(worldPos, PIN_TOLERANCE);
+    const target = pin && !isSamePin(pin, app.routeStart) ? pin : null;
+    if (target === app.routeTarget || (target && app.routeTarget && isSamePin(target, app.routeTarget))) return;
+
+    app.routeTarget = target;
+    clearTimeout(app.routePreviewTimer);
+    drawRoutePreview(app, null);
+    if (!target) return;
+
+    app.routePreviewTimer = setTimeout(() => {
+        app.routePreviewTimer = null;
+        if (app.routeStart && app.routeTarget === target) {
+            drawRoutePreview(app, routeBetweenPins(app, app.routeStart, target));
+        }
+    }, PREVIEW_DELAY_MS);
+}
+
+export function cancelWireRoute(app) {
+    clearTimeout(app.routePreviewTimer);
+    app.routePreviewTimer = null;
+    app.routeStart = null;
+    app.routeTarget = null;
+    if (app.previewElement) {
+        app.previewElement.remove();
+        app.previewElement = null;
+    }
+}
+
+/**
+ * Find a Manhattan path between two pins that stays clear of component
+ * bodies and of everything the new wire must not connect to
+ * @returns {Array<{x, y}>|null}
+ */
+export function routeBetweenPins(app, from, to) {
+    const start = from.worldPos;
+    const end = to.worldPos;
+    const strictlyInside = (p, b) => p.x > b.minX && p.x < b.maxX && p.y > b.minY && p.y < b.maxY;
+
+    const obstacles = [];
+    for (const component of app.components) {
+        const bounds = component.getBounds?.();
+        if (!bounds) continue;
+        // A pin drawn inside its own symbol's box could never get out
+        const own = component === from.component || component === to.component;
+        if (own && (strictlyInside(start, bounds) || strictlyInside(end, bounds))) continue;
+        obstacles.push(bounds);
+    }
+
+    const { points, segments } = app.connectivity.getConductors();
+
+    return routeOrthogonal(start, end, {
+        gridSize: app.viewport.gridSize,
+        obstacles,
+        blockedPoints: points,
+        wires: segments
+    });
+}
+
+function drawRoutePreview(app, points) {
+    const preview = app.previewElement;
+    if (!preview) return;
+    while (preview.firstChild) preview.firstChild.remove();
+
+    const ns = 'http://www.w3.org/2000/svg';
+    const marker = document.createElementNS(ns, 'circle');
+    marker.setAttribute('cx', app.routeStart.worldPos.x);
+    marker.setAttribute('cy', app.routeStart.worldPos.y);
+    marker.setAttribute('r', 0.5);
+    marker.setAttribute('fill', '#ffff00');
+    preview.appendChild(marker);
+
+    if (!points) return;
+    const line = document.createElementNS(ns, 'polyline');
+    line.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', 'var(--sch-wire, #00cc66)');
+    line.setAttribute('stroke-width', 0.25);
+    line.setAttribute('stroke-linecap', 'round');
+    line.setAttribute('stroke-linejoin', 'round');
+    preview.appendChild(line);
+}
@@ -0,0 +1,156 @@
+import { ModifyShapeCommand } from '../../core/CommandHistory.js';
+
+const EPSILON = 0.01;
+
+function samePoint(a, b) {
+    return Math.abs(a.x - b.x) < EPSILON && Math.abs(a.y - b.y) < EPSILON;
+}
+
+/**
+ * Find the wire ends attached to pins of the given components, either by a
+ * recorded connection or by sitting on the pin. Wires that are selected
+ * themselves move as a whole and are left out.
+ * @returns {object} Session for updateRubberBand/finishRubberBand
+ */
+export function beginRubberBand(app, components) {
+    const moving = new Map(components.map(c => [c.id, c]));
+    const wires = [];
+
+    for (const wire of app.shapes) {
+        if (wire.type !== 'wire' || wire.selected || wire.locked || wire.points.length < 2) continue;
+        const last = wire.points.length - 1;
+        const ends = [];
+        for (const [index, key] of [[0, 'start'], [last, 'end']]) {
+            const pin = findAttachedPin(wire, index, wire.connections?.[key], moving);
+            if (pin) ends.push({ index, ...pin });
+        }
+        if (ends.length === 0) continue;
+        wires.push({
+            wire,
+            ends,
+            points: wire.points.map(p => ({ x: p.x, y: p.y })),
+            before: app._captureShapeState(wire)
+        });
+    }
+
+    return { wires };
+}
+
+function findAttachedPin(wire, index, connection, moving) {
+    const p = wire.points[index];
+    if (connection && moving.has(connection.componentId)) {
+        const component = moving.get(connection.componentId);
+        const pos = component.getPinPosition(connection.pinNumber);
+        if (pos && samePoint(pos, p)) return { component, pinNumber: connection.pinNumber };
+    }
+    for (const component of moving.values()) {
+        for (const pin of component.symbol?.pins || []) {
+            const pos = component.getPinPosition(pin.number);
+            if (pos && samePoint(pos, p)) return { component, pinNumber: pin.number };
+        }
+    }
+    return null;
+}
+
+/**
+ * Re-route attached wires so their ends follow the pins
+ */
+export function updateRubberBand(app, session) {
+    for (const entry of session.wires) {
+        const targets = entry.ends.map(end => ({ index: end.index, pos: end.component.getPinPosition(end.pinNumber) }));
+        if (targets.some(t => !t.pos)) continue;
+
+        let points = entry.points.map(p => ({ ...p }));
+        const deltas = targets.map(t => ({ x: t.pos.x - points[t.index].x, y: t.pos.y - points[t.index].y }));
+
+        if (targets.length === 2 && samePoint(deltas[0], deltas[1])) {
+            // Both ends moved together: carry the whole wire along
+            points = points.map(p => ({ x: p.x + deltas[0].x, y: p.y + deltas[0].y }));
+        } else {
+            for (const target of targets) {
+                points = target.index === 0
+                    ? stretchEnd([...points].reverse(), target.pos, app).reverse()
+                    : stretchEnd(points, target.pos, app);
+            }
+        }
+
+        entry.wire.points = points;
+        entry.wire.invalidate();
+    }
+}
+
+/**
+ * Move the last point of a path to `to`, adding a jog so the last segment
+ * keeps its direction and the path stays Manhattan
+ */
+function stretchEnd(points, to, app) {
+    const n = points.length - 1;
+    const from = points[n];
+    const prev = points[n - 1];
+    if (samePoint(from, to)) return points;
+
+    const horizontal = Math.abs(prev.y - from.y) < EPSILON;
+    const vertical = Math.abs(prev.x - from.x) < EPSILON;
+    let route;
+
+    if (!horizontal && !vertical) {
+        // Diagonal wires just stretch
+        route = [to];
+    } else if (n === 1) {
+        // Single segment between two pins: Z-shape with the jog half way
+        if (horizontal) {
+            const midX = app.viewport.getSnappedPosition({ x: (prev.x + to.x) / 2, y: prev.y }).x;
+            route = [{ x: midX, y: prev.y }, { x: midX, y: to.y }, to];
+        } else {
+            const midY = app.viewport.getSnappedPosition({ x: prev.x, y: (prev.y + to.y) / 2 }).y;
+            route = [{ x: prev.x, y: midY }, { x: to.x, y: midY }, to];
+        }
+    } else if (horizontal) {
+        route = [{ x: prev.x, y: to.y }, to];
+    } else {
+        route = [{ x: to.x, y: prev.y }, to];
+    }
+
+    return simplifyPath([...points.slice(0, n), ...route]);
+}
+
+/**
+ * Drop repeated points and points in the middle of a straight run,
+ * including runs that double back on themselves
+ */
+function simplifyPath(points) {
+    const result = [];
+    for (const p of points) {
+        if (result.length && samePoint(result[result.length - 1], p)) continue;
+        if (result.length >= 2) {
+            const a = result[result.length - 2];
+            const b = result[result.length - 1];
+            const cross = (b.x - a.x) * (p.y - b.y) - (b.y - a.y) * (p.x - b.x);
+            if (Math.abs(cross) < EPSILON) {
+                result[result.length - 1] = p;
+                if (samePoint(a, p)) result.pop();
+                continue;
+            }
+        }
+        result.push(p);
+    }
+    return result.length >= 2 ? result : points.slice(0, 2);
+}
+
+/**
+ * Put the wires back as they were and return one command per changed wire,
+ * ready to be recorded together with the component change
+ */
+export function finishRubberBand(app, session) {
+    const commands = [];
+    for (const entry of session.wires) {
+        const after = app._captureShapeState(entry.wire);
+        const changed = after.points.length !== entry.points.length ||
+            after.points.some((p, i) => !samePoint(p, entry.points[i]));
+        app._applyShapeState(entry.wire, entry.before);
+        if (changed) {
+            commands.push(new ModifyShapeCommand(app, entry.wire, entry.before, after));
+        }
+    }
+    return commands;
+}
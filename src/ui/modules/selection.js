@@ -81,6 +81,22 @@ export function captureShapeState(app, shape) {
                 connections: shape.connections ? { ...shape.connections } : null,
                 net: shape.net || ''
             };
+        case 'bus':
+            return { points: shape.points.map(p => ({ x: p.x, y: p.y })) };
+        case 'busEntry':
+            return { x: shape.x, y: shape.y, dx: shape.dx, dy: shape.dy };
+        case 'noConnect':
+            return { x: shape.x, y: shape.y };
+        case 'netLabel':
+            return { x: shape.x, y: shape.y, text: shape.text, rotation: shape.rotation };
+        case 'sheet':
+            return {
+                x: shape.x,
+                y: shape.y,
+                width: shape.width,
+                height: shape.height,
+                pins: shape.pins.map(p => ({ ...p }))
+            };
         default:
             console.warn('Unknown shape type for state capture:', shape.type);
             return {};
@@ -91,6 +107,8 @@ export function applyShapeState(app, shape, state) {
     for (const [key, value] of Object.entries(state)) {
         if (key === 'points' && Array.isArray(value)) {
             shape.points = value.map(p => ({ x: p.x, y: p.y }));
+        } else if (key === 'pins' && Array.isArray(value)) {
+            shape.pins = value.map(p => ({ ...p }));
         } else if ((key === 'startPoint' || key === 'endPoint' || key === 'bulgePoint') && value) {
             shape[key] = { x: value.x, y: value.y };
         } else {
@@ -22,6 +22,7 @@ export function saveToolOptions(options) {
 
 export function onToolSelected(app, tool) {
     app._cancelDrawing();
+    app._cancelWireRoute();
     
     // Update current tool first so that listeners (like ribbon) 
     // see the new tool state when selection is cleared
@@ -0,0 +1,64 @@
+import { Wire } from '../../shapes/index.js';
+import { planWireCleanup } from '../../core/wireCleanup.js';
+import { AddShapeCommand, DeleteShapesCommand, ModifyShapeCommand, CompositeCommand } from '../../core/CommandHistory.js';
+
+/**
+ * Commands that normalise the wires as they are now. Nothing is changed yet.
+ * @param {Iterable<string>} [wireIds] - Wires just edited, to look only around them
+ */
+export function createWireCleanupCommands(app, wireIds) {
+    const plan = planWireCleanup(app.shapes, app.components, { wireIds, connectivity: app.connectivity });
+    if (!plan) return [];
+
+    const byId = new Map(app.shapes.map(s => [s.id, s]));
+    const commands = [];
+
+    for (const [id, after] of plan.changed) {
+        const wire = byId.get(id);
+        const before = app._captureShapeState(wire);
+        commands.push(new ModifyShapeCommand(app, wire, before, {
+            ...before,
+            points: after.points,
+            connections: { ...after.connections }
+        }));
+    }
+
+    if (plan.removed.length > 0) {
+        commands.push(new DeleteShapesCommand(app, plan.removed.map(id => byId.get(id))));
+    }
+
+    for (const part of plan.added) {
+        const source = byId.get(part.sourceId);
+        commands.push(new AddShapeCommand(app, new Wire({
+            points: part.points,
+            color: source.color,
+            lineWidth: source.lineWidth,
+            layer: source.layer,
+            net: source.net,
+            connections: { ...part.connections }
+        })));
+    }
+
+    return commands;
+}
+
+/**
+ * Run a wire edit and the cleanup it calls for as a single undo step
+ */
+export function executeWithWireCleanup(app, command) {
+    const before = new Map(wirePaths(app));
+    command.execute();
+    const edited = [...wirePaths(app)].filter(([id, path]) => before.get(id) !== path).map(([id]) => id);
+    const cleanup = edited.length > 0 ? createWireCleanupCommands(app, edited) : [];
+    command.undo();
+
+    app.history.execute(cleanup.length > 0
+        ? new CompositeCommand(command.description, [command, ...cleanup])
+        : command);
+}
+
+function wirePaths(app) {
+    return app.shapes
+        .filter(s => s.type === 'wire')
+        .map(w => [w.id, w.points.map(p => `${p.x},${p.y}`).join(';')]);
+}
@@ -1,4 +1,12 @@
-import { Wire } from '../../shapes/index.js';
+import { Wire, Bus } from '../../shapes/index.js';
+import { AddShapeCommand } from '../../core/CommandHistory.js';
+
+/**
+ * Tools drawn with the wire path logic: wires and buses
+ */
+export function isWireTool(tool) {
+    return tool === 'wire' || tool === 'bus';
+}
 
 export function getWireSnappedPosition(app, worldPos) {
     const gridSnapped = app.viewport.getSnappedPosition(worldPos);
@@ -91,8 +99,9 @@ export function findNearbyPin(components, worldPos, tolerance = 0.5) {
         if (!component.symbol || !component.symbol.pins) continue;
 
         for (const pin of component.symbol.pins) {
-            const pinWorldX = component.x + pin.x;
-            const pinWorldY = component.y + pin.y;
+            const pinPos = component.getPinPosition?.(pin.number);
+            const pinWorldX = pinPos ? pinPos.x : component.x + pin.x;
+            const pinWorldY = pinPos ? pinPos.y : component.y + pin.y;
 
             const dist = Math.hypot(worldPos.x - pinWorldX, worldPos.y - pinWorldY);
 
@@ -359,6 +368,13 @@ export function finishWireDrawing(app, worldPos) {
 
     app._unhighlightPin();
 
+    // Buses carry no pin connections; their members come from bus labels
+    if (app.currentTool === 'bus') {
+        app.addShape(new Bus({ points: app.wirePoints.map(p => ({ x: p.x, y: p.y })) }));
+        cancelWireDrawing(app);
+        return;
+    }
+
     const wire = new Wire({
         points: app.wirePoints.map(p => ({ x: p.x, y: p.y })),
         color: '#00cc66',
@@ -375,7 +391,7 @@ export function finishWireDrawing(app, worldPos) {
         }
     });
 
-    app.addShape(wire);
+    app._executeWithWireCleanup(new AddShapeCommand(app, wire));
     cancelWireDrawing(app);
 }
 
@@ -403,7 +419,9 @@ export function cancelWireDrawing(app) {
 export function updateWirePreview(app) {
     if (!app.previewElement) return;
 
-    const strokeWidth = app._getEffectiveStrokeWidth(0.2);
+    const isBus = app.currentTool === 'bus';
+    const strokeWidth = app._getEffectiveStrokeWidth(isBus ? 0.6 : 0.2);
+    const color = isBus ? 'var(--sch-bus, #0088cc)' : '#00cc66';
     let svg = '';
 
     const wirePoints = app.wirePoints;
@@ -417,7 +435,7 @@ export function updateWirePreview(app) {
         }
 
         svg += `<line x1="${p1.x}" y1="${p1.y}" x2="${p2.x}" y2="${p2.y}" 
-                stroke="#00cc66" stroke-width="${strokeWidth}" stroke-linecap="round"/>`;
+                stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round"/>`;
     }
 
     for (let i = 0; i < wirePoints.length; i++) {
@@ -425,19 +443,19 @@ export function updateWirePreview(app) {
         if (i === wirePoints.length - 1 && app.wireLastAdjustedPoint) {
             p = app.wireLastAdjustedPoint;
         }
-        svg += `<circle cx="${p.x}" cy="${p.y}" r="${2 / app.viewport.scale}" fill="#00cc66"/>`;
+        svg += `<circle cx="${p.x}" cy="${p.y}" r="${2 / app.viewport.scale}" fill="${color}"/>`;
     }
 
     if (app.drawCurrent && wirePoints.length > 0) {
         const last = app.wireLastAdjustedPoint || wirePoints[wirePoints.length - 1];
         if (app.wireAutoCorner) {
             svg += `<line x1="${last.x}" y1="${last.y}" x2="${app.wireAutoCorner.x}" y2="${app.wireAutoCorner.y}" 
-                    stroke="#00cc66" stroke-width="${strokeWidth}" stroke-linecap="round"/>`;
+                    stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round"/>`;
             svg += `<line x1="${app.wireAutoCorner.x}" y1="${app.wireAutoCorner.y}" x2="${app.drawCurrent.x}" y2="${app.drawCurrent.y}" 
-                    stroke="#00cc66" stroke-width="${strokeWidth}" stroke-linecap="round"/>`;
+                    stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round"/>`;
         } else {
             svg += `<line x1="${last.x}" y1="${last.y}" x2="${app.drawCurrent.x}" y2="${app.drawCurrent.y}" 
-                    stroke="#00cc66" stroke-width="${strokeWidth}" stroke-linecap="round"/>`;
+                    stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round"/>`;
         }
     }
 